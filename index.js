@@ -7,11 +7,18 @@ const socketIo = require('socket.io');
 const config = require('./src/config');
 const logger = require('./src/utils/logger');
 const routes = require('./src/routes');
+const orchestratorService = require('./src/services/orchestrator.service');
+const metrics = require('./src/services/metrics.service');
+const { authenticate, requireRole } = require('./src/middleware/auth.middleware');
 
 const app = express();
 const server = http.createServer(app);
+// Orígenes permitidos por CORS ('*' admite cualquiera)
+const corsOrigin = config.cors.origins.includes('*') ? '*' : config.cors.origins;
+
 const io = socketIo(server, {
-  maxHttpBufferSize: 10e6 
+  maxHttpBufferSize: 10e6,
+  cors: { origin: corsOrigin }
 });
 
 // Configurar Socket.io
@@ -24,7 +31,7 @@ app.set('views', path.join(__dirname, 'src/views'));
 // Middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true }));
-app.use(cors());
+app.use(cors({ origin: corsOrigin }));
 app.use(morgan('combined', { stream: logger.stream }));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/node_modules/chart.js', express.static(path.join(__dirname, 'node_modules/chart.js')));
@@ -32,6 +39,12 @@ app.use('/node_modules/chart.js', express.static(path.join(__dirname, 'node_modu
 // Routes
 app.use('/api', routes);
 
+// Métricas en formato Prometheus (rol viewer cuando hay claves de API)
+app.get('/metrics', authenticate, requireRole('viewer'), async (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(await metrics.render());
+});
+
 // Vista principal del panel de control
 app.get('/', (req, res) => {
   res.render('dashboard');
@@ -60,6 +73,12 @@ server.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`Dashboard UI available at: http://localhost:${PORT}`);
+
+  // Reanudar las sesiones de entrenamiento interrumpidas por un reinicio
+  const resumed = orchestratorService.resumeTrainingSessions();
+  if (resumed.length > 0) {
+    logger.info(`Resumed ${resumed.length} training session(s)`);
+  }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,41 +1,228 @@
 require('dotenv').config();
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('../utils/storage');
+const { SECRET_MASK, AUTH_TYPES, maskModelSecrets } = require('../utils/model-request');
 
-// Configuración persistente (se guarda en memoria durante la ejecución)
-let persistentConfig = {
-  models: {
-    svm: {
-      url: process.env.SVM_MODEL_URL || 'http://localhost:8001/predict',
-      enabled: true,
-      trainingUrl: process.env.SVM_TRAINING_URL || 'http://localhost:8001/train',
-      healthUrl: process.env.SVM_HEALTHCHECK_URL || 'http://localhost:8001/health',
-      displayName: 'SVM'
-    },
-    lstm: {
-      url: process.env.LSTM_MODEL_URL || 'http://localhost:8002/predict',
-      enabled: true,
-      trainingUrl: process.env.LSTM_TRAINING_URL || 'http://localhost:8002/train',
-      healthUrl: process.env.LSTM_HEALTHCHECK_URL || 'http://localhost:8002/health',
-      displayName: 'LSTM'
-    },
-    xgboost: {
-      url: process.env.XGBOOST_MODEL_URL || 'http://localhost:8003/predict',
-      enabled: true,
-      trainingUrl: process.env.XGBOOST_TRAINING_URL || 'http://localhost:8003/train',
-      healthUrl: process.env.XGBOOST_HEALTHCHECK_URL || 'http://localhost:8003/health',
-      displayName: 'XGBoost'
-    }
+// Modelos por defecto definidos a partir de las variables de entorno
+const defaultModels = {
+  svm: {
+    url: process.env.SVM_MODEL_URL || 'http://localhost:8001/predict',
+    enabled: true,
+    trainingUrl: process.env.SVM_TRAINING_URL || 'http://localhost:8001/train',
+    healthUrl: process.env.SVM_HEALTHCHECK_URL || 'http://localhost:8001/health',
+    displayName: 'SVM'
+  },
+  lstm: {
+    url: process.env.LSTM_MODEL_URL || 'http://localhost:8002/predict',
+    enabled: true,
+    trainingUrl: process.env.LSTM_TRAINING_URL || 'http://localhost:8002/train',
+    healthUrl: process.env.LSTM_HEALTHCHECK_URL || 'http://localhost:8002/health',
+    displayName: 'LSTM'
+  },
+  xgboost: {
+    url: process.env.XGBOOST_MODEL_URL || 'http://localhost:8003/predict',
+    enabled: true,
+    trainingUrl: process.env.XGBOOST_TRAINING_URL || 'http://localhost:8003/train',
+    healthUrl: process.env.XGBOOST_HEALTHCHECK_URL || 'http://localhost:8003/health',
+    displayName: 'XGBoost'
   }
 };
 
+// Directorio de datos persistentes y archivo del registro de modelos
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+const registryFile = process.env.MODEL_REGISTRY_FILE || path.join(dataDir, 'models.json');
+
+// Configuración persistente: se carga del registro en disco al arrancar
+// y se guarda tras cada modificación
+const persistentConfig = {
+  models: {},
+  // Modelos por defecto eliminados explícitamente por el usuario
+  deleted: [],
+  // Calibraciones de la votación (pesos y umbral) y versión de la activa
+  calibrations: [],
+  activeCalibration: null,
+  // Votación por defecto fijada en tiempo de ejecución (estrategia, desempate y quórum)
+  voting: {}
+};
+
+// Campos de un modelo que se guardan en el registro
+const MODEL_FIELDS = [
+  'url', 'trainingUrl', 'healthUrl', 'enabled', 'displayName', 'weight',
+  'timeouts', 'headers', 'auth'
+];
+
+function pickModelFields(model) {
+  const entry = {};
+  MODEL_FIELDS.forEach(field => {
+    if (model[field] !== undefined) entry[field] = model[field];
+  });
+  return entry;
+}
+
+// Valida los timeouts, cabeceras y autenticación propios de un modelo
+function validateConnection(key, { timeouts, headers, auth }) {
+  if (timeouts !== undefined && timeouts !== null) {
+    if (typeof timeouts !== 'object' || Array.isArray(timeouts)) {
+      throw new Error(`Los timeouts del modelo '${key}' deben ser un objeto`);
+    }
+    Object.entries(timeouts).forEach(([kind, ms]) => {
+      if (!['predict', 'training', 'health'].includes(kind)) {
+        throw new Error(`Timeout '${kind}' no soportado (predict, training, health)`);
+      }
+      if (!Number.isInteger(ms) || ms <= 0) {
+        throw new Error(`El timeout '${kind}' del modelo '${key}' debe ser un entero positivo en ms`);
+      }
+    });
+  }
+  if (headers !== undefined && headers !== null) {
+    if (typeof headers !== 'object' || Array.isArray(headers) ||
+      Object.values(headers).some(value => typeof value !== 'string')) {
+      throw new Error(`Las cabeceras del modelo '${key}' deben ser un objeto de textos`);
+    }
+  }
+  if (auth !== undefined && auth !== null) {
+    if (typeof auth !== 'object' || !AUTH_TYPES.includes(auth.type)) {
+      throw new Error(`Tipo de autenticación no soportado (${AUTH_TYPES.join(', ')})`);
+    }
+    const required = { bearer: ['token'], basic: ['username', 'password'], apiKey: ['key'] }[auth.type];
+    required.forEach(field => {
+      if (!auth[field] || typeof auth[field] !== 'string') {
+        throw new Error(`La autenticación '${auth.type}' del modelo '${key}' requiere '${field}'`);
+      }
+    });
+  }
+}
+
+// Mantiene los secretos guardados cuando se reenvían ocultos (tal como los devuelve la API)
+function keepMaskedSecrets(auth, previous) {
+  if (!auth || !previous || auth.type !== previous.type) return auth;
+  const merged = { ...auth };
+  ['token', 'password', 'key'].forEach(field => {
+    if (merged[field] === SECRET_MASK) merged[field] = previous[field];
+  });
+  return merged;
+}
+
+function keepMaskedHeaders(headers, previous) {
+  if (!headers || !previous) return headers;
+  const merged = { ...headers };
+  Object.keys(merged).forEach(name => {
+    if (merged[name] === SECRET_MASK && previous[name] !== undefined) merged[name] = previous[name];
+  });
+  return merged;
+}
+
+// Valida una entrada de modelo importada y completa los valores por defecto.
+// Los secretos ocultos (export sin secretos) se sustituyen por los guardados
+function normalizeModel(key, model, stored = {}) {
+  if (!model || typeof model !== 'object') {
+    throw new Error(`Modelo '${key}' inválido`);
+  }
+  model = {
+    ...model,
+    headers: keepMaskedHeaders(model.headers, stored.headers),
+    auth: keepMaskedSecrets(model.auth, stored.auth)
+  };
+  const masked = Object.values(model.headers || {}).concat(
+    ['token', 'password', 'key'].map(field => model.auth && model.auth[field])
+  );
+  if (masked.includes(SECRET_MASK)) {
+    throw new Error(`El modelo '${key}' trae secretos ocultos sin un valor guardado; importe un export con secretos`);
+  }
+  ['url', 'trainingUrl', 'healthUrl'].forEach(field => {
+    if (!model[field] || typeof model[field] !== 'string') {
+      throw new Error(`El modelo '${key}' requiere '${field}'`);
+    }
+  });
+  if (model.weight !== undefined && typeof model.weight !== 'number') {
+    throw new Error(`El peso del modelo '${key}' debe ser numérico`);
+  }
+  validateConnection(key, model);
+  return pickModelFields({
+    ...model,
+    enabled: model.enabled !== undefined ? Boolean(model.enabled) : true,
+    displayName: model.displayName || key
+  });
+}
+
+// Lee las claves de API con el formato "nombre:rol:clave" separadas por comas
+function parseApiKeys(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, ...key] = entry.split(':');
+      return { name, role, key: key.join(':') };
+    })
+    .filter(entry => entry.name && entry.role && entry.key);
+}
+
+// Sustituye los modelos sin cambiar la referencia del objeto, que comparten otros módulos
+function replaceModels(models) {
+  Object.keys(persistentConfig.models).forEach(key => {
+    delete persistentConfig.models[key];
+  });
+  Object.assign(persistentConfig.models, models);
+}
+
+// Combina los modelos por defecto con los guardados en disco (el registro tiene prioridad)
+function loadRegistry() {
+  const stored = readJson(registryFile, null);
+  const models = {};
+  Object.keys(defaultModels).forEach(key => {
+    models[key] = { ...defaultModels[key] };
+  });
+
+  if (stored) {
+    persistentConfig.deleted = Array.isArray(stored.deleted) ? stored.deleted : [];
+    persistentConfig.deleted.forEach(key => { delete models[key]; });
+    Object.entries(stored.models || {}).forEach(([key, model]) => {
+      models[key] = { ...(defaultModels[key] || {}), ...pickModelFields(model) };
+    });
+    persistentConfig.calibrations = Array.isArray(stored.calibrations) ? stored.calibrations : [];
+    persistentConfig.activeCalibration = stored.activeCalibration || null;
+    persistentConfig.voting = stored.voting && typeof stored.voting === 'object' ? stored.voting : {};
+  }
+
+  replaceModels(models);
+}
+
+function saveRegistry() {
+  const models = {};
+  Object.entries(persistentConfig.models).forEach(([key, model]) => {
+    models[key] = pickModelFields(model);
+  });
+  writeJsonAtomic(registryFile, {
+    version: 1,
+    updatedAt: new Date().toISOString(),
+    models,
+    deleted: persistentConfig.deleted,
+    calibrations: persistentConfig.calibrations,
+    activeCalibration: persistentConfig.activeCalibration,
+    voting: persistentConfig.voting
+  });
+}
+
+loadRegistry();
+
 module.exports = {
   // Server configuration
   port: process.env.PORT || 3000,
   env: process.env.NODE_ENV || 'development',
+  dataDir,
+  registryFile,
   
   // Model endpoints - referencias a la configuración persistente
   get models() {
     return persistentConfig.models;
   },
+
+  // Guarda el registro de modelos en disco
+  saveRegistry,
+
+  // Vuelve a cargar el registro de modelos desde disco
+  loadRegistry,
   
   // Función para actualizar las URLs de los modelos
   updateModelUrl(modelName, url, type = 'predict') {
@@ -50,6 +237,28 @@ module.exports = {
     } else if (type === 'health') {
       persistentConfig.models[modelName].healthUrl = url;
     }
+    saveRegistry();
+  },
+
+  // Guarda la votación por defecto ({ strategy, tieBreak, tiebreakerModel, quorum })
+  // para que sobreviva a un reinicio; prevalece sobre las variables de entorno
+  setVoting(settings) {
+    const voting = { ...persistentConfig.voting };
+    ['strategy', 'tieBreak', 'tiebreakerModel', 'quorum'].forEach(field => {
+      if (settings[field] !== undefined) voting[field] = settings[field];
+    });
+    persistentConfig.voting = voting;
+    saveRegistry();
+    Object.assign(this.voting, voting);
+  },
+
+  // Habilita o deshabilita un modelo
+  setModelEnabled(modelName, enabled) {
+    if (!persistentConfig.models[modelName]) {
+      throw new Error(`Modelo '${modelName}' no encontrado`);
+    }
+    persistentConfig.models[modelName].enabled = enabled;
+    saveRegistry();
   },
 
   // Actualiza el nombre visible de un modelo
@@ -58,6 +267,38 @@ module.exports = {
       throw new Error(`Modelo '${modelName}' no encontrado`);
     }
     persistentConfig.models[modelName].displayName = displayName;
+    saveRegistry();
+  },
+
+  // Actualiza el peso estático de un modelo para la votación ponderada
+  updateModelWeight(modelName, weight) {
+    if (!persistentConfig.models[modelName]) {
+      throw new Error(`Modelo '${modelName}' no encontrado`);
+    }
+    persistentConfig.models[modelName].weight = weight;
+    saveRegistry();
+  },
+
+  // Actualiza los timeouts, cabeceras y autenticación de un modelo.
+  // Un valor null elimina el ajuste; los secretos ocultos se conservan.
+  updateModelConnection(modelName, settings) {
+    const model = persistentConfig.models[modelName];
+    if (!model) {
+      throw new Error(`Modelo '${modelName}' no encontrado`);
+    }
+    const update = { ...settings };
+    if (update.auth) update.auth = keepMaskedSecrets(update.auth, model.auth);
+    if (update.headers) update.headers = keepMaskedHeaders(update.headers, model.headers);
+    validateConnection(modelName, update);
+
+    ['timeouts', 'headers', 'auth'].forEach(field => {
+      if (update[field] === null) {
+        delete model[field];
+      } else if (update[field] !== undefined) {
+        model[field] = update[field];
+      }
+    });
+    saveRegistry();
   },
 
   // Agrega un nuevo modelo a la configuración
@@ -66,6 +307,7 @@ module.exports = {
     if (persistentConfig.models[key]) {
       throw new Error(`El modelo '${name}' ya existe`);
     }
+    validateConnection(key, urls);
     persistentConfig.models[key] = {
       url: urls.url,
       trainingUrl: urls.trainingUrl,
@@ -73,6 +315,14 @@ module.exports = {
       enabled: true,
       displayName: name
     };
+    if (typeof urls.weight === 'number') {
+      persistentConfig.models[key].weight = urls.weight;
+    }
+    ['timeouts', 'headers', 'auth'].forEach(field => {
+      if (urls[field]) persistentConfig.models[key][field] = urls[field];
+    });
+    persistentConfig.deleted = persistentConfig.deleted.filter(k => k !== key);
+    saveRegistry();
     return key;
   },
 
@@ -82,6 +332,90 @@ module.exports = {
       throw new Error(`Modelo '${modelName}' no encontrado`);
     }
     delete persistentConfig.models[modelName];
+    if (defaultModels[modelName] && !persistentConfig.deleted.includes(modelName)) {
+      persistentConfig.deleted.push(modelName);
+    }
+    saveRegistry();
+  },
+
+  // Calibraciones guardadas, de la más antigua a la más reciente
+  get calibrations() {
+    return persistentConfig.calibrations;
+  },
+
+  // Calibración activa, o null si la votación usa los pesos estáticos
+  get activeCalibration() {
+    return persistentConfig.calibrations
+      .find(c => c.version === persistentConfig.activeCalibration) || null;
+  },
+
+  // Guarda una calibración con la siguiente versión y, opcionalmente, la activa
+  addCalibration(calibration, activate = true) {
+    const version = persistentConfig.calibrations
+      .reduce((max, c) => Math.max(max, c.version), 0) + 1;
+    const entry = { version, createdAt: new Date().toISOString(), ...calibration };
+    persistentConfig.calibrations.push(entry);
+    if (activate) {
+      persistentConfig.activeCalibration = version;
+    }
+    saveRegistry();
+    return entry;
+  },
+
+  // Activa una calibración guardada; null vuelve a los pesos estáticos
+  activateCalibration(version) {
+    if (version !== null && !persistentConfig.calibrations.some(c => c.version === version)) {
+      throw new Error(`Calibración '${version}' no encontrada`);
+    }
+    persistentConfig.activeCalibration = version;
+    saveRegistry();
+  },
+
+  // Exporta la configuración completa de modelos. Los secretos de cabeceras y
+  // autenticación salen ocultos salvo que se pidan expresamente con `secrets`
+  exportModels({ secrets = false } = {}) {
+    const models = {};
+    Object.entries(persistentConfig.models).forEach(([key, model]) => {
+      models[key] = pickModelFields(model);
+      if (!secrets) {
+        const masked = maskModelSecrets(model);
+        if (model.headers) models[key].headers = masked.headers;
+        if (model.auth) models[key].auth = masked.auth;
+      }
+    });
+    return {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      models
+    };
+  },
+
+  // Importa una configuración de modelos. En modo 'replace' sustituye el
+  // registro completo; en modo 'merge' agrega o actualiza los modelos recibidos
+  importModels(data, mode = 'merge') {
+    if (!data || typeof data.models !== 'object' || Array.isArray(data.models) || data.models === null) {
+      throw new Error('Se espera un objeto con la propiedad "models"');
+    }
+    if (!['merge', 'replace'].includes(mode)) {
+      throw new Error("El modo de importación debe ser 'merge' o 'replace'");
+    }
+
+    const imported = {};
+    Object.entries(data.models).forEach(([key, model]) => {
+      imported[key] = normalizeModel(key, model, persistentConfig.models[key]);
+    });
+
+    if (mode === 'replace') {
+      replaceModels(imported);
+      persistentConfig.deleted = Object.keys(defaultModels).filter(key => !imported[key]);
+    } else {
+      Object.entries(imported).forEach(([key, model]) => {
+        persistentConfig.models[key] = { ...(persistentConfig.models[key] || {}), ...model };
+      });
+      persistentConfig.deleted = persistentConfig.deleted.filter(key => !imported[key]);
+    }
+    saveRegistry();
+    return Object.keys(imported);
   },
   
   // Request timeouts
@@ -90,6 +424,74 @@ module.exports = {
     training: parseInt(process.env.TRAINING_TIMEOUT || 60000) // 1 minute
   },
   
+  // Entrenamiento: reintentos de entrega de descargas a los nodos, longitud máxima
+  // de las colas y memoria máxima ocupada por descargas en entrega
+  training: {
+    maxQueueLength: parseInt(process.env.TRAINING_MAX_QUEUE_LENGTH || 500),
+    memoryLimit: parseInt(process.env.TRAINING_MEMORY_LIMIT_MB || 256) * 1024 * 1024,
+    retry: {
+      maxAttempts: parseInt(process.env.TRAINING_RETRY_MAX_ATTEMPTS || 5),
+      baseDelay: parseInt(process.env.TRAINING_RETRY_BASE_DELAY || 500),
+      maxDelay: parseInt(process.env.TRAINING_RETRY_MAX_DELAY || 30000),
+      retryableStatus: (process.env.TRAINING_RETRY_STATUS || '408,429,500,502,503,504')
+        .split(',')
+        .map(code => parseInt(code.trim()))
+        .filter(code => !isNaN(code))
+    }
+  },
+
+  // Circuit breaker por modelo: fallos consecutivos para abrir el circuito y
+  // tiempo que permanece abierto antes de admitir una llamada de prueba
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || 3),
+    resetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT || 30000)
+  },
+
+  // Predicción: descargas de un mismo lote enviadas en paralelo a los modelos
+  // y modo de respuesta: 'all' espera a todos los modelos, 'early' responde en
+  // cuanto el resultado está decidido o vence el plazo global. La agregación
+  // combina las respuestas con la votación ('voting') o el meta-modelo ('stacking')
+  prediction: {
+    concurrency: parseInt(process.env.PREDICTION_CONCURRENCY || 2),
+    mode: process.env.PREDICTION_MODE || 'all',
+    deadline: parseInt(process.env.PREDICTION_DEADLINE || process.env.MODEL_TIMEOUT || 10000),
+    aggregation: process.env.PREDICTION_AGGREGATION || 'voting'
+  },
+
+  // Votación: estrategia por defecto, umbral para el soft voting y desempate
+  // Los valores guardados con setVoting tienen prioridad sobre el entorno
+  voting: {
+    strategy: process.env.VOTING_STRATEGY || 'majority',
+    softThreshold: parseFloat(process.env.VOTING_SOFT_THRESHOLD || 0.5),
+    // Umbral de la puntuación por ventana del conjunto de modelos
+    windowThreshold: parseFloat(process.env.VOTING_WINDOW_THRESHOLD || 0.5),
+    tieBreak: process.env.VOTING_TIE_BREAK || 'none',
+    tiebreakerModel: process.env.VOTING_TIEBREAKER_MODEL || null,
+    // Quórum mínimo para que una decisión sea válida
+    quorum: {
+      minResponders: parseInt(process.env.VOTING_MIN_RESPONDERS || 1),
+      minFraction: parseFloat(process.env.VOTING_MIN_FRACTION || 0),
+      mandatory: (process.env.VOTING_MANDATORY_MODELS || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+    },
+    ...persistentConfig.voting
+  },
+
+  // Autenticación de la API y del dashboard: sin claves la API queda abierta
+  auth: {
+    keys: parseApiKeys(process.env.API_KEYS)
+  },
+
+  // Orígenes permitidos por CORS ('*' para cualquiera)
+  cors: {
+    origins: (process.env.CORS_ORIGINS || '*')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean)
+  },
+
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info'
 };
\ No newline at end of file
@@ -1,6 +1,18 @@
 const { StatusCodes } = require('http-status-codes');
 const orchestratorService = require('../services/orchestrator.service');
+const votingService = require('../services/voting.service');
+const predictionHistory = require('../services/prediction-history.service');
+const trainingHistory = require('../services/training-history.service');
+const circuitBreaker = require('../services/circuit-breaker.service');
+const auditLog = require('../services/audit.service');
+const evaluationService = require('../services/evaluation.service');
+const calibrationService = require('../services/calibration.service');
+const stackingService = require('../services/stacking.service');
+const alarmRules = require('../services/alarm-rules.service');
 const logger = require('../utils/logger');
+const { maskModelSecrets } = require('../utils/model-request');
+const { normalizeRule, windowStates, evaluateRule } = require('../utils/alarms');
+const { windowIntervals } = require('../utils/windows');
 const config = require('../config');
 const archiver = require('archiver');
 const fs = require('fs');
@@ -11,6 +23,136 @@ const { randomUUID } = require('crypto');
 // Sessions to accumulate automated prediction results without keeping everything in memory
 const automatedPredictSessions = {};
 
+/**
+ * Envía un lote de entrenamiento a una sesión existente o, sin `sessionId`,
+ * a una sesión nueva que se cierra al encolar el lote
+ * @param {Request} req - Objeto de solicitud HTTP
+ * @param {Response} res - Objeto de respuesta HTTP
+ * @param {string|undefined} sessionId - Sesión destino
+ * @param {Array<string>|undefined} models - Modelos de la sesión nueva
+ * @param {Array<Object>} discharges - Descargas del lote
+ */
+async function sendTrainingBatch(req, res, sessionId, models, discharges) {
+  let summary;
+  try {
+    if (sessionId) {
+      if (!orchestratorService.getTrainingSession(sessionId)) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: `Sesión de entrenamiento '${sessionId}' no encontrada`
+        });
+      }
+    } else {
+      summary = await orchestratorService.startTrainingSession(discharges.length, { models, autoFinish: true });
+      sessionId = summary.sessionId;
+      await auditTrainingStart(req, summary, { totalDischarges: discharges.length, autoFinish: true });
+    }
+
+    await orchestratorService.sendTrainingBatch(sessionId, discharges);
+  } catch (error) {
+    logger.error(`Error al enviar datos a modelos: ${error.message}`);
+    // La sesión creada para este lote no recibirá más datos: se cancela para liberar los modelos
+    if (summary) {
+      const status = orchestratorService.cancelTrainingSession(sessionId);
+      if (status) {
+        await auditLog.record({
+          action: 'training.cancel',
+          actor: auditLog.requestActor(req),
+          target: sessionId,
+          after: status
+        });
+      }
+    }
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      error: 'Error al enviar datos a los modelos',
+      message: error.message
+    });
+  }
+
+  return res.status(StatusCodes.OK).json({
+    message: 'Entrenamiento batch procesado correctamente',
+    sessionId,
+    details: summary
+  });
+}
+
+/**
+ * Regla de alarma de un modelo en una sesión de predicciones automáticas: la
+ * de los umbrales enviados con el lote o, si no se envió umbral, la primera
+ * regla guardada y habilitada del modelo
+ * @param {string} modelName - Modelo
+ * @param {Object|undefined} posted - { justification, count } enviados por el cliente
+ * @returns {Object} - Regla normalizada
+ */
+function sessionAlarmRule(modelName, posted) {
+  if (posted && posted.justification !== undefined && posted.justification !== '') {
+    return normalizeRule({
+      name: 'session',
+      model: modelName,
+      threshold: parseFloat(posted.justification) || 0,
+      consecutive: parseInt(posted.count, 10) || 1
+    });
+  }
+  return alarmRules.ruleFor(modelName) || normalizeRule({ name: 'default', model: modelName, threshold: 0 });
+}
+
+/**
+ * Registra en la auditoría el inicio de una sesión de entrenamiento
+ * @param {Request} req - Objeto de solicitud HTTP
+ * @param {Object} summary - Resultado de startTrainingSession
+ * @param {Object} options - { totalDischarges, autoFinish }
+ */
+async function auditTrainingStart(req, summary, { totalDischarges, autoFinish }) {
+  await auditLog.record({
+    action: 'training.start',
+    actor: auditLog.requestActor(req),
+    target: summary.sessionId,
+    after: {
+      totalDischarges,
+      autoFinish,
+      models: summary.details.filter(d => d.status === 'success').map(d => d.modelName)
+    }
+  });
+}
+
+/**
+ * Identificadores de las descargas sin `anomalyTime` ni `label`
+ * @param {Array<Object>} discharges
+ * @returns {Array<string>}
+ */
+function unlabeledIds(discharges) {
+  return discharges.filter(d => d.anomalyTime === undefined && d.label === undefined).map(d => d.id);
+}
+
+/**
+ * Evalúa un conjunto de descargas etiquetadas y responde con el informe
+ * @param {Response} res - Objeto de respuesta HTTP
+ * @param {Array<Object>} discharges - Descargas con `anomalyTime` o `label`
+ * @param {Object} options - { name, voting, justificationThreshold }
+ */
+async function runEvaluation(res, discharges, options) {
+  const unlabeled = unlabeledIds(discharges);
+  if (unlabeled.length > 0) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      error: 'Todas las descargas deben incluir anomalyTime (null si es normal) o label',
+      discharges: unlabeled
+    });
+  }
+  const { strategy } = options.voting || {};
+  if (strategy && !votingService.has(strategy)) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      error: `Estrategia de votación '${strategy}' no soportada`,
+      strategies: votingService.list()
+    });
+  }
+
+  logger.info(`Recibida petición de evaluación con ${discharges.length} descargas`);
+  const report = await evaluationService.evaluate(discharges, options);
+  return res.status(StatusCodes.OK).json({
+    message: 'Evaluación completada',
+    report
+  });
+}
+
 /**
  * Controlador para la orquestación de modelos y predicciones
  */
@@ -31,12 +173,86 @@ class OrchestratorController {
         });
       }
       
+      const { strategy, tieBreak, quorum } = dischargeData.voting || {};
+      if (strategy && !votingService.has(strategy)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: `Estrategia de votación '${strategy}' no soportada`,
+          strategies: votingService.list()
+        });
+      }
+      if (tieBreak && !votingService.tieBreakPolicies.includes(tieBreak)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: `Política de desempate '${tieBreak}' no soportada`,
+          tieBreakPolicies: votingService.tieBreakPolicies
+        });
+      }
+      if (quorum !== undefined) {
+        try {
+          votingService.normalizeQuorum(quorum);
+        } catch (error) {
+          return res.status(StatusCodes.BAD_REQUEST).json({ error: 'Quórum no válido', message: error.message });
+        }
+      }
+      if (dischargeData.mode !== undefined && !['all', 'early'].includes(dischargeData.mode)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: `Modo de predicción '${dischargeData.mode}' no soportado`,
+          modes: ['all', 'early']
+        });
+      }
+      if (dischargeData.aggregation !== undefined && !['voting', 'stacking'].includes(dischargeData.aggregation)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: `Método de agregación '${dischargeData.aggregation}' no soportado`,
+          aggregations: ['voting', 'stacking']
+        });
+      }
+      if (dischargeData.aggregation === 'stacking' && !stackingService.isTrained()) {
+        return res.status(StatusCodes.CONFLICT).json({
+          error: 'El meta-modelo de stacking no está entrenado'
+        });
+      }
+      const { deadline, modelDeadlines } = dischargeData;
+      if (deadline !== undefined && (!Number.isInteger(deadline) || deadline <= 0)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({ error: '"deadline" debe ser un entero positivo en ms' });
+      }
+      if (modelDeadlines !== undefined && (typeof modelDeadlines !== 'object' || modelDeadlines === null ||
+        Object.values(modelDeadlines).some(ms => !Number.isInteger(ms) || ms <= 0))) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: '"modelDeadlines" debe asociar cada modelo con un entero positivo en ms'
+        });
+      }
+      
       logger.info(`Recibida petición de predicción con ${dischargeData.discharges.length} descargas`);
       
       // Procesar predicción con el orquestador
-      const result = await orchestratorService.orchestrate(dischargeData);
+      const result = await orchestratorService.orchestrate(dischargeData, { source: 'api' });
       
+      // Con varias descargas se devuelve el resultado de cada una y el resumen del lote
+      if (result.discharges.length > 1) {
+        return res.status(StatusCodes.OK).json({
+          message: 'Predicción por lotes completada',
+          summary: result.summary,
+          details: result
+        });
+      }
+      
+      // La descarga no se pudo predecir: el resultado solo trae el error
+      const [single] = result.discharges;
+      if (single.error) {
+        logger.error(`Error en predicción de la descarga ${single.dischargeId}: ${single.error}`);
+        return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+          error: 'Error al procesar la predicción',
+          message: single.error,
+          result
+        });
+      }
+
       // Determinar el código de estado según el resultado
+      if (result.voting.outcome === 'insufficient_quorum') {
+        return res.status(StatusCodes.CONFLICT).json({
+          message: 'Quórum insuficiente para una decisión válida',
+          result
+        });
+      }
       if (result.voting.decision === null) {
         return res.status(StatusCodes.CONFLICT).json({
           message: 'No se pudo determinar una predicción clara',
@@ -48,6 +264,10 @@ class OrchestratorController {
         message: 'Predicción completada con éxito',
         class: result.voting.decision,
         confidence: result.voting.confidence,
+        // Puntuación del conjunto por ventana y primer cruce del umbral (null sin ventanas)
+        windows: result.windows,
+        // Reglas de alarma evaluadas, la primera que saltó y su inicio (null sin reglas aplicables)
+        alarms: result.alarms,
         details: result
       });
     } catch (error) {
@@ -59,6 +279,46 @@ class OrchestratorController {
     }
   }
 
+  /**
+   * Consulta el historial de predicciones con filtros y paginación
+   * @param {Request} req - Objeto de solicitud HTTP
+   * @param {Response} res - Objeto de respuesta HTTP
+   */
+  async getPredictions(req, res) {
+    try {
+      const { dischargeId, from, to, decision, model, source, page, pageSize } = req.query;
+      const filters = { dischargeId, model, source, page, pageSize };
+
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (value === undefined) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          return res.status(StatusCodes.BAD_REQUEST).json({
+            error: `Fecha '${name}' inválida`
+          });
+        }
+        filters[name] = date;
+      }
+
+      if (decision !== undefined) {
+        if (!['0', '1', 'null'].includes(decision)) {
+          return res.status(StatusCodes.BAD_REQUEST).json({
+            error: 'La decisión debe ser 0, 1 o null'
+          });
+        }
+        filters.decision = decision === 'null' ? null : parseInt(decision, 10);
+      }
+
+      const history = await predictionHistory.query(filters);
+      return res.status(StatusCodes.OK).json(history);
+    } catch (error) {
+      logger.error(`Error al consultar el historial de predicciones: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Start a session for sequential automated predictions
    * @param {Request} _req
@@ -106,7 +366,7 @@ class OrchestratorController {
       const { signals, times, length } = orchestratorService.parseSensorFiles(fileData);
       const discharge = { id: dischargeId, signals, times, length };
 
-      const result = await orchestratorService.orchestrate({ discharges: [discharge] });
+      const result = await orchestratorService.orchestrate({ discharges: [discharge] }, { source: 'automated' });
 
       const rawDir = path.join(session.dir, 'raw');
       const safeName = dischargeId.replace(/[^a-zA-Z0-9_-]/g, '_');
@@ -114,36 +374,31 @@ class OrchestratorController {
 
       (result.models || []).forEach(modelResp => {
         const name = modelResp.modelName;
-        const cfg = thresholds[name] || {};
-        const justThresh = parseFloat(cfg.justification) || 0;
-        const countThresh = parseInt(cfg.count) || 1;
-
-        const rawJust = modelResp.result && modelResp.result.justification;
-        const justArray = modelResp.result && modelResp.result.windows 
-          ? modelResp.result.windows
-              .map(window => window.justification)
-              .filter(justification => justification !== undefined && justification !== null)
-              .map(justification => parseFloat(justification))
+        const rule = sessionAlarmRule(name, thresholds[name]);
+        const intervals = modelResp.result && Array.isArray(modelResp.result.windows)
+          ? windowIntervals(modelResp.result.windows, discharge)
           : [];
 
         if (!session.stats[name]) {
-          session.stats[name] = { discharges: {}, dischargeIds: [], count: countThresh };
+          session.stats[name] = { discharges: {}, dischargeIds: [], count: rule.consecutive };
         }
         if (!session.stats[name].discharges[dischargeId]) {
-          session.stats[name].discharges[dischargeId] = { justifications: [], thresholds: [], count_thresholds: [] };
+          session.stats[name].discharges[dischargeId] = {
+            windows: [], justifications: [], thresholds: [], count_thresholds: [], alarms: []
+          };
           session.stats[name].dischargeIds.push(dischargeId);
         }
 
+        // Misma evaluación que las alarmas de /predict, sobre todas las ventanas recibidas de la descarga
         const dStats = session.stats[name].discharges[dischargeId];
-        justArray.forEach(justification => {
-          const pass = justification > justThresh ? 1 : 0;
-          dStats.justifications.push(justification);
-          dStats.thresholds.push(pass);
-          const history = dStats.thresholds;
-          const countPass =
-            history.length >= countThresh && history.slice(-countThresh).every(v => v === 1) ? 1 : 0;
-          dStats.count_thresholds.push(countPass);
-        });
+        dStats.windows.push(...intervals);
+        const states = windowStates(dStats.windows.map(w => w.score), rule);
+        const { episodes } = evaluateRule(rule, dStats.windows);
+        dStats.justifications = dStats.windows.map(w => w.score);
+        dStats.thresholds = states.map(state => (state.above ? 1 : 0));
+        dStats.count_thresholds = states.map(state => (state.consecutive ? 1 : 0));
+        dStats.alarms = dStats.windows.map((w, k) =>
+          (states[k].active && episodes.some(e => w.end >= e.onset && w.end <= e.end) ? 1 : 0));
       });
 
       res.json({ ok: true });
@@ -187,7 +442,8 @@ class OrchestratorController {
         headers.push(
           `${safeId}_justification`,
           `${safeId}_justification_threshold`,
-          `${safeId}_count_threshold`
+          `${safeId}_count_threshold`,
+          `${safeId}_alarm`
         );
       });
 
@@ -203,7 +459,8 @@ class OrchestratorController {
           row.push(
             d.justifications[i] !== undefined ? d.justifications[i] : '',
             d.thresholds[i] !== undefined ? d.thresholds[i] : '',
-            d.count_thresholds[i] !== undefined ? d.count_thresholds[i] : ''
+            d.count_thresholds[i] !== undefined ? d.count_thresholds[i] : '',
+            d.alarms[i] !== undefined ? d.alarms[i] : ''
           );
         });
         rows.push(row.join(','));
@@ -214,86 +471,656 @@ class OrchestratorController {
 
     await archive.finalize();
 
-    // Cleanup
-    fs.rm(session.dir, { recursive: true, force: true }, () => {});
-    delete automatedPredictSessions[sessionId];
+    // Cleanup
+    fs.rm(session.dir, { recursive: true, force: true }, () => {});
+    delete automatedPredictSessions[sessionId];
+  }
+
+  /**
+   * Inicia una sesión de entrenamiento a la que se envían después los lotes
+   * @param {Request} req - Body: { totalDischarges, models?, autoFinish? }
+   * @param {Response} res - Objeto de respuesta HTTP
+   */
+  async startTrainingSession(req, res) {
+    const { totalDischarges, models, autoFinish = true } = req.body || {};
+
+    if (!Number.isInteger(totalDischarges) || totalDischarges <= 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: 'Se requiere "totalDischarges" como entero positivo'
+      });
+    }
+
+    try {
+      const summary = await orchestratorService.startTrainingSession(totalDischarges, {
+        models,
+        autoFinish: Boolean(autoFinish)
+      });
+      await auditTrainingStart(req, summary, { totalDischarges, autoFinish: Boolean(autoFinish) });
+      return res.status(StatusCodes.CREATED).json({
+        message: 'Sesión de entrenamiento iniciada',
+        sessionId: summary.sessionId,
+        details: summary
+      });
+    } catch (error) {
+      logger.error(`Error al iniciar sesión de entrenamiento: ${error.message}`);
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: 'Error al iniciar la sesión de entrenamiento',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Envía datos de entrenamiento a los modelos. Con `sessionId` el lote se añade a
+   * esa sesión; sin él se crea una sesión que se cierra al entregar el lote.
+   * @param {Request} req - Objeto de solicitud HTTP 
+   * @param {Response} res - Objeto de respuesta HTTP
+   */
+  async train(req, res) {
+    try {
+      const trainingData = req.body;
+      
+      // Validar que se recibieron datos de entrenamiento
+      if (!trainingData) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Se requieren datos de entrenamiento'
+        });
+      }
+      
+      // Validar que el formato sea discharges
+      if (!trainingData.discharges || !Array.isArray(trainingData.discharges) || trainingData.discharges.length === 0) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Formato de datos inválido. Se espera un objeto con un array de "discharges"'
+        });
+      }
+      
+      logger.info(`Recibida petición de entrenamiento con ${trainingData.discharges.length} descargas`);
+
+      return await sendTrainingBatch(req, res, trainingData.sessionId, trainingData.models, trainingData.discharges);
+    } catch (error) {
+      logger.error(`Error en entrenamiento: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Error al procesar la petición de entrenamiento',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Procesa descargas en bruto y las envía a los modelos para entrenamiento.
+   * El campo `metadata` admite `sessionId` y `models` igual que /train.
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async trainRaw(req, res) {
+    try {
+      const meta = req.body.metadata ? JSON.parse(req.body.metadata) : null;
+
+      if (!meta || !Array.isArray(meta.discharges) || meta.discharges.length === 0) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Discharge metadata is required'
+        });
+      }
+
+      const discharges = meta.discharges.map((d, idx) => ({
+        id: d.id || `discharge_${idx + 1}`,
+        anomalyTime: d.anomalyTime !== undefined ? d.anomalyTime : null,
+        files: []
+      }));
+
+      for (const file of req.files || []) {
+        const match = file.fieldname.match(/^discharge(\d+)$/);
+        if (match) {
+          const index = parseInt(match[1], 10);
+          if (discharges[index]) {
+            discharges[index].files.push({
+              name: file.originalname,
+              buffer: file.buffer
+            });
+          }
+        }
+      }
+
+      return await sendTrainingBatch(req, res, meta.sessionId, meta.models, discharges);
+    } catch (error) {
+      logger.error(`Error en entrenamiento raw: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Error al procesar la petición de entrenamiento',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Lista las sesiones de entrenamiento activas
+   * @param {Request} _req
+   * @param {Response} res
+   */
+  listTrainingSessions(_req, res) {
+    return res.status(StatusCodes.OK).json({ sessions: orchestratorService.listTrainingSessions() });
+  }
+
+  /**
+   * Devuelve el estado de una sesión de entrenamiento activa
+   * @param {Request} req
+   * @param {Response} res
+   */
+  getTrainingSession(req, res) {
+    const status = orchestratorService.getTrainingSessionStatus(req.params.sessionId);
+    if (!status) {
+      return res.status(StatusCodes.NOT_FOUND).json({ error: `Sesión de entrenamiento '${req.params.sessionId}' no encontrada` });
+    }
+    return res.status(StatusCodes.OK).json(status);
+  }
+
+  /**
+   * Cancela una sesión de entrenamiento activa
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async cancelTrainingSession(req, res) {
+    const status = orchestratorService.cancelTrainingSession(req.params.sessionId);
+    if (!status) {
+      return res.status(StatusCodes.NOT_FOUND).json({ error: `Sesión de entrenamiento '${req.params.sessionId}' no encontrada` });
+    }
+    logger.info(`Sesión de entrenamiento ${status.sessionId} cancelada`);
+    await auditLog.record({
+      action: 'training.cancel',
+      actor: auditLog.requestActor(req),
+      target: status.sessionId,
+      after: status
+    });
+    return res.status(StatusCodes.OK).json({ message: 'Sesión de entrenamiento cancelada', session: status });
+  }
+
+  /**
+   * Marca una sesión como finalizada: se cierra cuando se vacíen sus colas
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async finishTrainingSession(req, res) {
+    const { sessionId } = req.params;
+    if (!orchestratorService.getTrainingSession(sessionId)) {
+      return res.status(StatusCodes.NOT_FOUND).json({ error: `Sesión de entrenamiento '${sessionId}' no encontrada` });
+    }
+    orchestratorService.finishTraining(sessionId);
+    logger.info(`Sesión de entrenamiento ${sessionId} marcada como finalizada`);
+    const session = orchestratorService.getTrainingSessionStatus(sessionId);
+    await auditLog.record({
+      action: 'training.finish',
+      actor: auditLog.requestActor(req),
+      target: sessionId,
+      after: session
+    });
+    return res.status(StatusCodes.OK).json({
+      message: 'Sesión de entrenamiento finalizada',
+      sessionId,
+      session
+    });
+  }
+
+  /**
+   * Lista las descargas que no se pudieron entregar, agrupadas por modelo
+   * @param {Request} req
+   * @param {Response} res
+   */
+  getDeadLetters(req, res) {
+    return res.status(StatusCodes.OK).json({ models: orchestratorService.getDeadLetters() });
+  }
+
+  /**
+   * Reenvía las descargas fallidas de un modelo cuando su nodo vuelve a estar en línea.
+   * El cuerpo puede indicar `ids` para reenviar solo algunas entradas, y debe
+   * indicar `newRun: true` para reenviar las de sesiones ya cerradas en una
+   * ejecución de entrenamiento nueva.
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async redriveDeadLetters(req, res) {
+    const { modelName } = req.params;
+    const { ids, newRun = false } = req.body || {};
+
+    if (!config.models[modelName]) {
+      return res.status(StatusCodes.NOT_FOUND).json({ error: `Modelo '${modelName}' no encontrado` });
+    }
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ error: '"ids" debe ser un array de identificadores' });
+    }
+    if (typeof newRun !== 'boolean') {
+      return res.status(StatusCodes.BAD_REQUEST).json({ error: '"newRun" debe ser booleano' });
+    }
+    if (!orchestratorService.getDeadLetters()[modelName]) {
+      return res.status(StatusCodes.NOT_FOUND).json({ error: `No hay descargas pendientes de reenvío para '${modelName}'` });
+    }
+
+    try {
+      const summary = await orchestratorService.redriveDeadLetters(modelName, ids, { newRun });
+      logger.info(`Reenviadas ${summary.redriven} descargas a ${modelName}`);
+      for (const session of summary.sessions) {
+        await auditLog.record({
+          action: 'training.redrive',
+          actor: auditLog.requestActor(req),
+          target: session.sessionId,
+          after: { model: modelName, redriven: session.redriven }
+        });
+      }
+      if (summary.newRun) {
+        await auditTrainingStart(req, summary.newRun, { totalDischarges: summary.newRun.redriven, autoFinish: true });
+      }
+      return res.status(StatusCodes.OK).json({
+        message: 'Descargas reenviadas',
+        redriven: summary.redriven,
+        sessions: summary.sessions,
+        newRun: summary.newRun
+      });
+    } catch (error) {
+      logger.error(`Error al reenviar descargas a ${modelName}: ${error.message}`);
+      return res.status(StatusCodes.CONFLICT).json({
+        error: 'No se pudieron reenviar las descargas',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Recibe el resumen de entrenamiento de un nodo
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async trainingCompleted(req, res) {
+    try {
+      const data = req.body;
+
+      if (!data || !data.status) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Formato de TrainingResponse inválido'
+        });
+      }
+
+      const modelName = orchestratorService.findModelByAddress(req.ip);
+      const entry = orchestratorService.handleTrainingCompleted(data, { modelName });
+      return res.status(StatusCodes.OK).json({ message: 'Training summary stored', entry });
+    } catch (error) {
+      logger.error(`Error en trainingCompleted: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Lista las ejecuciones de entrenamiento registradas
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async getTrainingRuns(req, res) {
+    try {
+      return res.status(StatusCodes.OK).json({ runs: trainingHistory.list() });
+    } catch (error) {
+      logger.error(`Error al listar entrenamientos: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Devuelve una ejecución de entrenamiento con sus descargas y resúmenes
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async getTrainingRun(req, res) {
+    try {
+      const run = trainingHistory.get(req.params.id);
+      if (!run) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: `Entrenamiento '${req.params.id}' no encontrado`
+        });
+      }
+      return res.status(StatusCodes.OK).json(run);
+    } catch (error) {
+      logger.error(`Error al obtener entrenamiento: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Calcula los pesos de los modelos (y opcionalmente el umbral del soft voting)
+   * a partir de una evaluación guardada (`evaluationId`) o de un conjunto de
+   * descargas etiquetadas que se evalúa en el momento (`discharges`)
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async calibrate(req, res) {
+    try {
+      const { evaluationId, discharges, metric = 'f1', threshold = false, activate = true, name, voting } = req.body;
+
+      if (!calibrationService.metrics.includes(metric)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: `Métrica de calibración '${metric}' no soportada`,
+          metrics: calibrationService.metrics
+        });
+      }
+
+      let report;
+      if (evaluationId) {
+        report = evaluationService.get(String(evaluationId));
+        if (!report) {
+          return res.status(StatusCodes.NOT_FOUND).json({ error: `Evaluación '${evaluationId}' no encontrada` });
+        }
+      } else if (Array.isArray(discharges) && discharges.length > 0) {
+        const unlabeled = unlabeledIds(discharges);
+        if (unlabeled.length > 0) {
+          return res.status(StatusCodes.BAD_REQUEST).json({
+            error: 'Todas las descargas deben incluir anomalyTime (null si es normal) o label',
+            discharges: unlabeled
+          });
+        }
+        report = await evaluationService.evaluate(discharges, { name, voting });
+      } else {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Se requiere "evaluationId" o un array "discharges" de descargas etiquetadas'
+        });
+      }
+
+      const before = config.activeCalibration;
+      const calibration = calibrationService.calibrate(report, {
+        metric,
+        fitThreshold: Boolean(threshold),
+        activate: activate !== false,
+        name,
+        createdBy: req.user ? req.user.name : null
+      });
+      await auditLog.record({
+        action: 'calibration.create',
+        actor: auditLog.requestActor(req),
+        target: `v${calibration.version}`,
+        before: before ? { version: before.version } : null,
+        after: {
+          version: calibration.version,
+          active: activate !== false,
+          metric,
+          weights: calibration.weights,
+          threshold: calibration.threshold
+        }
+      });
+
+      return res.status(StatusCodes.OK).json({
+        message: `Calibración v${calibration.version} creada`,
+        active: config.activeCalibration ? config.activeCalibration.version : null,
+        calibration
+      });
+    } catch (error) {
+      logger.error(`Error en calibración: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Error al calibrar la votación',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Lista las calibraciones guardadas y la activa
+   * @param {Request} _req
+   * @param {Response} res
+   */
+  getCalibrations(_req, res) {
+    const active = config.activeCalibration;
+    return res.status(StatusCodes.OK).json({
+      active: active ? active.version : null,
+      calibrations: [...config.calibrations].reverse()
+    });
+  }
+
+  /**
+   * Activa una calibración guardada; `version: null` vuelve a los pesos estáticos
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async activateCalibration(req, res) {
+    try {
+      const { version } = req.body;
+      if (version !== null && !Number.isInteger(version)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Se requiere "version" (entero, o null para desactivar la calibración)'
+        });
+      }
+      if (version !== null && !config.calibrations.some(c => c.version === version)) {
+        return res.status(StatusCodes.NOT_FOUND).json({ error: `Calibración '${version}' no encontrada` });
+      }
+
+      const before = config.activeCalibration;
+      config.activateCalibration(version);
+      await auditLog.record({
+        action: 'calibration.activate',
+        actor: auditLog.requestActor(req),
+        target: version === null ? null : `v${version}`,
+        before: { version: before ? before.version : null },
+        after: { version }
+      });
+
+      return res.status(StatusCodes.OK).json({
+        message: version === null ? 'Calibración desactivada' : `Calibración v${version} activada`,
+        active: version
+      });
+    } catch (error) {
+      logger.error(`Error al activar calibración: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Entrena el meta-modelo de stacking con las predicciones etiquetadas del
+   * historial. Filtros: source, from, to; opciones: models, iterations,
+   * learningRate, l2 y minSamples
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async trainStacking(req, res) {
+    try {
+      const { source, from, to, models, iterations, learningRate, l2, minSamples } = req.body || {};
+      const options = { source, models, iterations, learningRate, l2, minSamples };
+
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (value === undefined) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          return res.status(StatusCodes.BAD_REQUEST).json({
+            error: `Fecha '${name}' inválida`
+          });
+        }
+        options[name] = date;
+      }
+      if (models !== undefined && (!Array.isArray(models) || models.some(m => typeof m !== 'string'))) {
+        return res.status(StatusCodes.BAD_REQUEST).json({ error: '"models" debe ser un array de nombres de modelo' });
+      }
+
+      const before = stackingService.model;
+      let model;
+      try {
+        model = await stackingService.train(options);
+      } catch (error) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'No se pudo entrenar el meta-modelo de stacking',
+          message: error.message
+        });
+      }
+      await auditLog.record({
+        action: 'stacking.train',
+        actor: auditLog.requestActor(req),
+        before: before ? { trainedAt: before.trainedAt, models: before.models } : null,
+        after: { trainedAt: model.trainedAt, models: model.models, samples: model.samples }
+      });
+
+      return res.status(StatusCodes.OK).json({
+        message: `Meta-modelo entrenado con ${model.samples} predicciones etiquetadas`,
+        model
+      });
+    } catch (error) {
+      logger.error(`Error al entrenar el meta-modelo: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Devuelve los coeficientes y métricas del meta-modelo de stacking
+   * @param {Request} _req
+   * @param {Response} res
+   */
+  getStacking(_req, res) {
+    if (!stackingService.isTrained()) {
+      return res.status(StatusCodes.NOT_FOUND).json({ error: 'El meta-modelo de stacking no está entrenado' });
+    }
+    return res.status(StatusCodes.OK).json(stackingService.model);
+  }
+
+  /**
+   * Lista las reglas de alarma guardadas
+   * @param {Request} _req
+   * @param {Response} res
+   */
+  getAlarmRules(_req, res) {
+    return res.status(StatusCodes.OK).json({ rules: alarmRules.list() });
   }
 
   /**
-   * Envía datos de entrenamiento a todos los modelos
-   * @param {Request} req - Objeto de solicitud HTTP 
-   * @param {Response} res - Objeto de respuesta HTTP
+   * Crea una regla de alarma o reemplaza la que tiene el mismo nombre. El modelo
+   * debe estar registrado o ser 'ensemble' (puntuación del conjunto por ventana)
+   * @param {Request} req
+   * @param {Response} res
    */
-  async train(req, res) {
+  async saveAlarmRule(req, res) {
     try {
-      const trainingData = req.body;
-      
-      // Validar que se recibieron datos de entrenamiento
-      if (!trainingData) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          error: 'Se requieren datos de entrenamiento'
-        });
-      }
-      
-      // Validar que el formato sea discharges
-      if (!trainingData.discharges || !Array.isArray(trainingData.discharges) || trainingData.discharges.length === 0) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          error: 'Formato de datos inválido. Se espera un objeto con un array de "discharges"'
-        });
+      const { model } = req.body || {};
+      if (typeof model === 'string' && model !== alarmRules.ensemble && !config.models[model]) {
+        return res.status(StatusCodes.NOT_FOUND).json({ error: `Modelo '${model}' no encontrado` });
       }
-      
-      logger.info(`Recibida petición de entrenamiento con ${trainingData.discharges.length} descargas`);
 
+      let saved;
       try {
-        let summary;
-        if (!orchestratorService.trainingSession) {
-          const hasTotal = typeof trainingData.totalDischarges === 'number';
-          const total = hasTotal ? trainingData.totalDischarges : trainingData.discharges.length;
-          summary = await orchestratorService.startTrainingSession(total, hasTotal);
-        } else if (!orchestratorService.trainingSession.autoFinish && typeof trainingData.totalDischarges === 'number') {
-          orchestratorService.trainingSession.autoFinish = true;
-          orchestratorService.trainingSession.totalDischarges = trainingData.totalDischarges;
-        } else if (orchestratorService.trainingSession.autoFinish) {
-          if (trainingData.totalDischarges && trainingData.totalDischarges > orchestratorService.trainingSession.totalDischarges) {
-            orchestratorService.trainingSession.totalDischarges = trainingData.totalDischarges;
-          }
-        } else {
-          orchestratorService.trainingSession.totalDischarges += trainingData.discharges.length;
-        }
-        await orchestratorService.sendTrainingBatch(trainingData.discharges);
-
-        if (orchestratorService.trainingSession &&
-            orchestratorService.trainingSession.autoFinish &&
-            orchestratorService.trainingSession.enqueued >= orchestratorService.trainingSession.totalDischarges) {
-          orchestratorService.finishTraining();
-        }
-
-        return res.status(StatusCodes.OK).json({
-          message: 'Entrenamiento batch procesado correctamente',
-          details: summary
-        });
+        saved = alarmRules.save(req.body);
       } catch (error) {
-        logger.error(`Error al enviar datos a modelos: ${error.message}`);
         return res.status(StatusCodes.BAD_REQUEST).json({
-          error: 'Error al enviar datos a los modelos',
+          error: 'Regla de alarma inválida',
           message: error.message
         });
       }
+      await auditLog.record({
+        action: 'alarmRule.save',
+        actor: auditLog.requestActor(req),
+        target: saved.rule.name,
+        before: saved.previous,
+        after: saved.rule
+      });
+
+      return res.status(StatusCodes.OK).json({
+        message: `Regla de alarma '${saved.rule.name}' guardada`,
+        rule: saved.rule
+      });
     } catch (error) {
-      logger.error(`Error en entrenamiento: ${error.message}`);
+      logger.error(`Error al guardar regla de alarma: ${error.message}`);
       return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-        error: 'Error al procesar la petición de entrenamiento',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Elimina una regla de alarma por su nombre
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async deleteAlarmRule(req, res) {
+    try {
+      const { name } = req.body || {};
+      if (typeof name !== 'string' || !name) {
+        return res.status(StatusCodes.BAD_REQUEST).json({ error: 'Se requiere "name"' });
+      }
+      const rule = alarmRules.remove(name);
+      if (!rule) {
+        return res.status(StatusCodes.NOT_FOUND).json({ error: `Regla de alarma '${name}' no encontrada` });
+      }
+      await auditLog.record({
+        action: 'alarmRule.delete',
+        actor: auditLog.requestActor(req),
+        target: name,
+        before: rule,
+        after: null
+      });
+
+      return res.status(StatusCodes.OK).json({ message: `Regla de alarma '${name}' eliminada` });
+    } catch (error) {
+      logger.error(`Error al eliminar regla de alarma: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Consulta el registro de auditoría, de la entrada más reciente a la más antigua.
+   * Filtros: action, actor (nombre o IP), target, from, to, page, pageSize
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async getAudit(req, res) {
+    try {
+      const { action, actor, target, from, to, page, pageSize } = req.query;
+      const filters = { action, actor, target, page, pageSize };
+
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (value === undefined) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          return res.status(StatusCodes.BAD_REQUEST).json({
+            error: `Fecha '${name}' inválida`
+          });
+        }
+        filters[name] = date;
+      }
+
+      const audit = await auditLog.query(filters);
+      return res.status(StatusCodes.OK).json(audit);
+    } catch (error) {
+      logger.error(`Error al consultar la auditoría: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Predice un conjunto de descargas etiquetadas y compara cada modelo y la
+   * decisión votada con la etiqueta real
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async evaluate(req, res) {
+    try {
+      const { discharges, name, voting, justificationThreshold } = req.body;
+      return await runEvaluation(res, discharges, { name, voting, justificationThreshold });
+    } catch (error) {
+      logger.error(`Error en evaluación: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: 'Error al procesar la evaluación',
         message: error.message
       });
     }
   }
 
   /**
-   * Procesa descargas en bruto y las envía a los modelos para entrenamiento
+   * Evalúa descargas en bruto. El campo `metadata` lleva `discharges`
+   * (id, anomalyTime, label), `name`, `voting` y `justificationThreshold`.
    * @param {Request} req
    * @param {Response} res
    */
-  async trainRaw(req, res) {
+  async evaluateRaw(req, res) {
     try {
       const meta = req.body.metadata ? JSON.parse(req.body.metadata) : null;
 
@@ -303,81 +1130,93 @@ class OrchestratorController {
         });
       }
 
-      const discharges = meta.discharges.map((d, idx) => ({
+      const raw = meta.discharges.map((d, idx) => ({
         id: d.id || `discharge_${idx + 1}`,
-        anomalyTime: d.anomalyTime !== undefined ? d.anomalyTime : null,
+        anomalyTime: d.anomalyTime,
         files: []
       }));
 
       for (const file of req.files || []) {
         const match = file.fieldname.match(/^discharge(\d+)$/);
-        if (match) {
-          const index = parseInt(match[1], 10);
-          if (discharges[index]) {
-            discharges[index].files.push({
-              name: file.originalname,
-              buffer: file.buffer
-            });
-          }
+        if (match && raw[parseInt(match[1], 10)]) {
+          raw[parseInt(match[1], 10)].files.push({
+            name: file.originalname,
+            buffer: file.buffer
+          });
         }
       }
 
-      let summary;
-      if (!orchestratorService.trainingSession) {
-        const hasTotal = typeof meta.totalDischarges === 'number';
-        const total = hasTotal ? meta.totalDischarges : discharges.length;
-        summary = await orchestratorService.startTrainingSession(total, hasTotal);
-      } else if (!orchestratorService.trainingSession.autoFinish && typeof meta.totalDischarges === 'number') {
-        orchestratorService.trainingSession.autoFinish = true;
-        orchestratorService.trainingSession.totalDischarges = meta.totalDischarges;
-      } else if (orchestratorService.trainingSession.autoFinish) {
-        if (meta.totalDischarges && meta.totalDischarges > orchestratorService.trainingSession.totalDischarges) {
-          orchestratorService.trainingSession.totalDischarges = meta.totalDischarges;
+      const discharges = [];
+      try {
+        for await (const discharge of orchestratorService.prepareTrainingStream(raw)) {
+          const { label } = meta.discharges[discharges.length];
+          discharges.push(label !== undefined ? { ...discharge, label } : discharge);
         }
-      } else {
-        orchestratorService.trainingSession.totalDischarges += discharges.length;
-      }
-
-      await orchestratorService.sendTrainingBatch(discharges);
-
-      if (orchestratorService.trainingSession &&
-          orchestratorService.trainingSession.autoFinish &&
-          orchestratorService.trainingSession.enqueued >= orchestratorService.trainingSession.totalDischarges) {
-        orchestratorService.finishTraining();
+      } catch (error) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Error al procesar los archivos de las descargas',
+          message: error.message
+        });
       }
 
-      return res.status(StatusCodes.OK).json({
-        message: 'Entrenamiento batch procesado correctamente',
-        details: summary
-      });
+      const { name, voting, justificationThreshold } = meta;
+      return await runEvaluation(res, discharges, { name, voting, justificationThreshold });
     } catch (error) {
-      logger.error(`Error en entrenamiento raw: ${error.message}`);
+      logger.error(`Error en evaluación raw: ${error.message}`);
       return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-        error: 'Error al procesar la petición de entrenamiento',
+        error: 'Error al procesar la evaluación',
         message: error.message
       });
     }
   }
 
   /**
-   * Recibe el resumen de entrenamiento de un nodo
+   * Lista los informes de evaluación guardados, del más reciente al más antiguo
+   * @param {Request} _req
+   * @param {Response} res
+   */
+  async getEvaluations(_req, res) {
+    try {
+      return res.status(StatusCodes.OK).json({ evaluations: evaluationService.list() });
+    } catch (error) {
+      logger.error(`Error al listar evaluaciones: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Devuelve un informe de evaluación en JSON o, con `format=csv`, como CSV
+   * del resumen (`table=summary`) o de cada descarga (`table=discharges`)
    * @param {Request} req
    * @param {Response} res
    */
-  async trainingCompleted(req, res) {
+  async getEvaluation(req, res) {
     try {
-      const data = req.body;
+      const { format = 'json', table = 'summary' } = req.query;
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({ error: `Formato '${format}' no soportado`, formats: ['json', 'csv'] });
+      }
+      if (!['summary', 'discharges'].includes(table)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({ error: `Tabla '${table}' no soportada`, tables: ['summary', 'discharges'] });
+      }
 
-      if (!data || !data.status) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          error: 'Formato de TrainingResponse inválido'
+      const report = evaluationService.get(req.params.id);
+      if (!report) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: `Evaluación '${req.params.id}' no encontrada`
         });
       }
 
-      const entry = orchestratorService.handleTrainingCompleted(data);
-      return res.status(StatusCodes.OK).json({ message: 'Training summary stored', entry });
+      if (format === 'csv') {
+        res.attachment(`evaluation_${report.id}_${table}.csv`);
+        res.type('text/csv');
+        return res.status(StatusCodes.OK).send(evaluationService.toCsv(report, table));
+      }
+      return res.status(StatusCodes.OK).json(report);
     } catch (error) {
-      logger.error(`Error en trainingCompleted: ${error.message}`);
+      logger.error(`Error al obtener evaluación: ${error.message}`);
       return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
         error: error.message
       });
@@ -426,9 +1265,22 @@ class OrchestratorController {
           url: config.models[modelName].url,
           trainingUrl: config.models[modelName].trainingUrl,
           healthUrl: config.models[modelName].healthUrl,
-          displayName: config.models[modelName].displayName
+          displayName: config.models[modelName].displayName,
+          weight: config.models[modelName].weight,
+          // Timeouts, cabeceras y autenticación propios del modelo, sin secretos
+          ...maskModelSecrets(config.models[modelName])
         })),
-        timeout: config.timeouts.model
+        timeout: config.timeouts.model,
+        voting: {
+          strategy: votingService.defaultStrategy,
+          softThreshold: config.voting.softThreshold,
+          strategies: votingService.list(),
+          tieBreak: votingService.tieBreak,
+          tiebreakerModel: votingService.tiebreakerModel,
+          tieBreakPolicies: votingService.tieBreakPolicies,
+          quorum: votingService.quorum,
+          calibration: config.activeCalibration
+        }
       };
       
       return res.status(StatusCodes.OK).json(safeConfig);
@@ -462,9 +1314,17 @@ class OrchestratorController {
       }
       
       // Actualizar configuración
-      config.models[modelName].enabled = enabled;
+      const before = config.models[modelName].enabled;
+      config.setModelEnabled(modelName, enabled);
       
       logger.info(`Modelo '${modelName}' ${enabled ? 'enabled' : 'disabled'}`);
+      await auditLog.record({
+        action: 'model.enabled',
+        actor: auditLog.requestActor(req),
+        target: modelName,
+        before: { enabled: before },
+        after: { enabled }
+      });
       
       return res.status(StatusCodes.OK).json({
         message: `Modelo '${modelName}' ${enabled ? 'enabled' : 'disabled'}`,
@@ -514,9 +1374,20 @@ class OrchestratorController {
       }
       
       // Actualizar configuración
+      const field = { predict: 'url', train: 'trainingUrl', health: 'healthUrl' }[type || 'predict'];
+      const before = config.models[modelName][field];
       config.updateModelUrl(modelName, url, type || 'predict');
+      // El estado del circuito pertenece a la URL anterior
+      circuitBreaker.reset(modelName);
       
       logger.info(`URL de ${type || 'predict'} del modelo '${modelName}' actualizada a ${url}`);
+      await auditLog.record({
+        action: 'model.url',
+        actor: auditLog.requestActor(req),
+        target: modelName,
+        before: { [field]: before },
+        after: { [field]: url }
+      });
       
       return res.status(StatusCodes.OK).json({
         message: `URL de ${type || 'predict'} del modelo '${modelName}' actualizada`,
@@ -556,7 +1427,15 @@ class OrchestratorController {
         });
       }
 
+      const before = config.models[modelName].displayName;
       config.updateModelDisplayName(modelName, displayName);
+      await auditLog.record({
+        action: 'model.name',
+        actor: auditLog.requestActor(req),
+        target: modelName,
+        before: { displayName: before },
+        after: { displayName }
+      });
 
       return res.status(StatusCodes.OK).json({
         message: `Nombre del modelo '${modelName}' actualizado`,
@@ -577,12 +1456,253 @@ class OrchestratorController {
     }
   }
 
+  /**
+   * Actualiza el peso estático de un modelo para la votación ponderada
+   */
+  async updateModelWeight(req, res) {
+    try {
+      const { modelName, weight } = req.body;
+
+      if (!modelName || typeof weight !== 'number' || weight < 0) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Se requiere nombre de modelo y un peso numérico no negativo'
+        });
+      }
+
+      if (!config.models[modelName]) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: `Modelo '${modelName}' no encontrado`
+        });
+      }
+
+      const before = config.models[modelName].weight;
+      config.updateModelWeight(modelName, weight);
+      await auditLog.record({
+        action: 'model.weight',
+        actor: auditLog.requestActor(req),
+        target: modelName,
+        before: { weight: before === undefined ? null : before },
+        after: { weight }
+      });
+
+      return res.status(StatusCodes.OK).json({
+        message: `Peso del modelo '${modelName}' actualizado a ${weight}`
+      });
+    } catch (error) {
+      logger.error(`Error al actualizar peso: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Actualiza los timeouts, cabeceras y autenticación de un modelo.
+   * Un campo a null elimina el ajuste; los secretos enviados ocultos se conservan.
+   */
+  async updateModelConnection(req, res) {
+    const { modelName, timeouts, headers, auth } = req.body || {};
+
+    if (!modelName || (timeouts === undefined && headers === undefined && auth === undefined)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: 'Se requiere nombre de modelo y timeouts, cabeceras o autenticación'
+      });
+    }
+
+    if (!config.models[modelName]) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        error: `Modelo '${modelName}' no encontrado`
+      });
+    }
+
+    const before = maskModelSecrets(config.models[modelName]);
+    try {
+      config.updateModelConnection(modelName, { timeouts, headers, auth });
+    } catch (error) {
+      logger.error(`Error al actualizar conexión de ${modelName}: ${error.message}`);
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: 'Configuración de conexión no válida',
+        message: error.message
+      });
+    }
+
+    logger.info(`Conexión del modelo '${modelName}' actualizada`);
+    await auditLog.record({
+      action: 'model.connection',
+      actor: auditLog.requestActor(req),
+      target: modelName,
+      before,
+      after: maskModelSecrets(config.models[modelName])
+    });
+    return res.status(StatusCodes.OK).json({
+      message: `Conexión del modelo '${modelName}' actualizada`,
+      model: modelName,
+      ...maskModelSecrets(config.models[modelName])
+    });
+  }
+
+  /**
+   * Cambia la estrategia de votación, la política de desempate y el quórum por
+   * defecto, y los guarda en el registro persistente
+   */
+  async updateVotingConfig(req, res) {
+    try {
+      const { strategy, tieBreak, tiebreakerModel, quorum } = req.body;
+
+      if (!strategy && !tieBreak && tiebreakerModel === undefined && quorum === undefined) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: 'Se requiere una estrategia, una política de desempate, un modelo de desempate o un quórum'
+        });
+      }
+
+      if (strategy && !votingService.has(strategy)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: `Estrategia de votación '${strategy}' no soportada`,
+          strategies: votingService.list()
+        });
+      }
+
+      if (tieBreak && !votingService.tieBreakPolicies.includes(tieBreak)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          error: `Política de desempate '${tieBreak}' no soportada`,
+          tieBreakPolicies: votingService.tieBreakPolicies
+        });
+      }
+
+      if (tiebreakerModel && !config.models[tiebreakerModel]) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          error: `Modelo '${tiebreakerModel}' no encontrado`
+        });
+      }
+
+      let quorumRule;
+      if (quorum !== undefined) {
+        try {
+          quorumRule = votingService.normalizeQuorum(quorum);
+        } catch (error) {
+          return res.status(StatusCodes.BAD_REQUEST).json({ error: 'Quórum no válido', message: error.message });
+        }
+        const unknown = quorumRule.mandatory.filter(m => !config.models[m]);
+        if (unknown.length > 0) {
+          return res.status(StatusCodes.NOT_FOUND).json({
+            error: `Modelos obligatorios no encontrados: ${unknown.join(', ')}`
+          });
+        }
+      }
+
+      const before = {
+        strategy: votingService.defaultStrategy,
+        tieBreak: votingService.tieBreak,
+        tiebreakerModel: votingService.tiebreakerModel,
+        quorum: votingService.quorum
+      };
+      config.setVoting({
+        strategy: strategy || undefined,
+        tieBreak: tieBreak || undefined,
+        tiebreakerModel: tiebreakerModel !== undefined ? tiebreakerModel || null : undefined,
+        quorum: quorumRule
+      });
+      if (strategy) votingService.defaultStrategy = strategy;
+      if (tieBreak) votingService.tieBreak = tieBreak;
+      if (tiebreakerModel !== undefined) votingService.tiebreakerModel = tiebreakerModel || null;
+      if (quorumRule) votingService.quorum = quorumRule;
+      logger.info(`Votación por defecto: ${votingService.defaultStrategy}, desempate: ${votingService.tieBreak}`);
+      await auditLog.record({
+        action: 'voting.update',
+        actor: auditLog.requestActor(req),
+        before,
+        after: {
+          strategy: votingService.defaultStrategy,
+          tieBreak: votingService.tieBreak,
+          tiebreakerModel: votingService.tiebreakerModel,
+          quorum: votingService.quorum
+        }
+      });
+
+      return res.status(StatusCodes.OK).json({
+        message: 'Configuración de votación actualizada',
+        strategy: votingService.defaultStrategy,
+        tieBreak: votingService.tieBreak,
+        tiebreakerModel: votingService.tiebreakerModel,
+        quorum: votingService.quorum
+      });
+    } catch (error) {
+      logger.error(`Error al actualizar votación: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Exporta la configuración completa de modelos. Los secretos salen ocultos;
+   * con `?secrets=true` se obtiene la copia de seguridad completa, que los
+   * incluye en claro y queda registrada en la auditoría
+   */
+  async exportModels(req, res) {
+    try {
+      const secrets = req.query.secrets === 'true';
+      const exported = config.exportModels({ secrets });
+      if (secrets) {
+        await auditLog.record({
+          action: 'models.export',
+          actor: auditLog.requestActor(req),
+          after: { secrets, models: Object.keys(exported.models) }
+        });
+      }
+      res.set('Content-Disposition', 'attachment; filename="models.json"');
+      return res.status(StatusCodes.OK).json(exported);
+    } catch (error) {
+      logger.error(`Error al exportar modelos: ${error.message}`);
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Importa una configuración de modelos exportada previamente
+   */
+  async importModels(req, res) {
+    const mode = req.query.mode || req.body.mode || 'merge';
+
+    let imported;
+    try {
+      imported = config.importModels(req.body, mode);
+    } catch (error) {
+      logger.warn(`Configuración de modelos rechazada: ${error.message}`);
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        error: error.message
+      });
+    }
+
+    logger.info(`Importados ${imported.length} modelos (modo ${mode})`);
+    await auditLog.record({
+      action: 'models.import',
+      actor: auditLog.requestActor(req),
+      after: { mode, imported }
+    });
+
+    return res.status(StatusCodes.OK).json({
+      message: `Importados ${imported.length} modelos`,
+      imported,
+      models: Object.keys(config.models).map(model => ({
+        name: model,
+        enabled: config.models[model].enabled,
+        url: config.models[model].url,
+        trainingUrl: config.models[model].trainingUrl,
+        healthUrl: config.models[model].healthUrl,
+        displayName: config.models[model].displayName
+      }))
+    });
+  }
+
   /**
    * Agrega un nuevo modelo a la configuración
    */
   async addModel(req, res) {
     try {
-      const { name, url, trainingUrl, healthUrl } = req.body;
+      const { name, url, trainingUrl, healthUrl, weight, timeouts, headers, auth } = req.body;
 
       if (!name || !url || !trainingUrl || !healthUrl) {
         return res.status(StatusCodes.BAD_REQUEST).json({
@@ -590,7 +1710,13 @@ class OrchestratorController {
         });
       }
 
-      const key = config.addModel(name, { url, trainingUrl, healthUrl });
+      const key = config.addModel(name, { url, trainingUrl, healthUrl, weight, timeouts, headers, auth });
+      await auditLog.record({
+        action: 'model.add',
+        actor: auditLog.requestActor(req),
+        target: key,
+        after: auditLog.modelSnapshot(config.models[key])
+      });
 
       return res.status(StatusCodes.OK).json({
         message: `Modelo '${name}' agregado`,
@@ -631,7 +1757,15 @@ class OrchestratorController {
         });
       }
 
+      const before = auditLog.modelSnapshot(config.models[modelName]);
       config.removeModel(modelName);
+      circuitBreaker.reset(modelName);
+      await auditLog.record({
+        action: 'model.delete',
+        actor: auditLog.requestActor(req),
+        target: modelName,
+        before
+      });
 
       return res.status(StatusCodes.OK).json({
         message: `Modelo '${modelName}' eliminado`,
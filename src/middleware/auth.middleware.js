@@ -0,0 +1,45 @@
+const { StatusCodes } = require('http-status-codes');
+const authService = require('../services/auth.service');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware que identifica al cliente por su clave de API y la guarda en `req.user`
+ * @param {Request} req - Objeto de solicitud HTTP
+ * @param {Response} res - Objeto de respuesta HTTP
+ * @param {Function} next - Función para continuar con el siguiente middleware
+ */
+function authenticate(req, res, next) {
+  const user = authService.authenticate(authService.tokenFromHeaders(req.headers));
+  if (!user) {
+    logger.warn(`Petición sin autenticar rechazada: ${req.method} ${req.originalUrl} desde ${req.ip}`);
+    return res.status(StatusCodes.UNAUTHORIZED).json({
+      error: 'Se requiere una clave de API válida'
+    });
+  }
+  req.user = user;
+  return next();
+}
+
+/**
+ * Crea un middleware que exige un rol mínimo (viewer < operator < admin)
+ * @param {string} role - Rol mínimo requerido
+ * @returns {Function} - Middleware de Express
+ */
+function requireRole(role) {
+  const middleware = (req, res, next) => {
+    if (!authService.hasRole(req.user, role)) {
+      return res.status(StatusCodes.FORBIDDEN).json({
+        error: `Se requiere el rol '${role}'`
+      });
+    }
+    return next();
+  };
+  // Rol requerido, leído al generar la especificación OpenAPI
+  middleware.role = role;
+  return middleware;
+}
+
+module.exports = {
+  authenticate,
+  requireRole
+};
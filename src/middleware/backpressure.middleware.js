@@ -0,0 +1,32 @@
+const { StatusCodes } = require('http-status-codes');
+const orchestratorService = require('../services/orchestrator.service');
+const logger = require('../utils/logger');
+
+// Segundos que se indican al cliente antes de volver a intentar la subida
+const RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Middleware que rechaza nuevas subidas de entrenamiento mientras las colas
+ * están llenas o se alcanzó el límite de memoria, para que el cliente reintente
+ * más tarde en lugar de acumular datos en el orquestador
+ * @param {Request} req - Objeto de solicitud HTTP
+ * @param {Response} res - Objeto de respuesta HTTP
+ * @param {Function} next - Función para continuar con el siguiente middleware
+ */
+function trainingBackpressure(req, res, next) {
+  const reason = orchestratorService.trainingSaturation();
+  if (!reason) {
+    return next();
+  }
+
+  logger.warn(`Subida de entrenamiento rechazada: ${reason}`);
+  res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+  return res.status(StatusCodes.SERVICE_UNAVAILABLE).json({
+    error: 'Las colas de entrenamiento están llenas, inténtelo más tarde',
+    message: reason
+  });
+}
+
+module.exports = {
+  trainingBackpressure
+};
@@ -1,124 +1,58 @@
 const { StatusCodes } = require('http-status-codes');
 const logger = require('../utils/logger');
+const { validateSchema } = require('../utils/schemas');
 
 /**
- * Middleware para validar el formato de los datos experimentales (formato discharges)
- * @param {Request} req - Objeto de solicitud HTTP
- * @param {Response} res - Objeto de respuesta HTTP
- * @param {Function} next - Función para continuar con el siguiente middleware
+ * Comprueba que cada señal tiene tantos valores como tiempos. El esquema JSON
+ * no puede comparar longitudes de arrays, así que se verifica aparte.
+ * @param {Array<Object>} discharges - Descargas ya validadas por el esquema
+ * @returns {Array<Object>} - Errores { path, message }
  */
-function validatedischargealData(req, res, next) {
-  const data = req.body;
-  
-  try {
-    // Validar formato discharges
-    if (!data || !data.discharges || !Array.isArray(data.discharges)) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        error: 'Formato de datos no válido. Se espera un objeto con un array "discharges"'
-      });
-    }
-    
-    // Verificar que hay al menos un descarga
-    if (data.discharges.length === 0) {
+function signalLengthErrors(discharges) {
+  const errors = [];
+  discharges.forEach((discharge, i) => {
+    discharge.signals.forEach((signal, j) => {
+      const times = discharge.times || signal.times;
+      if (times.length !== signal.values.length) {
+        errors.push({
+          path: `/discharges/${i}/signals/${j}/values`,
+          message: `must have the same length as the times (${signal.values.length} values, ${times.length} times)`
+        });
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Crea un middleware que valida el cuerpo de la petición contra un esquema de
+ * schemas/api-schemas.json. Los errores indican la ruta del campo no válido.
+ * @param {string} schemaName - Nombre del esquema (predictionRequest, trainingRequest, trainingResponse...)
+ * @returns {Function} - Middleware de Express
+ */
+function validateRequest(schemaName) {
+  const middleware = (req, res, next) => {
+    const { valid, errors } = validateSchema(schemaName, req.body);
+    const details = valid && Array.isArray(req.body.discharges)
+      ? signalLengthErrors(req.body.discharges)
+      : errors;
+
+    if (details.length > 0) {
+      logger.warn(`Petición rechazada por el esquema ${schemaName}: ${details.map(e => `${e.path} ${e.message}`).join('; ')}`);
       return res.status(StatusCodes.BAD_REQUEST).json({
-        error: 'Se requiere al menos un descarga'
+        error: `Formato de datos no válido según el esquema ${schemaName}`,
+        details
       });
     }
-    
-    // Validar cada descarga
-    for (const discharge of data.discharges) {
-      // Verificar que tiene ID y señales
-      if (!discharge.id) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          error: 'Cada descarga debe tener un ID'
-        });
-      }
-      
-      if (!discharge.signals || !Array.isArray(discharge.signals) || discharge.signals.length === 0) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          error: `La descarga ${discharge.id} debe tener al menos un sensor`
-        });
-      }
-      
-      // Si tiene tiempos a nivel de descarga, validarlos
-      if (discharge.times) {
-        if (!Array.isArray(discharge.times) || discharge.times.length === 0) {
-          return res.status(StatusCodes.BAD_REQUEST).json({
-            error: `La descarga ${discharge.id} tiene un formato de tiempos inválido`
-          });
-        }
-        
-        // Verificar que todos los valores son numéricos
-        if (discharge.times.some(value => typeof value !== 'number' || isNaN(value))) {
-          return res.status(StatusCodes.BAD_REQUEST).json({
-            error: `La descarga ${discharge.id} tiene valores de tiempo no numéricos`
-          });
-        }
-      }
-      
-      // Validar señales
-      for (const sensor of discharge.signals) {
-        // Verificar nombre de archivo
-        if (!sensor.fileName) {
-          return res.status(StatusCodes.BAD_REQUEST).json({
-            error: `Sensor sin nombre de archivo en descarga ${discharge.id}`
-          });
-        }
-        
-        // Verificar valores
-        if (!Array.isArray(sensor.values) || sensor.values.length === 0) {
-          return res.status(StatusCodes.BAD_REQUEST).json({
-            error: `El sensor ${sensor.fileName} del descarga ${discharge.id} debe tener un array de valores no vacío`
-          });
-        }
-        
-        // Si el descarga no tiene tiempos comunes, el sensor debe tenerlos
-        if (!discharge.times) {
-          if (!Array.isArray(sensor.times) || sensor.times.length === 0) {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-              error: `El sensor ${sensor.fileName} del descarga ${discharge.id} debe tener un array de tiempos cuando no hay tiempos a nivel de descarga`
-            });
-          }
-          
-          if (sensor.times.length !== sensor.values.length) {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-              error: `El sensor ${sensor.fileName} del descarga ${discharge.id} tiene diferentes longitudes para tiempos (${sensor.times.length}) y valores (${sensor.values.length})`
-            });
-          }
-          
-          // Verificar que los tiempos son numéricos
-          if (sensor.times.some(value => typeof value !== 'number' || isNaN(value))) {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-              error: `El sensor ${sensor.fileName} del descarga ${discharge.id} tiene valores de tiempo no numéricos`
-            });
-          }
-        } else {
-          // Si hay tiempos a nivel de descarga, verificar que las longitudes coincidan
-          if (discharge.times.length !== sensor.values.length) {
-            return res.status(StatusCodes.BAD_REQUEST).json({
-              error: `El sensor ${sensor.fileName} del descarga ${discharge.id} tiene una longitud de valores (${sensor.values.length}) que no coincide con la longitud de tiempos del descarga (${discharge.times.length})`
-            });
-          }
-        }
-        
-        // Verificar que los valores son numéricos
-        if (sensor.values.some(value => typeof value !== 'number' || isNaN(value))) {
-          return res.status(StatusCodes.BAD_REQUEST).json({
-            error: `El sensor ${sensor.fileName} del descarga ${discharge.id} tiene valores no numéricos`
-          });
-        }
-      }
+
+    if (Array.isArray(req.body.discharges)) {
+      logger.info(`Validación exitosa: ${req.body.discharges.length} descargas con datos de señales`);
     }
-    
-    logger.info(`Validación exitosa: ${data.discharges.length} descargas con datos de señales`);
-    next();
-  } catch (error) {
-    logger.error(`Error en validación de datos: ${error.message}`);
-    return res.status(StatusCodes.BAD_REQUEST).json({
-      error: 'Error en la validación de los datos dischargeales',
-      details: error.message
-    });
-  }
+    return next();
+  };
+  // Esquema del cuerpo, leído al generar la especificación OpenAPI
+  middleware.schema = schemaName;
+  return middleware;
 }
 
 /**
@@ -146,6 +80,6 @@ function validateModelConfig(req, res, next) {
 }
 
 module.exports = {
-  validatedischargealData,
+  validateRequest,
   validateModelConfig
 };
\ No newline at end of file
@@ -2,32 +2,86 @@ const express = require('express');
 const multer = require('multer');
 const os = require('os');
 const orchestratorController = require('../controllers/orchestrator.controller');
-const { validatedischargealData, validateModelConfig } = require('../middleware/validation.middleware');
+const { validateRequest, validateModelConfig } = require('../middleware/validation.middleware');
+const { trainingBackpressure } = require('../middleware/backpressure.middleware');
+const { authenticate, requireRole } = require('../middleware/auth.middleware');
+const { buildOpenApi } = require('../utils/openapi');
 
 const memoryUpload = multer();
 const diskUpload = multer({ dest: os.tmpdir() });
 const router = express.Router();
 
+// Roles: viewer solo consulta, operator predice y entrena, admin cambia la configuración;
+// node es la clave de los nodos de modelo, que solo envían los avisos de fin de entrenamiento
+const viewer = requireRole('viewer');
+const operator = requireRole('operator');
+const admin = requireRole('admin');
+const node = requireRole('node');
+
+// Especificación OpenAPI generada a partir de este router y página de documentación (públicas)
+router.get('/openapi.json', (req, res) => res.json(buildOpenApi(router)));
+router.get('/docs', (req, res) => res.render('api_docs'));
+
+router.use(authenticate);
+
 // Ruta para realizar predicciones
-router.post('/predict', validatedischargealData, orchestratorController.predict);
-router.post('/automated-predicts/session', orchestratorController.startAutomatedPredictsSession);
-router.post('/automated-predicts/session/:sessionId', diskUpload.any(), orchestratorController.uploadAutomatedPredict);
-router.get('/automated-predicts/session/:sessionId/zip', orchestratorController.finalizeAutomatedPredicts);
+router.post('/predict', operator, validateRequest('predictionRequest'), orchestratorController.predict);
+router.get('/predictions', viewer, orchestratorController.getPredictions);
+router.post('/automated-predicts/session', operator, orchestratorController.startAutomatedPredictsSession);
+router.post('/automated-predicts/session/:sessionId', operator, diskUpload.any(), orchestratorController.uploadAutomatedPredict);
+router.get('/automated-predicts/session/:sessionId/zip', operator, orchestratorController.finalizeAutomatedPredicts);
 
 // Ruta para entrenamiento de modelos
-router.post('/train', validatedischargealData, orchestratorController.train);
-router.post('/train/raw', memoryUpload.any(), orchestratorController.trainRaw);
-router.post('/trainingCompleted', orchestratorController.trainingCompleted);
+router.post('/train', operator, trainingBackpressure, validateRequest('trainingRequest'), orchestratorController.train);
+router.post('/train/raw', operator, trainingBackpressure, memoryUpload.any(), orchestratorController.trainRaw);
+router.post('/train/session', operator, orchestratorController.startTrainingSession);
+router.get('/train/sessions', viewer, orchestratorController.listTrainingSessions);
+router.get('/train/session/:sessionId', viewer, orchestratorController.getTrainingSession);
+router.post('/train/session/:sessionId/cancel', operator, orchestratorController.cancelTrainingSession);
+router.post('/train/session/:sessionId/finish', operator, orchestratorController.finishTrainingSession);
+router.get('/train/dead-letter', viewer, orchestratorController.getDeadLetters);
+router.post('/train/dead-letter/:modelName/redrive', operator, orchestratorController.redriveDeadLetters);
+router.post('/trainingCompleted', node, validateRequest('trainingResponse'), orchestratorController.trainingCompleted);
+router.get('/training/runs', viewer, orchestratorController.getTrainingRuns);
+router.get('/training/runs/:id', viewer, orchestratorController.getTrainingRun);
+
+// Evaluación de los modelos con descargas etiquetadas
+router.post('/evaluate', operator, validateRequest('evaluationRequest'), orchestratorController.evaluate);
+router.post('/evaluate/raw', operator, memoryUpload.any(), orchestratorController.evaluateRaw);
+router.get('/evaluations', viewer, orchestratorController.getEvaluations);
+router.get('/evaluations/:id', viewer, orchestratorController.getEvaluation);
+
+// Calibración de los pesos de la votación a partir de evaluaciones
+router.post('/calibrate', admin, orchestratorController.calibrate);
+router.get('/calibrations', viewer, orchestratorController.getCalibrations);
+router.post('/config/calibration', admin, orchestratorController.activateCalibration);
+
+// Meta-modelo de stacking entrenado con el historial de predicciones etiquetadas
+router.post('/stacking/train', admin, orchestratorController.trainStacking);
+router.get('/stacking', viewer, orchestratorController.getStacking);
+
+// Reglas de alarma sobre las justificaciones por ventana
+router.get('/alarm-rules', viewer, orchestratorController.getAlarmRules);
+router.post('/config/alarm-rules', admin, orchestratorController.saveAlarmRule);
+router.post('/config/alarm-rules/delete', admin, orchestratorController.deleteAlarmRule);
+
+// Registro de auditoría de configuración y entrenamiento
+router.get('/audit', admin, orchestratorController.getAudit);
 
 // Ruta para verificar la salud de los servicios
-router.get('/health', orchestratorController.health);
+router.get('/health', viewer, orchestratorController.health);
 
 // Rutas para la gestión de configuración
-router.get('/config', orchestratorController.getConfig);
-router.post('/config/model', validateModelConfig, orchestratorController.updateModelConfig);
-router.post('/config/url', orchestratorController.updateModelUrl);
-router.post('/config/model/name', orchestratorController.updateModelName);
-router.post('/config/model/add', orchestratorController.addModel);
-router.post('/config/model/delete', orchestratorController.deleteModel);
+router.get('/config', viewer, orchestratorController.getConfig);
+router.post('/config/model', admin, validateModelConfig, orchestratorController.updateModelConfig);
+router.post('/config/url', admin, orchestratorController.updateModelUrl);
+router.post('/config/model/name', admin, orchestratorController.updateModelName);
+router.post('/config/model/weight', admin, orchestratorController.updateModelWeight);
+router.post('/config/model/connection', admin, orchestratorController.updateModelConnection);
+router.post('/config/voting', admin, orchestratorController.updateVotingConfig);
+router.post('/config/model/add', admin, orchestratorController.addModel);
+router.post('/config/model/delete', admin, orchestratorController.deleteModel);
+router.get('/config/models/export', admin, orchestratorController.exportModels);
+router.post('/config/models/import', admin, orchestratorController.importModels);
 
 module.exports = router;
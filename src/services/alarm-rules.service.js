@@ -0,0 +1,123 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/storage');
+const { normalizeRule, evaluateRule } = require('../utils/alarms');
+const { windowIntervals } = require('../utils/windows');
+
+// Modelo de las reglas que se evalúan sobre la puntuación del conjunto
+const ENSEMBLE = 'ensemble';
+
+/**
+ * Reglas de alarma con nombre sobre las justificaciones por ventana de un modelo
+ * (o sobre la puntuación por ventana del conjunto). Una regla salta cuando
+ * `consecutive` ventanas seguidas alcanzan `threshold`, sigue levantada hasta que
+ * una ventana baja de `threshold - hysteresis` y solo informa las alarmas que
+ * duran al menos `minDuration`. Las reglas se guardan en `data/alarm-rules.json`.
+ */
+class AlarmRulesService {
+  constructor() {
+    this.ensemble = ENSEMBLE;
+    this.file = process.env.ALARM_RULES_FILE || path.join(config.dataDir, 'alarm-rules.json');
+    this.rules = readJson(this.file, []);
+  }
+
+  /**
+   * Reglas guardadas, en orden de creación
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.rules;
+  }
+
+  /**
+   * Regla por nombre
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.rules.find(rule => rule.name === name) || null;
+  }
+
+  /**
+   * Primera regla activa de un modelo
+   * @param {string} model
+   * @returns {Object|null}
+   */
+  ruleFor(model) {
+    return this.rules.find(rule => rule.enabled && rule.model === model) || null;
+  }
+
+  /**
+   * Crea una regla o sustituye la que tiene el mismo nombre
+   * @param {Object} rule - { name, model, threshold, consecutive, hysteresis, minDuration, enabled, description }
+   * @returns {Object} - { rule, previous } con la regla guardada y la sustituida (o null)
+   */
+  save(rule) {
+    const normalized = normalizeRule(rule);
+    const previous = this.get(normalized.name);
+    this.rules = previous
+      ? this.rules.map(r => (r.name === normalized.name ? normalized : r))
+      : [...this.rules, normalized];
+    writeJsonAtomic(this.file, this.rules);
+    logger.info(`Alarm rule '${normalized.name}' saved for ${normalized.model}`);
+    return { rule: normalized, previous };
+  }
+
+  /**
+   * Borra una regla
+   * @param {string} name
+   * @returns {Object|null} - Regla borrada, o null si no existía
+   */
+  remove(name) {
+    const rule = this.get(name);
+    if (!rule) return null;
+    this.rules = this.rules.filter(r => r.name !== name);
+    writeJsonAtomic(this.file, this.rules);
+    logger.info(`Alarm rule '${name}' deleted`);
+    return rule;
+  }
+
+  /**
+   * Evalúa las reglas activas sobre la predicción de una descarga. Se omiten las
+   * reglas de los modelos que no respondieron o no devolvieron ventanas puntuadas.
+   * @param {Array<Object>} responses - Respuestas de los modelos para la descarga
+   * @param {Object} discharge - Descarga predicha
+   * @param {Object|null} windows - Puntuación por ventana del conjunto (resultado de ensembleWindows)
+   * @returns {Object|null} - { fired, onset, rule, model, rules }, donde `rule` y
+   *   `model` identifican la primera alarma; null si no se aplica ninguna regla
+   */
+  evaluate(responses, discharge, windows) {
+    const results = [];
+    this.rules.filter(rule => rule.enabled).forEach(rule => {
+      let intervals = [];
+      if (rule.model === ENSEMBLE) {
+        intervals = windows ? windows.windows : [];
+      } else {
+        const response = responses.find(r => r.modelName === rule.model);
+        if (response && response.status === 'success' && response.result && Array.isArray(response.result.windows)) {
+          intervals = windowIntervals(response.result.windows, discharge);
+        }
+      }
+      if (intervals.length > 0) {
+        results.push(evaluateRule(rule, intervals));
+      }
+    });
+    if (results.length === 0) {
+      return null;
+    }
+
+    const first = results
+      .filter(result => result.fired)
+      .sort((a, b) => a.onset - b.onset)[0];
+    return {
+      fired: Boolean(first),
+      onset: first ? first.onset : null,
+      rule: first ? first.rule : null,
+      model: first ? first.model : null,
+      rules: results
+    };
+  }
+}
+
+module.exports = new AlarmRulesService();
@@ -0,0 +1,129 @@
+const path = require('path');
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { appendJsonLine, readJsonLines } = require('../utils/storage');
+const { maskModelSecrets } = require('../utils/model-request');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Registro de auditoría de las acciones de configuración y entrenamiento, en un
+ * JSONL al que solo se añaden líneas. Cada entrada indica quién hizo qué
+ * (`actor`), sobre qué `target`, y los valores antes y después del cambio. Los
+ * secretos de los modelos se ocultan.
+ */
+class AuditService {
+  constructor() {
+    this.file = process.env.AUDIT_LOG_FILE || path.join(config.dataDir, 'audit.jsonl');
+    // Serializa las escrituras para que acciones simultáneas no mezclen líneas
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Actor de una petición HTTP: el usuario autenticado y la IP del cliente
+   * @param {Request} req
+   * @returns {Object} - { name, role, ip }
+   */
+  requestActor(req) {
+    const user = req.user || {};
+    return { name: user.name || null, role: user.role || null, ip: req.ip || null };
+  }
+
+  /**
+   * Actor de un evento de Socket.IO
+   * @param {Socket} socket
+   * @returns {Object} - { name, role, ip }
+   */
+  socketActor(socket) {
+    const user = (socket.data && socket.data.user) || {};
+    return { name: user.name || null, role: user.role || null, ip: socket.handshake.address || null };
+  }
+
+  /**
+   * Vista guardada de una entrada del registro de modelos, con los secretos ocultos
+   * @param {Object} modelConfig - Entrada del registro de modelos
+   * @returns {Object|null}
+   */
+  modelSnapshot(modelConfig) {
+    if (!modelConfig) return null;
+    const { url, trainingUrl, healthUrl, enabled, displayName, weight } = modelConfig;
+    return { url, trainingUrl, healthUrl, enabled, displayName, weight, ...maskModelSecrets(modelConfig) };
+  }
+
+  /**
+   * Añade una acción al registro de auditoría. Los fallos se registran y nunca interrumpen la acción.
+   * @param {Object} action - { action, actor, target, before, after, details }
+   * @returns {Promise<Object|null>} - Entrada guardada, o null si no se pudo escribir
+   */
+  async record({ action, actor, target = null, before = null, after = null, details }) {
+    const entry = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      action,
+      actor: actor || { name: 'system', role: null, ip: null },
+      target,
+      before,
+      after
+    };
+    if (details !== undefined) {
+      entry.details = details;
+    }
+
+    const write = this.writeQueue.then(() => appendJsonLine(this.file, entry));
+    this.writeQueue = write.catch(() => {});
+    try {
+      await write;
+    } catch (error) {
+      logger.error(`Error writing audit entry ${action}: ${error.message}`);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Comprueba si una entrada cumple los filtros de la consulta
+   * @param {Object} entry
+   * @param {Object} filters - { action, actor, target, from, to }
+   * @returns {boolean}
+   */
+  matches(entry, filters) {
+    if (filters.action && entry.action !== filters.action) return false;
+    if (filters.actor && entry.actor.name !== filters.actor && entry.actor.ip !== filters.actor) return false;
+    if (filters.target && entry.target !== filters.target) return false;
+    const time = Date.parse(entry.timestamp);
+    if (filters.from && time < filters.from.getTime()) return false;
+    if (filters.to && time > filters.to.getTime()) return false;
+    return true;
+  }
+
+  /**
+   * Consulta el registro de auditoría, de la entrada más reciente a la más antigua
+   * @param {Object} filters - { action, actor, target, from, to, page, pageSize }
+   * @returns {Promise<Object>} - { total, page, pageSize, items }
+   */
+  async query(filters = {}) {
+    const page = Math.max(1, parseInt(filters.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+    await this.writeQueue;
+    const matched = [];
+    for await (const entry of readJsonLines(this.file)) {
+      if (this.matches(entry, filters)) {
+        matched.push(entry);
+      }
+    }
+    matched.reverse();
+
+    const start = (page - 1) * pageSize;
+    return {
+      total: matched.length,
+      page,
+      pageSize,
+      items: matched.slice(start, start + pageSize)
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Roles ordenados de menor a mayor privilegio
+const ROLES = ['viewer', 'operator', 'admin'];
+// Rol de los nodos de modelos: fuera de la jerarquía, solo da acceso a los resúmenes de entrenamiento
+const NODE_ROLE = 'node';
+
+/**
+ * Autenticación con claves de API y roles. Las claves vienen de `API_KEYS`
+ * (entradas "nombre:rol:clave"). Sin claves la autenticación está desactivada y
+ * cualquier cliente se trata como un admin anónimo. Las claves con el rol `node`
+ * son para los nodos de modelos y solo dan acceso a las rutas `node`.
+ */
+class AuthService {
+  constructor() {
+    this.roles = ROLES;
+    this.nodeRole = NODE_ROLE;
+    this.keys = [];
+    config.auth.keys.forEach(entry => {
+      if (!ROLES.includes(entry.role) && entry.role !== NODE_ROLE) {
+        logger.error(`Ignoring API key '${entry.name}': unknown role '${entry.role}'`);
+        return;
+      }
+      this.keys.push(entry);
+    });
+    if (this.keys.length === 0) {
+      logger.warn('No API keys configured: the API and dashboard are open to anyone');
+    }
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * Identifica al cliente de una clave de API
+   * @param {string} token - Clave de API enviada por el cliente
+   * @returns {Object|null} - { name, role }, o null si la clave no existe
+   */
+  authenticate(token) {
+    if (!this.enabled) {
+      return { name: 'anonymous', role: 'admin' };
+    }
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+    const given = Buffer.from(token);
+    const match = this.keys.find(entry => {
+      const expected = Buffer.from(entry.key);
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  /**
+   * Extrae la clave de API de una petición: `Authorization: Bearer <clave>` o `X-API-Key`
+   * @param {Object} headers - Cabeceras de la petición
+   * @returns {string|null}
+   */
+  tokenFromHeaders(headers = {}) {
+    const authorization = headers.authorization;
+    if (authorization && authorization.startsWith('Bearer ')) {
+      return authorization.slice('Bearer '.length).trim();
+    }
+    return headers['x-api-key'] || null;
+  }
+
+  /**
+   * Comprueba si un usuario tiene al menos el rol indicado. El rol `node` lo
+   * tienen las claves de nodo y los operadores y admins.
+   * @param {Object} user - { name, role }
+   * @param {string} role - Rol mínimo
+   * @returns {boolean}
+   */
+  hasRole(user, role) {
+    if (!user) return false;
+    if (role === NODE_ROLE) {
+      return user.role === NODE_ROLE || this.hasRole(user, 'operator');
+    }
+    return ROLES.includes(user.role) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,169 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Métricas con las que se calculan los pesos
+const METRICS = ['f1', 'logloss'];
+
+// Las probabilidades se recortan para que el log-loss sea finito
+const EPSILON = 1e-6;
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Probabilidad de anomalía que da un modelo para una descarga, tal como la lee
+ * la votación suave (la confianza es 1 si falta)
+ * @param {Object} outcome - Fila de un modelo en un informe de evaluación
+ * @returns {number}
+ */
+function anomalyProbability(outcome) {
+  const confidence = typeof outcome.confidence === 'number' ? outcome.confidence : 1;
+  return outcome.prediction === 1 ? confidence : 1 - confidence;
+}
+
+/**
+ * Log-loss medio de las probabilidades de anomalía frente a las etiquetas
+ * @param {Array<Object>} points - { label, probability }
+ * @returns {number|null}
+ */
+function logLoss(points) {
+  if (points.length === 0) return null;
+  const total = points.reduce((sum, { label, probability }) => {
+    const p = Math.min(Math.max(probability, EPSILON), 1 - EPSILON);
+    return sum - (label === 1 ? Math.log(p) : Math.log(1 - p));
+  }, 0);
+  return total / points.length;
+}
+
+/**
+ * Calibra la votación a partir de un informe de evaluación: pesos por modelo
+ * según su F1 o su log-loss y, opcionalmente, el umbral de la votación suave que
+ * maximiza el F1 del conjunto ponderado. Las calibraciones se guardan con versión
+ * en el registro de modelos y la activa la aplica `orchestratorService.applyVoting`.
+ */
+class CalibrationService {
+  constructor() {
+    this.metrics = METRICS;
+  }
+
+  /**
+   * Puntuación y peso de cada modelo de un informe. Los pesos se normalizan a
+   * media 1; con el log-loss la puntuación es exp(-logLoss), la media geométrica
+   * de la probabilidad asignada a la clase verdadera.
+   * @param {Object} report - Informe de evaluación
+   * @param {string} metric - 'f1' o 'logloss'
+   * @returns {Object} - { scores, weights }
+   */
+  weights(report, metric = 'f1') {
+    if (!METRICS.includes(metric)) {
+      throw new Error(`Unknown calibration metric '${metric}'`);
+    }
+
+    const scores = {};
+    Object.keys(report.models).forEach(name => {
+      if (metric === 'f1') {
+        scores[name] = report.models[name].f1 || 0;
+        return;
+      }
+      const points = report.discharges
+        .filter(row => row.models[name] && row.models[name].prediction !== null)
+        .map(row => ({ label: row.label, probability: anomalyProbability(row.models[name]) }));
+      const loss = logLoss(points);
+      scores[name] = loss === null ? 0 : Math.exp(-loss);
+    });
+
+    const names = Object.keys(scores);
+    const total = names.reduce((sum, name) => sum + scores[name], 0);
+    const weights = {};
+    names.forEach(name => {
+      weights[name] = total > 0 ? round(scores[name] * names.length / total) : 1;
+      scores[name] = round(scores[name]);
+    });
+    return { scores, weights };
+  }
+
+  /**
+   * Umbral de la votación suave que maximiza el F1 de la probabilidad media
+   * ponderada. Los empates se resuelven hacia 0.5.
+   * @param {Object} report - Informe de evaluación
+   * @param {Object} weights - Pesos de los modelos
+   * @returns {Object|null} - { threshold, f1 }, o null sin anomalías etiquetadas
+   */
+  threshold(report, weights) {
+    const points = [];
+    report.discharges.forEach(row => {
+      let weighted = 0;
+      let totalWeight = 0;
+      Object.entries(row.models).forEach(([name, outcome]) => {
+        if (outcome.prediction !== 0 && outcome.prediction !== 1) return;
+        const weight = typeof weights[name] === 'number' ? weights[name] : 1;
+        weighted += weight * anomalyProbability(outcome);
+        totalWeight += weight;
+      });
+      if (totalWeight > 0) {
+        points.push({ label: row.label, probability: weighted / totalWeight });
+      }
+    });
+    if (!points.some(p => p.label === 1)) {
+      return null;
+    }
+
+    // La votación suave marca anomalía por encima del umbral: los candidatos
+    // están entre probabilidades consecutivas
+    const probabilities = [...new Set(points.map(p => p.probability))].sort((a, b) => a - b);
+    const candidates = [0.5];
+    for (let i = 0; i < probabilities.length; i++) {
+      const next = i + 1 < probabilities.length ? probabilities[i + 1] : 1;
+      candidates.push((probabilities[i] + next) / 2);
+    }
+    if (probabilities[0] > 0) candidates.push(probabilities[0] / 2);
+
+    let best = null;
+    candidates.forEach(threshold => {
+      let tp = 0;
+      let fp = 0;
+      let fn = 0;
+      points.forEach(({ label, probability }) => {
+        const decision = probability > threshold ? 1 : 0;
+        if (decision === 1 && label === 1) tp += 1;
+        else if (decision === 1) fp += 1;
+        else if (label === 1) fn += 1;
+      });
+      const f1 = tp === 0 ? 0 : 2 * tp / (2 * tp + fp + fn);
+      if (!best || f1 > best.f1 ||
+        (f1 === best.f1 && Math.abs(threshold - 0.5) < Math.abs(best.threshold - 0.5))) {
+        best = { threshold, f1 };
+      }
+    });
+    return { threshold: round(best.threshold), f1: round(best.f1) };
+  }
+
+  /**
+   * Calcula y guarda una calibración a partir de un informe de evaluación
+   * @param {Object} report - Informe de evaluación
+   * @param {Object} options - { metric, fitThreshold, activate, name, createdBy }
+   * @returns {Object} - Calibración guardada con su versión
+   */
+  calibrate(report, options = {}) {
+    const metric = options.metric || 'f1';
+    const { scores, weights } = this.weights(report, metric);
+    const fitted = options.fitThreshold ? this.threshold(report, weights) : null;
+
+    const calibration = config.addCalibration({
+      name: options.name || null,
+      createdBy: options.createdBy || null,
+      evaluationId: report.id,
+      metric,
+      scores,
+      weights,
+      threshold: fitted ? fitted.threshold : null,
+      thresholdF1: fitted ? fitted.f1 : null
+    }, options.activate !== false);
+
+    logger.info(`Calibration v${calibration.version} (${metric}) created from evaluation ${report.id}`);
+    return calibration;
+  }
+}
+
+module.exports = new CalibrationService();
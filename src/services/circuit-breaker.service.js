@@ -0,0 +1,147 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half_open';
+
+/**
+ * Circuit breaker por modelo para las llamadas de predicción. El circuito se abre
+ * tras `failureThreshold` fallos consecutivos o un health check fallido, y sigue
+ * abierto durante `resetTimeout` ms. Después deja pasar una única llamada de
+ * prueba (semiabierto): un acierto lo cierra y un fallo lo vuelve a abrir. Un
+ * health check correcto también pasa un circuito abierto a semiabierto.
+ */
+class CircuitBreakerService {
+  constructor() {
+    this.failureThreshold = config.circuitBreaker.failureThreshold;
+    this.resetTimeout = config.circuitBreaker.resetTimeout;
+    this.circuits = {};
+  }
+
+  circuit(modelName) {
+    if (!this.circuits[modelName]) {
+      this.circuits[modelName] = {
+        state: CLOSED,
+        failures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        lastError: null
+      };
+    }
+    return this.circuits[modelName];
+  }
+
+  transition(modelName, state) {
+    const circuit = this.circuit(modelName);
+    if (circuit.state === state) return;
+    logger.warn(`Circuit for ${modelName} ${circuit.state} -> ${state}`);
+    circuit.state = state;
+    circuit.trialInFlight = false;
+    circuit.openedAt = state === OPEN ? Date.now() : circuit.openedAt;
+    if (state === CLOSED) {
+      circuit.failures = 0;
+      circuit.openedAt = null;
+      circuit.lastError = null;
+    }
+  }
+
+  /**
+   * Comprueba si una llamada al modelo puede pasar. Un circuito abierto cuyo
+   * tiempo de espera ha vencido pasa a semiabierto y admite una llamada de prueba.
+   * @param {string} modelName
+   * @returns {boolean}
+   */
+  canRequest(modelName) {
+    const circuit = this.circuit(modelName);
+    if (circuit.state === OPEN && Date.now() - circuit.openedAt >= this.resetTimeout) {
+      this.transition(modelName, HALF_OPEN);
+    }
+    if (circuit.state === CLOSED) {
+      return true;
+    }
+    if (circuit.state === HALF_OPEN && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Registra una llamada correcta
+   * @param {string} modelName
+   */
+  recordSuccess(modelName) {
+    const circuit = this.circuit(modelName);
+    circuit.failures = 0;
+    this.transition(modelName, CLOSED);
+  }
+
+  /**
+   * Registra una llamada fallida
+   * @param {string} modelName
+   * @param {string} error - Mensaje de error
+   */
+  recordFailure(modelName, error) {
+    const circuit = this.circuit(modelName);
+    circuit.failures += 1;
+    circuit.lastError = error || null;
+    if (circuit.state === HALF_OPEN || circuit.failures >= this.failureThreshold) {
+      this.transition(modelName, OPEN);
+      // Una prueba fallida reinicia el tiempo de espera
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Libera la llamada de prueba del circuito semiabierto cuando la canceló el
+   * orquestador en lugar de responderla o fallarla el modelo
+   * @param {string} modelName
+   */
+  releaseTrial(modelName) {
+    this.circuit(modelName).trialInFlight = false;
+  }
+
+  /**
+   * Actualiza el circuito con el resultado de un health check
+   * @param {string} modelName
+   * @param {boolean} online - Si respondió el endpoint de salud
+   * @param {string} error - Error del health check, si lo hubo
+   */
+  recordHealth(modelName, online, error) {
+    const circuit = this.circuit(modelName);
+    if (!online) {
+      circuit.lastError = error || circuit.lastError;
+      if (circuit.state !== OPEN) {
+        this.transition(modelName, OPEN);
+      }
+    } else if (circuit.state === OPEN) {
+      this.transition(modelName, HALF_OPEN);
+    }
+  }
+
+  /**
+   * Estado público del circuito de un modelo
+   * @param {string} modelName
+   * @returns {Object} - { state, failures, openedAt, lastError }
+   */
+  status(modelName) {
+    const { state, failures, openedAt, lastError } = this.circuit(modelName);
+    return {
+      state,
+      failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      lastError
+    };
+  }
+
+  /**
+   * Olvida el estado de un modelo, p. ej. al cambiar su URL
+   * @param {string} modelName
+   */
+  reset(modelName) {
+    delete this.circuits[modelName];
+  }
+}
+
+module.exports = new CircuitBreakerService();
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/storage');
+
+/**
+ * Lista por modelo de las descargas de entrenamiento que no se pudieron
+ * entregar. El índice de entradas está en `index.json` y cada descarga en su
+ * propio archivo, así que listarlas nunca carga las señales en memoria.
+ */
+class DeadLetterService {
+  constructor() {
+    this.dir = process.env.TRAINING_DEAD_LETTER_DIR || path.join(config.dataDir, 'dead-letter');
+    this.indexFile = path.join(this.dir, 'index.json');
+    this.entries = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      const stored = readJson(this.indexFile, { entries: [] });
+      this.entries = Array.isArray(stored.entries) ? stored.entries : [];
+    } catch (error) {
+      logger.error(`Error loading dead-letter index: ${error.message}`);
+      this.entries = [];
+    }
+  }
+
+  save() {
+    try {
+      writeJsonAtomic(this.indexFile, { entries: this.entries });
+    } catch (error) {
+      logger.error(`Error saving dead-letter index: ${error.message}`);
+    }
+  }
+
+  payloadFile(entryId) {
+    return path.join(this.dir, `${entryId}.json`);
+  }
+
+  /**
+   * Guarda una descarga que no se pudo entregar a un modelo. Una descarga que ni
+   * siquiera se pudo leer del spool se registra sin payload, por su clave en el
+   * spool y su identificador, y no se puede reenviar.
+   * @param {string} modelName
+   * @param {Object|null} discharge - Descarga tal como se envía al nodo, o null si no se pudo leer
+   * @param {Object} context - { dischargeId, key, sessionId, runId, seq, attempts, error, status }
+   * @returns {Object} - Entrada guardada (sin la descarga)
+   */
+  add(modelName, discharge, context = {}) {
+    const entry = {
+      id: randomUUID(),
+      modelName,
+      dischargeId: discharge ? discharge.id : context.dischargeId || null,
+      key: context.key || null,
+      payload: Boolean(discharge),
+      sessionId: context.sessionId || null,
+      runId: context.runId || null,
+      seq: context.seq,
+      attempts: context.attempts,
+      status: context.status || null,
+      error: context.error || null,
+      timestamp: new Date().toISOString()
+    };
+
+    if (discharge) {
+      try {
+        writeJsonAtomic(this.payloadFile(entry.id), discharge);
+      } catch (error) {
+        // Se registra igualmente, sin payload, para que la pérdida no pase inadvertida
+        logger.error(`Error storing dead-lettered discharge ${discharge.id}: ${error.message}`);
+        entry.payload = false;
+      }
+    }
+    this.entries.push(entry);
+    this.save();
+    logger.warn(`Discharge ${entry.dischargeId || entry.key} dead-lettered for ${modelName}: ${entry.error}`);
+    return entry;
+  }
+
+  /**
+   * Lista las entradas, de la más antigua a la más reciente
+   * @param {string} modelName - Filtro opcional por modelo
+   * @returns {Array<Object>}
+   */
+  list(modelName) {
+    return this.entries.filter(e => !modelName || e.modelName === modelName);
+  }
+
+  /**
+   * Entradas agrupadas por modelo
+   * @returns {Object} - { modelName: [entries] }
+   */
+  byModel() {
+    const grouped = {};
+    this.entries.forEach(entry => {
+      (grouped[entry.modelName] = grouped[entry.modelName] || []).push(entry);
+    });
+    return grouped;
+  }
+
+  /**
+   * Lee entradas de un modelo con sus descargas, sin quitarlas de la lista
+   * @param {string} modelName
+   * @param {Array<string>} ids - Entradas a leer; todas las del modelo si se omite
+   * @returns {Array<Object>} - [{ entry, discharge }]
+   */
+  read(modelName, ids) {
+    const selected = this.list(modelName).filter(e => !ids || ids.includes(e.id));
+    const found = [];
+
+    selected.forEach(entry => {
+      let discharge;
+      try {
+        discharge = readJson(this.payloadFile(entry.id));
+      } catch (error) {
+        logger.error(`Error reading dead-lettered discharge ${entry.dischargeId}: ${error.message}`);
+      }
+      if (!discharge) return;
+      found.push({ entry, discharge });
+    });
+    return found;
+  }
+
+  /**
+   * Quita entradas de la lista junto con los archivos de sus descargas
+   * @param {Array<string>} ids - Entradas a quitar
+   */
+  remove(ids) {
+    const removed = new Set(ids);
+    this.entries = this.entries.filter(e => !removed.has(e.id));
+    this.save();
+    removed.forEach(id => fs.rmSync(this.payloadFile(id), { force: true }));
+  }
+}
+
+module.exports = new DeadLetterService();
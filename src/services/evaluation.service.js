@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/storage');
+const { firstFlagTime, DEFAULT_JUSTIFICATION_THRESHOLD } = require('../utils/windows');
+const orchestratorService = require('./orchestrator.service');
+const predictionHistory = require('./prediction-history.service');
+
+// Columnas del CSV de resumen y del CSV por descarga
+const SUMMARY_COLUMNS = [
+  'scope', 'tp', 'fp', 'tn', 'fn', 'noPrediction', 'precision', 'recall', 'f1', 'accuracy',
+  'warningCount', 'warningMean', 'warningMedian', 'warningMin', 'warningMax', 'warningLate'
+];
+
+/**
+ * Verdad de una descarga etiquetada: un `label` explícito (0/1) o, si no, si
+ * tiene `anomalyTime`
+ * @param {Object} discharge
+ * @returns {number|null} - 1 anomalía, 0 normal, null sin etiqueta
+ */
+function labelOf(discharge) {
+  if (discharge.label === 0 || discharge.label === 1) {
+    return discharge.label;
+  }
+  if (discharge.anomalyTime === undefined) {
+    return null;
+  }
+  return typeof discharge.anomalyTime === 'number' ? 1 : 0;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Matriz de confusión y métricas derivadas. Clase positiva: anomalía.
+ * @param {Array<Object>} rows - { label, prediction } (prediction null = sin predicción)
+ * @returns {Object} - { confusion, noPrediction, precision, recall, f1, accuracy }
+ */
+function scores(rows) {
+  const confusion = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  let noPrediction = 0;
+  rows.forEach(({ label, prediction }) => {
+    if (prediction !== 0 && prediction !== 1) {
+      noPrediction += 1;
+    } else if (prediction === 1) {
+      confusion[label === 1 ? 'tp' : 'fp'] += 1;
+    } else {
+      confusion[label === 1 ? 'fn' : 'tn'] += 1;
+    }
+  });
+
+  const precision = ratio(confusion.tp, confusion.tp + confusion.fp);
+  const recall = ratio(confusion.tp, confusion.tp + confusion.fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? 2 * precision * recall / (precision + recall)
+    : null;
+  const accuracy = ratio(confusion.tp + confusion.tn, rows.length - noPrediction);
+  return { confusion, noPrediction, precision, recall, f1, accuracy };
+}
+
+/**
+ * Estadísticas de los tiempos de aviso (anomalyTime - instante de detección) de
+ * las anomalías detectadas. Los valores negativos son detecciones tardías.
+ * @param {Array<number>} values
+ * @returns {Object} - { count, mean, median, min, max, late }
+ */
+function warningStats(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: null, median: null, min: null, max: null, late: 0 };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    late: sorted.filter(v => v < 0).length
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Modo de evaluación: predice un conjunto de descargas etiquetadas con el
+ * conjunto de modelos y puntúa cada modelo y la decisión votada frente a la
+ * verdad (matriz de confusión, precisión/sensibilidad/F1 y tiempos de aviso). Los
+ * informes se guardan en `data/evaluations/` y se exportan en JSON o CSV.
+ */
+class EvaluationService {
+  constructor() {
+    this.dir = process.env.EVALUATIONS_DIR || path.join(config.dataDir, 'evaluations');
+  }
+
+  reportFile(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Predice y puntúa un conjunto de descargas etiquetadas
+   * @param {Array<Object>} discharges - Descargas con `anomalyTime` (null en las normales) o `label`
+   * @param {Object} options - { name, voting, mode, deadline, concurrency, justificationThreshold }
+   * @returns {Promise<Object>} - Informe guardado
+   */
+  async evaluate(discharges, options = {}) {
+    const unlabeled = discharges.filter(d => labelOf(d) === null).map(d => d.id);
+    if (unlabeled.length > 0) {
+      throw new Error(`Discharges without label or anomalyTime: ${unlabeled.join(', ')}`);
+    }
+    const threshold = options.justificationThreshold !== undefined
+      ? options.justificationThreshold
+      : DEFAULT_JUSTIFICATION_THRESHOLD;
+
+    // Los modelos no deben ver la verdad
+    const unlabeledCopies = discharges.map(({ anomalyTime, label, ...discharge }) => discharge);
+    const result = await orchestratorService.orchestrate({
+      discharges: unlabeledCopies,
+      voting: options.voting,
+      mode: options.mode,
+      deadline: options.deadline,
+      concurrency: options.concurrency
+    }, { record: false });
+    await predictionHistory.recordAll(result, discharges, 'evaluation');
+
+    const rows = result.discharges.map((prediction, i) =>
+      this.scoreDischarge(discharges[i], unlabeledCopies[i], prediction, threshold));
+    const report = {
+      id: randomUUID(),
+      name: options.name || null,
+      createdAt: new Date().toISOString(),
+      justificationThreshold: threshold,
+      voting: options.voting || {},
+      totalDischarges: rows.length,
+      labels: {
+        anomalies: rows.filter(r => r.label === 1).length,
+        normals: rows.filter(r => r.label === 0).length
+      },
+      ...this.summarize(rows),
+      discharges: rows
+    };
+
+    writeJsonAtomic(this.reportFile(report.id), report);
+    logger.info(`Evaluation ${report.id} finished on ${rows.length} discharges`);
+    return report;
+  }
+
+  /**
+   * Resultado de cada modelo y del conjunto en una descarga
+   * @param {Object} labeled - Descarga con su etiqueta
+   * @param {Object} discharge - Descarga enviada a los modelos
+   * @param {Object} prediction - Resultado de predictDischarge
+   * @param {number} threshold - Umbral de justificación para las ventanas sin predicción
+   * @returns {Object}
+   */
+  scoreDischarge(labeled, discharge, prediction, threshold) {
+    const label = labelOf(labeled);
+    const anomalyTime = typeof labeled.anomalyTime === 'number' ? labeled.anomalyTime : null;
+    const warning = flagTime => (anomalyTime !== null && flagTime !== null ? anomalyTime - flagTime : null);
+
+    const models = {};
+    (prediction.models || []).forEach(response => {
+      const value = response.status === 'success' ? response.result.prediction : null;
+      const flagTime = value === 1 ? firstFlagTime(response.result, discharge, threshold) : null;
+      models[response.modelName] = {
+        prediction: value,
+        confidence: value !== null && typeof response.result.confidence === 'number' ? response.result.confidence : null,
+        status: response.status || 'error',
+        flagTime,
+        warningTime: label === 1 ? warning(flagTime) : null
+      };
+    });
+
+    // El conjunto marca la descarga en el instante en que ya la ha marcado la
+    // mayoría de los modelos que respondieron
+    const decision = prediction.voting ? prediction.voting.decision : null;
+    const responders = Object.values(models).filter(m => m.prediction !== null).length;
+    const flagTimes = Object.values(models)
+      .filter(m => m.prediction === 1 && m.flagTime !== null)
+      .map(m => m.flagTime)
+      .sort((a, b) => a - b);
+    const needed = Math.floor(responders / 2) + 1;
+    let ensembleFlag = null;
+    if (decision === 1 && flagTimes.length > 0) {
+      ensembleFlag = flagTimes[Math.min(needed, flagTimes.length) - 1];
+    }
+
+    return {
+      dischargeId: prediction.dischargeId,
+      label,
+      anomalyTime,
+      models,
+      ensemble: {
+        prediction: decision === 0 || decision === 1 ? decision : null,
+        outcome: prediction.voting ? prediction.voting.outcome : undefined,
+        flagTime: ensembleFlag,
+        warningTime: label === 1 ? warning(ensembleFlag) : null
+      }
+    };
+  }
+
+  /**
+   * Métricas de cada modelo y del conjunto
+   * @param {Array<Object>} rows - Resultados por descarga
+   * @returns {Object} - { models, ensemble }
+   */
+  summarize(rows) {
+    const scope = outcomes => ({
+      ...scores(outcomes.map(o => ({ label: o.label, prediction: o.prediction }))),
+      warningTime: warningStats(outcomes
+        .filter(o => o.label === 1 && o.prediction === 1 && o.warningTime !== null)
+        .map(o => o.warningTime))
+    });
+
+    const modelNames = [...new Set(rows.flatMap(r => Object.keys(r.models)))];
+    const models = {};
+    modelNames.forEach(name => {
+      models[name] = scope(rows
+        .filter(r => r.models[name])
+        .map(r => ({ label: r.label, ...r.models[name] })));
+    });
+
+    return {
+      models,
+      ensemble: scope(rows.map(r => ({ label: r.label, ...r.ensemble })))
+    };
+  }
+
+  /**
+   * Informes guardados, del más reciente al más antiguo, sin el detalle por descarga
+   * @returns {Array<Object>}
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    const reports = [];
+    fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).forEach(file => {
+      try {
+        const { discharges, ...summary } = readJson(path.join(this.dir, file));
+        reports.push(summary);
+      } catch (error) {
+        logger.error(`Error reading evaluation ${file}: ${error.message}`);
+      }
+    });
+    return reports.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Un informe guardado
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+    return readJson(this.reportFile(id));
+  }
+
+  /**
+   * Exporta un informe en CSV
+   * @param {Object} report
+   * @param {string} table - 'summary' (una fila por modelo y el conjunto) o 'discharges'
+   * @returns {string}
+   */
+  toCsv(report, table = 'summary') {
+    if (table === 'discharges') {
+      const modelNames = Object.keys(report.models);
+      const header = ['dischargeId', 'label', 'anomalyTime',
+        ...modelNames.flatMap(name => [`${name}_prediction`, `${name}_flagTime`, `${name}_warningTime`]),
+        'ensemble_prediction', 'ensemble_flagTime', 'ensemble_warningTime'];
+      const lines = report.discharges.map(row => [
+        row.dischargeId, row.label, row.anomalyTime,
+        ...modelNames.flatMap(name => {
+          const model = row.models[name] || {};
+          return [model.prediction, model.flagTime, model.warningTime];
+        }),
+        row.ensemble.prediction, row.ensemble.flagTime, row.ensemble.warningTime
+      ]);
+      return [header, ...lines].map(line => line.map(csvValue).join(',')).join('\n');
+    }
+
+    const scopes = [...Object.entries(report.models), ['ensemble', report.ensemble]];
+    const lines = scopes.map(([name, s]) => [
+      name, s.confusion.tp, s.confusion.fp, s.confusion.tn, s.confusion.fn, s.noPrediction,
+      s.precision, s.recall, s.f1, s.accuracy,
+      s.warningTime.count, s.warningTime.mean, s.warningTime.median, s.warningTime.min,
+      s.warningTime.max, s.warningTime.late
+    ]);
+    return [SUMMARY_COLUMNS, ...lines].map(line => line.map(csvValue).join(',')).join('\n');
+  }
+}
+
+module.exports = new EvaluationService();
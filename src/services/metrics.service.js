@@ -0,0 +1,150 @@
+const client = require('prom-client');
+
+// Límites de los buckets de latencia de las llamadas a los modelos, en segundos
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Métricas del orquestador expuestas en `/metrics` en el formato de texto de
+ * Prometheus. Los servicios las actualizan mientras trabajan; los gauges del
+ * estado en vivo se calculan al consultarlas.
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    this.contentType = this.registry.contentType;
+    this.trainingQueueCollector = null;
+    const registers = [this.registry];
+    const service = this;
+
+    this.modelRequests = new client.Counter({
+      name: 'orchestrator_model_requests_total',
+      help: 'Prediction calls to each model by result status',
+      labelNames: ['model', 'status'],
+      registers
+    });
+    this.modelErrors = new client.Counter({
+      name: 'orchestrator_model_errors_total',
+      help: 'Failed prediction calls to each model by error type',
+      labelNames: ['model', 'type'],
+      registers
+    });
+    this.modelLatency = new client.Histogram({
+      name: 'orchestrator_model_request_duration_seconds',
+      help: 'Latency of the prediction calls that reached each model',
+      labelNames: ['model'],
+      buckets: LATENCY_BUCKETS,
+      registers
+    });
+    this.trainingQueueDepth = new client.Gauge({
+      name: 'orchestrator_training_queue_depth',
+      help: 'Training discharges waiting to be delivered to each model',
+      labelNames: ['model'],
+      registers,
+      // Se calcula al consultar las métricas a partir de las sesiones activas
+      collect() {
+        if (!service.trainingQueueCollector) return;
+        this.reset();
+        service.trainingQueueCollector().forEach(({ labels, value }) => this.set(labels, value));
+      }
+    });
+    this.trainingDelivered = new client.Counter({
+      name: 'orchestrator_training_discharges_delivered_total',
+      help: 'Training discharges delivered to each model',
+      labelNames: ['model'],
+      registers
+    });
+    this.trainingFailed = new client.Counter({
+      name: 'orchestrator_training_discharges_failed_total',
+      help: 'Training discharges that could not be delivered and were dead-lettered',
+      labelNames: ['model'],
+      registers
+    });
+    this.votingOutcomes = new client.Counter({
+      name: 'orchestrator_voting_outcomes_total',
+      help: 'Voting results (anomaly, normal, tie, no_quorum, undecided)',
+      labelNames: ['outcome'],
+      registers
+    });
+    this.votingTies = new client.Counter({
+      name: 'orchestrator_voting_ties_total',
+      help: 'Tied votes, resolved by the tie-break policy or not (tie_broken, unresolved)',
+      labelNames: ['resolution'],
+      registers
+    });
+    this.modelUp = new client.Gauge({
+      name: 'orchestrator_model_up',
+      help: 'Result of the last health check of each model (1 online, 0 offline or disabled)',
+      labelNames: ['model'],
+      registers
+    });
+    this.socketClients = new client.Gauge({
+      name: 'orchestrator_socket_clients',
+      help: 'Connected Socket.IO clients',
+      registers
+    });
+  }
+
+  /**
+   * Fija la función que calcula la longitud de las colas de entrenamiento al consultar las métricas
+   * @param {Function} collector - Devuelve un array de { labels: { model }, value }
+   */
+  collectTrainingQueueDepth(collector) {
+    this.trainingQueueCollector = collector;
+  }
+
+  /**
+   * Registra el resultado de una llamada de predicción
+   * @param {string} model - Nombre del modelo
+   * @param {Object} response - Resultado de callModel ({ status })
+   * @param {string|null} errorType - Tipo de error de las llamadas fallidas
+   * @param {number|null} seconds - Duración, si la llamada llegó al modelo
+   */
+  recordModelCall(model, response, errorType, seconds) {
+    this.modelRequests.inc({ model, status: response.status || 'error' });
+    if (errorType) {
+      this.modelErrors.inc({ model, type: errorType });
+    }
+    if (seconds !== null && seconds !== undefined) {
+      this.modelLatency.observe({ model }, seconds);
+    }
+  }
+
+  /**
+   * Registra el resultado de una votación. Los empates se cuentan también aparte,
+   * porque un empate resuelto por la política de desempate termina como anomalía o normal.
+   * @param {Object} result - Resultado de votingService.evaluate
+   */
+  recordVoting(result) {
+    let outcome = 'undecided';
+    if (result.outcome === 'insufficient_quorum') {
+      outcome = 'no_quorum';
+    } else if (result.decision === 1) {
+      outcome = 'anomaly';
+    } else if (result.decision === 0) {
+      outcome = 'normal';
+    } else if (result.tie) {
+      outcome = 'tie';
+    }
+    this.votingOutcomes.inc({ outcome });
+    if (result.tie) {
+      this.votingTies.inc({ resolution: result.decision === null ? 'unresolved' : 'tie_broken' });
+    }
+  }
+
+  /**
+   * Borra todos los valores registrados (lo usan los tests)
+   */
+  reset() {
+    this.registry.resetMetrics();
+  }
+
+  /**
+   * Todas las métricas en el formato de texto de Prometheus
+   * @returns {Promise<string>}
+   */
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new MetricsService();
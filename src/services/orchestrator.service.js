@@ -1,29 +1,112 @@
+const EventEmitter = require('events');
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
 const SensorData = require('../models/sensor-data.model');
+const votingService = require('./voting.service');
+const stackingService = require('./stacking.service');
+const alarmRules = require('./alarm-rules.service');
+const predictionHistory = require('./prediction-history.service');
+const trainingHistory = require('./training-history.service');
+const deadLetterService = require('./dead-letter.service');
+const trainingSpool = require('./training-spool.service');
+const circuitBreaker = require('./circuit-breaker.service');
+const metrics = require('./metrics.service');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { isRetryable, retryDelay, sleep } = require('../utils/retry');
+const { modelRequestOptions } = require('../utils/model-request');
+const { validateSchema } = require('../utils/schemas');
+const { ensembleWindows } = require('../utils/windows');
 
 /**
- * Clase que implementa la orquestación de modelos y el mecanismo de votación
+ * Tipo de error de una llamada fallida a un modelo, para las métricas
+ * @param {Error} error - Error de axios
+ * @returns {string} - http_4xx, http_5xx, timeout o connection
  */
-class OrchestratorService {
+function modelErrorType(error) {
+  if (error.response) {
+    return `http_${Math.floor(error.response.status / 100)}xx`;
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return 'timeout';
+  }
+  return 'connection';
+}
+
+/**
+ * Clase que implementa la orquestación de modelos y el mecanismo de votación.
+ * Emite 'training-progress' y 'training-session-ended' durante el entrenamiento.
+ */
+class OrchestratorService extends EventEmitter {
   constructor() {
+    super();
     this.models = config.models;
     this.timeout = config.timeouts.model;
     this.trainingTimeout = config.timeouts.training;
-    // In-memory storage for training results
-    this.trainingSummaries = [];
-    // Estado de entrenamiento actual para manejo por lotes
-    this.trainingSession = null;
+    // Política de reintentos para la entrega de descargas de entrenamiento
+    this.retryPolicy = config.training.retry;
+    // Límites de las colas de entrenamiento: descargas pendientes por modelo y
+    // bytes de descargas cargadas en memoria para su entrega
+    this.maxQueueLength = config.training.maxQueueLength;
+    this.memoryLimit = config.training.memoryLimit;
+    this.trainingMemoryInUse = 0;
+    // Sesiones de entrenamiento activas por identificador
+    this.trainingSessions = {};
+    // Última validación de las respuestas de cada modelo contra schemas/api-schemas.json
+    this.conformance = {};
+    metrics.collectTrainingQueueDepth(() => this.trainingQueueDepth());
+  }
+
+  /**
+   * Descargas pendientes de entrega por modelo, sumando todas las sesiones
+   * @returns {Array<Object>} - { labels: { model }, value }
+   */
+  trainingQueueDepth() {
+    const depth = {};
+    Object.values(this.trainingSessions).forEach(session => {
+      Object.entries(session.models).forEach(([modelName, model]) => {
+        depth[modelName] = (depth[modelName] || 0) + model.queue.length;
+      });
+    });
+    return Object.entries(depth).map(([model, value]) => ({ labels: { model }, value }));
+  }
+
+  /**
+   * Valida la respuesta de un modelo contra su esquema y guarda el resultado.
+   * Un nodo que no cumple el protocolo se marca como no conforme.
+   * @param {string} modelName - Nombre del modelo
+   * @param {string} kind - 'predict' o 'health'
+   * @param {string} schemaName - Esquema de la respuesta
+   * @param {*} data - Cuerpo de la respuesta
+   * @returns {Object} - { conforming, errors, checkedAt }
+   */
+  checkConformance(modelName, kind, schemaName, data) {
+    const { valid, errors } = validateSchema(schemaName, data);
+    const previous = (this.conformance[modelName] || {})[kind];
+    if (!valid && (!previous || previous.conforming)) {
+      logger.warn(`Model ${modelName} sent a ${kind} response that does not match ${schemaName}: ` +
+        errors.map(e => `${e.path} ${e.message}`).join('; '));
+    }
+
+    const result = { conforming: valid, errors, checkedAt: new Date().toISOString() };
+    this.conformance[modelName] = { ...this.conformance[modelName], [kind]: result };
+    return result;
   }
 
   /**
    * Envía los datos a un modelo específico
    * @param {string} modelName - Nombre del modelo
    * @param {Object} data - Datos para la predicción (formato discharges)
+   * @param {Object} options - { signal: AbortSignal para cancelar la petición }
    * @returns {Promise} - Promesa con la respuesta del modelo
    */
-  async callModel(modelName, discharge) {
+  async callModel(modelName, discharge, options = {}) {
+    let started = null;
+    const done = (response, errorType = null) => {
+      metrics.recordModelCall(modelName, response, errorType, started ? (Date.now() - started) / 1000 : null);
+      return response;
+    };
+
     try {
       const modelConfig = this.models[modelName];
 
@@ -32,34 +115,66 @@ class OrchestratorService {
         return { error: `Model ${modelName} is not available`, modelName };
       }
 
+      // Circuito abierto: el modelo se omite sin esperar al timeout
+      if (!circuitBreaker.canRequest(modelName)) {
+        logger.warn(`Skipping ${modelName}: circuit open`);
+        return done({
+          error: `Circuit open for model ${modelName}`,
+          modelName,
+          status: 'circuit_open'
+        }, 'circuit_open');
+      }
+
       logger.info(`Sending data to ${modelName} model at ${modelConfig.url}`);
 
+      started = Date.now();
       const response = await axios({
         method: 'post',
         url: modelConfig.url,
         data: discharge,
-        timeout: this.timeout
+        ...modelRequestOptions(modelConfig, 'predict', this.timeout),
+        signal: options.signal
       });
 
       logger.info(`Received response from ${modelName} model`);
 
-      let prediction = response.data.prediction;
+      const conformance = this.checkConformance(modelName, 'predict', 'predictionResponse', response.data);
+      let prediction = response.data ? response.data.prediction : undefined;
       if (typeof prediction === 'string') {
         prediction = prediction.toLowerCase() === 'anomaly' ? 1 : 0;
       }
 
-      return {
+      // Sin una predicción 0/1 utilizable el modelo no puede votar y la
+      // respuesta cuenta como fallo para el circuito
+      if (prediction !== 0 && prediction !== 1) {
+        circuitBreaker.recordFailure(modelName, `Invalid prediction response from ${modelName}`);
+        return done({
+          error: `Invalid prediction response from ${modelName}`,
+          modelName,
+          status: 'invalid_response',
+          schemaErrors: conformance.errors
+        }, 'invalid_response');
+      }
+
+      circuitBreaker.recordSuccess(modelName);
+      return done({
         result: { ...response.data, prediction },
         modelName,
         status: 'success'
-      };
+      });
     } catch (error) {
+      // Petición cancelada por el orquestador: no cuenta como fallo del modelo
+      if (options.signal && options.signal.aborted) {
+        circuitBreaker.releaseTrial(modelName);
+        return done({ error: 'Request cancelled', modelName, status: 'timeout' }, 'deadline');
+      }
       logger.error(`Error calling ${modelName} model: ${error.message}`);
-      return {
+      circuitBreaker.recordFailure(modelName, error.message);
+      return done({
         error: error.message,
         modelName,
         status: 'error'
-      };
+      }, modelErrorType(error));
     }
   }
 
@@ -78,7 +193,8 @@ class OrchestratorService {
         return { error: `Model ${modelName} is not available`, modelName };
       }
 
-      const timeoutSeconds = Math.ceil(this.trainingTimeout / 1000);
+      const requestOptions = modelRequestOptions(modelConfig, 'training', this.trainingTimeout);
+      const timeoutSeconds = Math.ceil(requestOptions.timeout / 1000);
 
       logger.info(`Starting training session on ${modelName} at ${modelConfig.trainingUrl}`);
 
@@ -86,7 +202,7 @@ class OrchestratorService {
         method: 'post',
         url: modelConfig.trainingUrl,
         data: { totalDischarges, timeoutSeconds },
-        timeout: this.trainingTimeout
+        ...requestOptions
       });
 
       logger.info(`Model ${modelName} accepted training session expecting ${startResponse.data.expectedDischarges} discharges`);
@@ -97,7 +213,7 @@ class OrchestratorService {
           method: 'post',
           url: `${modelConfig.trainingUrl}/${index + 1}`,
           data: discharge,
-          timeout: this.trainingTimeout
+          ...requestOptions
         });
 
         // release arrays to free memory
@@ -128,42 +244,80 @@ class OrchestratorService {
   }
 
   /**
-   * Inicia una sesión de entrenamiento con todos los modelos habilitados
-   * y almacena el estado para el envío por lotes.
+   * Inicia una sesión de entrenamiento con los modelos habilitados (o un subconjunto)
+   * y almacena su estado para el envío por lotes. Cada modelo solo puede pertenecer
+   * a una sesión activa a la vez.
    * @param {number} totalDischarges - Total de descargas a enviar en toda la sesión
-   * @returns {Object} Resumen de los modelos que aceptaron el entrenamiento
+   * @param {Object} options - { models: subconjunto de modelos, autoFinish: cerrar la
+   *   sesión al encolar `totalDischarges` descargas }
+   * @returns {Object} Identificador de la sesión y resumen de los modelos que aceptaron el entrenamiento
    */
-  async startTrainingSession(totalDischarges, autoFinish = true) {
+  async startTrainingSession(totalDischarges, options = {}) {
+    const { models: requestedModels, autoFinish = false } = options;
+    const busy = this.busyModels();
+
+    if (requestedModels) {
+      if (!Array.isArray(requestedModels) || requestedModels.length === 0) {
+        throw new Error('The models of a training session must be a non-empty array');
+      }
+      requestedModels.forEach(modelName => {
+        if (!this.models[modelName]) {
+          throw new Error(`Model ${modelName} does not exist`);
+        }
+        if (!this.models[modelName].enabled) {
+          throw new Error(`Model ${modelName} is not enabled`);
+        }
+        if (busy.has(modelName)) {
+          throw new Error(`Model ${modelName} is already training in another session`);
+        }
+      });
+    }
+
+    const candidates = requestedModels ||
+      Object.keys(this.models).filter(m => this.models[m].enabled && !busy.has(m));
+    if (candidates.length === 0) {
+      logger.error('No models available for training');
+      throw new Error('No models available for training');
+    }
+
     const health = await this.healthCheck();
-    const online = health.models.filter(m => m.status === 'online');
-    const offline = health.models.filter(m => m.status !== 'online');
+    const targeted = health.models.filter(m => candidates.includes(m.model));
+    const online = targeted.filter(m => m.status === 'online');
+    const offline = targeted.filter(m => m.status !== 'online');
 
     if (online.length === 0) {
       logger.error('No models are online for training');
       throw new Error('No models are online for training');
     }
 
-    const timeoutSeconds = Math.ceil(this.trainingTimeout / 1000);
     const sessionModels = {};
     const details = [];
     let successful = 0;
 
     offline.forEach(m => {
-      if (this.models[m.model].enabled) {
-        details.push({ modelName: m.model, status: m.status, error: m.error });
-      }
+      details.push({ modelName: m.model, status: m.status, error: m.error });
     });
 
     for (const { model: modelName } of online) {
       const modelConfig = this.models[modelName];
+      const requestOptions = modelRequestOptions(modelConfig, 'training', this.trainingTimeout);
       try {
         await axios({
           method: 'post',
           url: modelConfig.trainingUrl,
-          data: { totalDischarges, timeoutSeconds },
-          timeout: this.trainingTimeout
+          data: { totalDischarges, timeoutSeconds: Math.ceil(requestOptions.timeout / 1000) },
+          ...requestOptions
         });
-        sessionModels[modelName] = { trainingUrl: modelConfig.trainingUrl, queue: [], nextSeq: 1, sending: false, pending: false };
+        sessionModels[modelName] = {
+          trainingUrl: modelConfig.trainingUrl,
+          queue: [],
+          nextSeq: 1,
+          sending: false,
+          pending: false,
+          delivered: 0,
+          failed: 0,
+          retries: 0
+        };
         details.push({ modelName, status: 'success' });
         successful += 1;
       } catch (error) {
@@ -172,16 +326,34 @@ class OrchestratorService {
       }
     }
 
-    this.trainingSession = {
+    if (successful === 0) {
+      logger.error('No model accepted the training session');
+      throw new Error('No model accepted the training session');
+    }
+
+    const run = trainingHistory.startRun({ totalDischarges, details });
+    const sessionId = run.id;
+
+    this.trainingSessions[sessionId] = {
+      id: sessionId,
+      runId: run.id,
+      startedAt: run.startedAt,
       totalDischarges,
       enqueued: 0,
       finished: false,
+      cancelled: false,
       autoFinish,
       models: sessionModels,
-      processed: new Set()
+      processed: new Set(),
+      abortController: new AbortController()
     };
+    trainingSpool.saveSession(this.trainingSessions[sessionId]);
+    logger.info(`Training session ${sessionId} started with ${Object.keys(sessionModels).join(', ')}`);
+    this.emit('training-progress', this.getTrainingSessionStatus(sessionId));
 
     return {
+      sessionId,
+      runId: run.id,
       successful,
       failed: details.length - successful,
       details
@@ -189,19 +361,80 @@ class OrchestratorService {
   }
 
   /**
-   * Envía un lote de descargas a los modelos dentro de la sesión activa
+   * Modelos que forman parte de alguna sesión de entrenamiento activa
+   * @returns {Set<string>}
+   */
+  busyModels() {
+    const busy = new Set();
+    Object.values(this.trainingSessions).forEach(session => {
+      Object.keys(session.models).forEach(modelName => busy.add(modelName));
+    });
+    return busy;
+  }
+
+  /**
+   * Devuelve una sesión de entrenamiento activa
+   * @param {string} sessionId
+   * @returns {Object|null}
+   */
+  getTrainingSession(sessionId) {
+    return this.trainingSessions[sessionId] || null;
+  }
+
+  /**
+   * Envía un lote de descargas a los modelos de una sesión activa
+   * @param {string} sessionId - Identificador de la sesión
    * @param {Array<Object>} rawDischarges - Descargas del lote
    */
-  async sendTrainingBatch(rawDischarges = []) {
-    if (!this.trainingSession) {
-      throw new Error('No training session started');
+  async sendTrainingBatch(sessionId, rawDischarges = []) {
+    const session = this.getTrainingSession(sessionId);
+    if (!session) {
+      throw new Error(`Training session ${sessionId} not found`);
+    }
+    if (session.finished) {
+      throw new Error(`Training session ${sessionId} is already finished`);
     }
 
     const stream = this.prepareTrainingStream(rawDischarges);
+    const sentIds = [];
+
+    try {
+      for await (const discharge of stream) {
+        if (session.cancelled) {
+          throw new Error('Training session was cancelled');
+        }
+
+        await this.waitForQueueCapacity(session);
+        if (session.cancelled) {
+          throw new Error('Training session was cancelled');
+        }
+
+        if (session.processed.has(discharge.id)) {
+          logger.warn(`Discharge ${discharge.id} already processed, skipping`);
+          if (discharge.signals) {
+            for (const s of discharge.signals) {
+              s.values = null;
+            }
+            discharge.signals = null;
+          }
+          discharge.times = null;
+          continue;
+        }
+
+        // La descarga se guarda una sola vez en el spool para poder reanudar la sesión
+        const key = String(session.enqueued + 1);
+        const size = trainingSpool.writeDischarge(sessionId, key, discharge);
+
+        session.processed.add(discharge.id);
+        sentIds.push(discharge.id);
+
+        for (const modelName of Object.keys(session.models)) {
+          const model = session.models[modelName];
+          model.queue.push({ key, size, id: discharge.id });
+          logger.debug(`Enqueued discharge ${discharge.id} for model ${modelName}`);
+          this.processQueue(sessionId, modelName);
+        }
 
-    for await (const discharge of stream) {
-      if (this.trainingSession.processed.has(discharge.id)) {
-        console.warn(`Discharge ${discharge.id} already processed, skipping`);
         if (discharge.signals) {
           for (const s of discharge.signals) {
             s.values = null;
@@ -209,55 +442,65 @@ class OrchestratorService {
           discharge.signals = null;
         }
         discharge.times = null;
-        continue;
-      }
-
-      this.trainingSession.processed.add(discharge.id);
 
-      for (const modelName of Object.keys(this.trainingSession.models)) {
-        const model = this.trainingSession.models[modelName];
-        model.queue.push(this.cloneDischarge(discharge));
-        console.log(`Enqueued discharge ${discharge.id} for model ${modelName}`);
-        this.processQueue(modelName);
-      }
-
-      if (discharge.signals) {
-        for (const s of discharge.signals) {
-          s.values = null;
-        }
-        discharge.signals = null;
+        session.enqueued += 1;
+        trainingSpool.saveSession(session);
       }
-      discharge.times = null;
+    } finally {
+      trainingHistory.addDischarges(session.runId, sentIds);
+      this.emit('training-progress', this.getTrainingSessionStatus(sessionId));
+    }
 
-      this.trainingSession.enqueued += 1;
+    if (session.autoFinish && session.enqueued >= session.totalDischarges) {
+      this.finishTraining(sessionId);
     }
   }
 
   /**
-   * Finaliza la sesión de entrenamiento actual
+   * Finaliza una sesión de entrenamiento: no admite más lotes y se cierra
+   * en cuanto se entregan sus colas
+   * @param {string} sessionId
    */
-  finishTraining() {
-    if (this.trainingSession) {
-      console.log('Finishing training session');
-      this.trainingSession.finished = true;
-      if (this.allQueuesEmpty()) {
-        this.trainingSession = null;
+  finishTraining(sessionId) {
+    const session = this.getTrainingSession(sessionId);
+    if (session) {
+      logger.info(`Finishing training session ${sessionId}`);
+      session.finished = true;
+      if (this.allQueuesEmpty(sessionId)) {
+        this.closeTrainingSession(sessionId);
+      } else {
+        trainingSpool.saveSession(session);
       }
     }
   }
 
-  allQueuesEmpty() {
-    return Object.values(this.trainingSession.models)
-      .every(m => m.queue.length === 0 && !m.sending);
+  /**
+   * Cierra una sesión una vez entregadas todas las colas (o al cancelarla)
+   * y registra el fin de la ejecución en el historial
+   * @param {string} sessionId
+   * @param {string} status - Estado final de la ejecución
+   */
+  closeTrainingSession(sessionId, status = 'finished') {
+    const session = this.getTrainingSession(sessionId);
+    if (!session) return;
+    trainingHistory.finishRun(session.runId, status);
+    trainingSpool.removeSession(sessionId);
+    delete this.trainingSessions[sessionId];
+    this.emit('training-session-ended', { sessionId, runId: session.runId, status });
   }
 
-  async awaitQueuesEmpty(timeoutMs = this.trainingTimeout) {
-    if (!this.trainingSession) return true;
+  allQueuesEmpty(sessionId) {
+    const session = this.getTrainingSession(sessionId);
+    if (!session) return true;
+    return Object.values(session.models)
+      .every(m => m.queue.length === 0 && !m.sending);
+  }
 
+  async awaitQueuesEmpty(sessionId, timeoutMs = this.trainingTimeout) {
     const end = Date.now() + timeoutMs;
-    while (!this.allQueuesEmpty()) {
+    while (!this.allQueuesEmpty(sessionId)) {
       if (Date.now() >= end) {
-        logger.warn('Timeout waiting for training queues to empty');
+        logger.warn(`Timeout waiting for training queues of session ${sessionId} to empty`);
         return false;
       }
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -265,86 +508,438 @@ class OrchestratorService {
     return true;
   }
 
-  cloneDischarge(d) {
-    const clone = { id: d.id, length: d.length };
-    if (d.anomalyTime !== undefined) {
-      clone.anomalyTime = d.anomalyTime;
-    }
-    if (d.signals) {
-      clone.signals = d.signals.map(s => ({ ...s, values: [...s.values] }));
-    }
-    if (d.times) {
-      clone.times = [...d.times];
-    }
-    return clone;
-  }
-
-  async processQueue(modelName) {
-    const model = this.trainingSession.models[modelName];
-    console.log(`Processing queue for model: ${modelName}`);
+  async processQueue(sessionId, modelName) {
+    const session = this.getTrainingSession(sessionId);
+    if (!session || session.cancelled) return;
+    const model = session.models[modelName];
+    logger.debug(`Processing queue for model: ${modelName}`);
     if (model.sending) {
       model.pending = true;
       return;
     }
-    console.log(`Starting to process queue for model: ${modelName}`);
+    logger.debug(`Starting to process queue for model: ${modelName}`);
     model.sending = true;
 
     try {
-      while (model.queue.length > 0) {
-        const discharge = model.queue[0];
-        let sent = false;
-        while (!sent) {
+      while (model.queue.length > 0 && !session.cancelled) {
+        // La descarga se lee del spool solo mientras se entrega
+        const { key, size, id } = model.queue[0];
+        let discharge = null;
+        let readError = 'Spooled discharge not found';
+        let outcome;
+        await this.reserveTrainingMemory(size, session);
+        try {
+          if (session.cancelled) break;
           try {
-            await axios({
-              method: 'post',
-              url: `${model.trainingUrl}/${model.nextSeq}`,
-              data: discharge,
-              timeout: this.trainingTimeout
-            });
-            sent = true;
+            discharge = trainingSpool.readDischarge(sessionId, key);
           } catch (error) {
-            if (!error.response) {
-              console.warn(`Network error while training ${modelName}: ${error.message}`);
-              await new Promise(resolve => setTimeout(resolve, 500));
-            } else {
-              console.error(`Error training ${modelName}: ${error.message}`);
-              logger.error(`Error training ${modelName}: ${error.message}`);
-              sent = true;
-            }
+            logger.error(`Error reading spooled discharge ${key} of session ${sessionId}: ${error.message}`);
+            readError = `Spooled discharge could not be read: ${error.message}`;
           }
+          outcome = discharge
+            ? await this.deliverDischarge(session, modelName, discharge)
+            : { delivered: false, attempts: 0, error: readError };
+        } finally {
+          this.trainingMemoryInUse -= size;
         }
 
-        if (discharge.signals) {
-          for (const s of discharge.signals) {
-            s.values = null;
-          }
-          discharge.signals = null;
+        if (session.cancelled) break;
+
+        // Una descarga ilegible también queda en la lista, identificada por su clave
+        if (!outcome.delivered) {
+          deadLetterService.add(modelName, discharge, {
+            dischargeId: id,
+            key,
+            sessionId,
+            runId: session.runId,
+            seq: model.nextSeq,
+            attempts: outcome.attempts,
+            status: outcome.status,
+            error: outcome.error
+          });
         }
-        discharge.times = null;
 
         model.queue.shift();
-        model.nextSeq += 1;
+        if (outcome.delivered) {
+          // El nodo espera números consecutivos: solo avanzan con las entregas confirmadas
+          model.nextSeq += 1;
+          model.delivered += 1;
+          metrics.trainingDelivered.inc({ model: modelName });
+        } else {
+          model.failed += 1;
+          metrics.trainingFailed.inc({ model: modelName });
+        }
+        if (!Object.values(session.models).some(m => m.queue.some(item => item.key === key))) {
+          trainingSpool.removeDischarge(sessionId, key);
+        }
+        trainingSpool.saveSession(session);
+        this.emit('training-progress', this.getTrainingSessionStatus(sessionId));
       }
     } finally {
       model.sending = false;
-      console.log(`Finished processing queue for model: ${modelName}`);
-      if (model.queue.length > 0 || model.pending) {
+      logger.debug(`Finished processing queue for model: ${modelName}`);
+      if (session.cancelled || this.getTrainingSession(sessionId) !== session) {
+        model.pending = false;
+      } else if (model.queue.length > 0 || model.pending) {
         model.pending = false;
-        console.log(`Queue for ${modelName} not empty after processing; scheduling next run`);
         logger.debug(`Queue for ${modelName} not empty after processing; scheduling next run`);
-        setImmediate(() => this.processQueue(modelName));
-      } else if (this.trainingSession.finished && this.allQueuesEmpty()) {
-        this.trainingSession = null;
+        setImmediate(() => this.processQueue(sessionId, modelName));
+      } else if (session.finished && this.allQueuesEmpty(sessionId)) {
+        this.closeTrainingSession(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Espera a que todas las colas de la sesión tengan sitio para otra descarga
+   * @param {Object} session - Sesión de entrenamiento
+   */
+  async waitForQueueCapacity(session) {
+    while (!session.cancelled &&
+      Object.values(session.models).some(m => m.queue.length >= this.maxQueueLength)) {
+      await sleep(100, session.abortController.signal);
+    }
+  }
+
+  /**
+   * Reserva memoria para cargar una descarga del spool. Espera mientras la
+   * reserva supere el límite, salvo que no haya ninguna otra descarga cargada.
+   * @param {number} size - Bytes de la descarga
+   * @param {Object} session - Sesión de entrenamiento
+   */
+  async reserveTrainingMemory(size, session) {
+    while (!session.cancelled && this.trainingMemoryInUse > 0 &&
+      this.trainingMemoryInUse + size > this.memoryLimit) {
+      await sleep(50, session.abortController.signal);
+    }
+    this.trainingMemoryInUse += size;
+  }
+
+  /**
+   * Indica si las colas de entrenamiento están saturadas y no deben aceptar más datos
+   * @returns {string|null} - Motivo de la saturación, o null si hay capacidad
+   */
+  trainingSaturation() {
+    if (this.trainingMemoryInUse >= this.memoryLimit) {
+      return 'Training memory limit reached';
+    }
+    const full = Object.values(this.trainingSessions).some(session =>
+      Object.values(session.models).some(m => m.queue.length >= this.maxQueueLength));
+    return full ? 'Training queues are full' : null;
+  }
+
+  /**
+   * Entrega una descarga a un modelo aplicando la política de reintentos: los errores
+   * de red y los códigos reintentables se repiten con backoff exponencial y jitter
+   * hasta `maxAttempts`; cualquier otro error HTTP falla en el primer intento.
+   * @param {Object} session - Sesión de entrenamiento
+   * @param {string} modelName - Nombre del modelo
+   * @param {Object} discharge - Descarga a entregar
+   * @returns {Promise<Object>} - { delivered, attempts, status, error }
+   */
+  async deliverDischarge(session, modelName, discharge) {
+    const model = session.models[modelName];
+    const policy = this.retryPolicy;
+    let attempts = 0;
+
+    while (!session.cancelled) {
+      attempts += 1;
+      try {
+        await axios({
+          method: 'post',
+          url: `${model.trainingUrl}/${model.nextSeq}`,
+          data: discharge,
+          ...modelRequestOptions(this.models[modelName], 'training', this.trainingTimeout),
+          signal: session.abortController.signal
+        });
+        return { delivered: true, attempts };
+      } catch (error) {
+        if (session.cancelled) break;
+
+        const status = error.response ? error.response.status : null;
+        if (!isRetryable(error, policy) || attempts >= policy.maxAttempts) {
+          logger.error(`Error training ${modelName} with discharge ${discharge.id} after ${attempts} attempt(s): ${error.message}`);
+          return { delivered: false, attempts, status, error: error.message };
+        }
+
+        const delay = retryDelay(attempts, policy);
+        logger.warn(`Retrying discharge ${discharge.id} for ${modelName} in ${delay} ms (attempt ${attempts}/${policy.maxAttempts}): ${error.message}`);
+        model.retries += 1;
+        await sleep(delay, session.abortController.signal);
+      }
+    }
+
+    return { delivered: false, attempts, cancelled: true };
+  }
+
+  /**
+   * Estado de una sesión de entrenamiento activa
+   * @param {string} sessionId
+   * @returns {Object|null} - Progreso global y por modelo, o null si no existe la sesión
+   */
+  getTrainingSessionStatus(sessionId) {
+    const session = this.getTrainingSession(sessionId);
+    if (!session) return null;
+
+    const models = {};
+    Object.entries(session.models).forEach(([modelName, model]) => {
+      models[modelName] = {
+        queueLength: model.queue.length,
+        nextSeq: model.nextSeq,
+        delivered: model.delivered,
+        failed: model.failed,
+        retries: model.retries,
+        sending: model.sending
+      };
+    });
+
+    return {
+      sessionId: session.id,
+      runId: session.runId,
+      startedAt: session.startedAt,
+      totalDischarges: session.totalDischarges,
+      enqueued: session.enqueued,
+      finished: session.finished,
+      autoFinish: session.autoFinish,
+      models
+    };
+  }
+
+  /**
+   * Reanuda las sesiones de entrenamiento que quedaron en el spool al detenerse
+   * el orquestador: reconstruye las colas desde disco y continúa enviando cada
+   * descarga con el número de secuencia en el que se quedó cada modelo.
+   * @returns {Array<string>} - Identificadores de las sesiones reanudadas
+   */
+  resumeTrainingSessions() {
+    const resumed = [];
+
+    trainingSpool.loadSessions().forEach(state => {
+      if (this.trainingSessions[state.id]) return;
+
+      const models = {};
+      Object.entries(state.models).forEach(([modelName, model]) => {
+        const queue = [];
+        model.queue.forEach(key => {
+          const size = trainingSpool.dischargeSize(state.id, key);
+          if (size !== null) {
+            queue.push({ key, size });
+          } else {
+            logger.warn(`Spooled discharge ${key} of session ${state.id} is missing; skipping it for ${modelName}`);
+          }
+        });
+        models[modelName] = {
+          trainingUrl: model.trainingUrl,
+          queue,
+          nextSeq: model.nextSeq,
+          sending: false,
+          pending: false,
+          delivered: model.delivered,
+          failed: model.failed,
+          retries: model.retries || 0
+        };
+      });
+
+      this.trainingSessions[state.id] = {
+        id: state.id,
+        runId: state.runId,
+        startedAt: state.startedAt,
+        totalDischarges: state.totalDischarges,
+        enqueued: state.enqueued,
+        finished: state.finished,
+        cancelled: false,
+        autoFinish: state.autoFinish,
+        models,
+        processed: new Set(state.processed),
+        abortController: new AbortController()
+      };
+      trainingHistory.resumeRun(state.runId);
+      resumed.push(state.id);
+      logger.info(`Resuming training session ${state.id}`);
+
+      if (state.finished && this.allQueuesEmpty(state.id)) {
+        this.closeTrainingSession(state.id);
+        return;
+      }
+      Object.keys(models).forEach(modelName => {
+        if (models[modelName].queue.length > 0) {
+          this.processQueue(state.id, modelName);
+        }
+      });
+      this.emit('training-progress', this.getTrainingSessionStatus(state.id));
+    });
+
+    return resumed;
+  }
+
+  /**
+   * Estado de todas las sesiones de entrenamiento activas
+   * @returns {Array<Object>}
+   */
+  listTrainingSessions() {
+    return Object.keys(this.trainingSessions).map(id => this.getTrainingSessionStatus(id));
+  }
+
+  /**
+   * Cancela una sesión de entrenamiento descartando las colas pendientes
+   * y abortando los envíos en curso
+   * @param {string} sessionId
+   * @returns {Object|null} - Estado de la sesión en el momento de cancelarla
+   */
+  cancelTrainingSession(sessionId) {
+    const session = this.getTrainingSession(sessionId);
+    if (!session) return null;
+
+    logger.warn(`Cancelling training session ${sessionId}`);
+    const status = this.getTrainingSessionStatus(sessionId);
+    session.cancelled = true;
+    session.abortController.abort();
+    Object.values(session.models).forEach(model => {
+      model.queue.length = 0;
+    });
+    this.closeTrainingSession(sessionId, 'cancelled');
+    return status;
+  }
+
+  /**
+   * Descargas que no se pudieron entregar, agrupadas por modelo
+   * @returns {Object} - { modelName: [entradas] }
+   */
+  getDeadLetters() {
+    return deadLetterService.byModel();
+  }
+
+  /**
+   * Reenvía las descargas de la lista de fallidos de un modelo. Las que
+   * pertenecen a una sesión que sigue abierta se vuelven a encolar en ella y
+   * reciben los números de secuencia que dejaron libres. Las de sesiones ya
+   * cerradas solo se reenvían con `newRun`, que inicia una ejecución de
+   * entrenamiento nueva para el modelo con únicamente esas descargas.
+   * @param {string} modelName - Nombre del modelo
+   * @param {Array<string>} ids - Entradas a reenviar; todas las del modelo si se omite
+   * @param {Object} options - { newRun: true para reenviar las de sesiones cerradas en una ejecución nueva }
+   * @returns {Promise<Object>} - { modelName, redriven, sessions: [{ sessionId, redriven }], newRun }
+   */
+  async redriveDeadLetters(modelName, ids, options = {}) {
+    if (!this.models[modelName]) {
+      throw new Error(`Model ${modelName} does not exist`);
+    }
+    // Las entradas sin descarga guardada (spool ilegible) no se pueden reenviar
+    const pending = deadLetterService.list(modelName)
+      .filter(e => e.payload !== false && (!ids || ids.includes(e.id)));
+    if (pending.length === 0) {
+      throw new Error(`No dead-lettered discharges for model ${modelName}`);
+    }
+
+    const open = pending.filter(e => this.openSessionFor(e.sessionId, modelName));
+    const closed = pending.filter(e => !open.includes(e));
+    if (closed.length > 0 && !options.newRun) {
+      throw new Error(`${closed.length} dead-lettered discharge(s) of ${modelName} belong to closed training sessions; ` +
+        're-drive them with newRun to start a new training run with only those discharges');
+    }
+
+    let newRun = null;
+    if (closed.length > 0) {
+      newRun = await this.redriveInNewRun(modelName, closed);
+    }
+
+    const sessions = [];
+    new Set(open.map(e => e.sessionId)).forEach(sessionId => {
+      const entries = open.filter(e => e.sessionId === sessionId);
+      const redriven = this.requeueDeadLetters(this.trainingSessions[sessionId], modelName, entries);
+      sessions.push({ sessionId, redriven });
+    });
+
+    const redriven = sessions.reduce((sum, s) => sum + s.redriven, newRun ? newRun.redriven : 0);
+    return { modelName, redriven, sessions, newRun };
+  }
+
+  /**
+   * Sesión activa de la que aún forma parte un modelo
+   * @param {string} sessionId
+   * @param {string} modelName
+   * @returns {Object|null}
+   */
+  openSessionFor(sessionId, modelName) {
+    const session = this.getTrainingSession(sessionId);
+    return session && !session.cancelled && session.models[modelName] ? session : null;
+  }
+
+  /**
+   * Vuelve a encolar descargas fallidas en su sesión original. Se guardan en el
+   * spool antes de quitarlas de la lista de fallidos.
+   * @param {Object} session - Sesión de entrenamiento abierta
+   * @param {string} modelName - Nombre del modelo
+   * @param {Array<Object>} entries - Entradas de la lista de fallidos
+   * @returns {number} - Descargas encoladas
+   */
+  requeueDeadLetters(session, modelName, entries) {
+    const model = session.models[modelName];
+    const taken = deadLetterService.read(modelName, entries.map(e => e.id));
+    const items = taken.map(({ entry, discharge }) => {
+      const key = `redrive-${entry.id}`;
+      return { key, size: trainingSpool.writeDischarge(session.id, key, discharge), id: discharge.id };
+    });
+
+    model.queue.push(...items);
+    model.failed = Math.max(0, model.failed - items.length);
+    trainingSpool.saveSession(session);
+    deadLetterService.remove(taken.map(t => t.entry.id));
+    logger.info(`Re-driving ${items.length} dead-lettered discharges to ${modelName} in session ${session.id}`);
+
+    this.processQueue(session.id, modelName);
+    this.emit('training-progress', this.getTrainingSessionStatus(session.id));
+    return items.length;
+  }
+
+  /**
+   * Inicia una ejecución de entrenamiento nueva para un modelo con las
+   * descargas fallidas de sesiones ya cerradas. La sesión solo se inicia si el
+   * nodo está en línea y no participa en otra sesión.
+   * @param {string} modelName - Nombre del modelo
+   * @param {Array<Object>} entries - Entradas de la lista de fallidos
+   * @returns {Promise<Object>} - Resumen de la sesión con el número de descargas reenviadas
+   */
+  async redriveInNewRun(modelName, entries) {
+    const taken = deadLetterService.read(modelName, entries.map(e => e.id));
+    if (taken.length === 0) {
+      throw new Error(`The dead-lettered discharges of ${modelName} could not be read`);
+    }
+    const summary = await this.startTrainingSession(taken.length, { models: [modelName], autoFinish: true });
+    logger.info(`Re-driving ${taken.length} dead-lettered discharges to ${modelName} in new session ${summary.sessionId}`);
+
+    // Las entradas solo se quitan de la lista cuando el lote se ha encolado; si
+    // falla, la sesión se cancela y las descargas siguen disponibles para reenviarlas
+    let enqueued = false;
+    try {
+      await this.sendTrainingBatch(summary.sessionId, taken.map(t => t.discharge));
+      deadLetterService.remove(taken.map(t => t.entry.id));
+      enqueued = true;
+    } finally {
+      if (enqueued) {
+        // Cierra la sesión aunque falte alguna descarga (p. ej. un archivo ilegible)
+        this.finishTraining(summary.sessionId);
+      } else {
+        this.cancelTrainingSession(summary.sessionId);
       }
     }
+
+    return { ...summary, redriven: taken.length };
   }
 
   /**
    * Distribuye los datos a todos los modelos habilitados
-   * @param {Object} data - Datos para la predicción (formato discharges)
-   * @returns {Promise<Object>} - Resultados de todos los modelos y votación final
+   * @param {Object} data - Datos para la predicción (formato discharges),
+   *   opcionalmente con `voting` ({ strategy, weights, threshold, tieBreak, tiebreaker, quorum }),
+   *   `concurrency` (descargas procesadas en paralelo), `aggregation` ('voting' o
+   *   'stacking' para combinar las respuestas con el meta-modelo) y, para devolver el
+   *   resultado en cuanto esté decidido, `mode: 'early'` con `deadline` y `modelDeadlines` en ms
+   * @param {Object} options - { source: origen de la petición para el historial,
+   *   record: false para no guardar las predicciones en el historial }
+   * @returns {Promise<Object>} - Resultados por descarga y resumen del lote. Con una
+   *   sola descarga también incluye `models`, `voting`, `windows` y `alarms` en el nivel superior.
    */
-  async orchestrate(data) {
+  async orchestrate(data, options = {}) {
     logger.info('Starting orchestration process');
     
     // Validar formato de datos
@@ -364,24 +959,198 @@ class OrchestratorService {
       logger.error('No models are enabled');
       throw new Error('No models are enabled for prediction');
     }
-    
-    const discharge = data.discharges[0];
 
-    // Llamadas en paralelo a todos los modelos con la nueva estructura
-    const modelPromises = enabledModels.map(model =>
-      this.callModel(model, discharge)
+    const aggregation = data.aggregation || config.prediction.aggregation;
+    if (!['voting', 'stacking'].includes(aggregation)) {
+      throw new Error(`Unknown aggregation method '${aggregation}'`);
+    }
+    if (aggregation === 'stacking' && !stackingService.isTrained()) {
+      throw new Error('The stacking meta-model has not been trained');
+    }
+    const votingOptions = aggregation === 'stacking'
+      ? { ...(data.voting || {}), aggregation }
+      : data.voting || {};
+
+    const concurrency = parseInt(data.concurrency, 10) || config.prediction.concurrency;
+    const timing = {
+      mode: data.mode || config.prediction.mode,
+      deadline: parseInt(data.deadline, 10) || config.prediction.deadline,
+      modelDeadlines: data.modelDeadlines || {}
+    };
+    const discharges = await mapWithConcurrency(data.discharges, concurrency, discharge =>
+      this.predictDischarge(discharge, enabledModels, votingOptions, timing)
     );
-    
-    // Esperar todas las respuestas (con timeout)
-    const responses = await Promise.all(modelPromises);
-    
-    // Aplicar mecanismo de votación
-    const votingResult = this.applyVoting(responses);
-    
-    return {
-      models: responses,
-      voting: votingResult
+
+    const summary = this.summarizeDischarges(discharges);
+    logger.info(`Batch prediction finished: ${summary.anomalies} anomalies, ${summary.failed} failed of ${summary.total}`);
+
+    if (options.record !== false) {
+      await predictionHistory.recordAll({ discharges }, data.discharges, options.source || 'api');
+    }
+    // Las métricas de votación solo cuentan las predicciones de producción, no las evaluaciones
+    if (options.record !== false && options.source !== 'evaluation') {
+      discharges.filter(d => d.voting).forEach(d => metrics.recordVoting(d.voting));
+    }
+
+    const result = { discharges, summary };
+    if (discharges.length === 1) {
+      result.models = discharges[0].models;
+      result.voting = discharges[0].voting;
+      result.windows = discharges[0].windows;
+      result.alarms = discharges[0].alarms;
+    }
+    return result;
+  }
+
+  /**
+   * Envía una descarga a todos los modelos habilitados y aplica la votación
+   * @param {Object} discharge - Descarga a predecir
+   * @param {Array<string>} enabledModels - Modelos a consultar
+   * @param {Object} votingOptions - Opciones de votación
+   * @param {Object} timing - { mode: 'all' | 'early', deadline, modelDeadlines }
+   * @returns {Promise<Object>} - { dischargeId, models, voting, windows, alarms } o { dischargeId, error }
+   */
+  async predictDischarge(discharge, enabledModels, votingOptions = {}, timing = {}) {
+    const dischargeId = discharge && discharge.id !== undefined ? String(discharge.id) : null;
+    try {
+      if (timing.mode === 'early') {
+        const { responses, decidedEarly } = await this.collectEarly(discharge, enabledModels, votingOptions, timing);
+        const windows = this.aggregateWindows(responses, discharge, votingOptions);
+        return {
+          dischargeId,
+          models: responses,
+          voting: this.applyVoting(responses, votingOptions),
+          windows,
+          alarms: alarmRules.evaluate(responses, discharge, windows),
+          decidedEarly
+        };
+      }
+
+      // Llamadas en paralelo a todos los modelos
+      const responses = await Promise.all(
+        enabledModels.map(model => this.callModel(model, discharge))
+      );
+
+      const windows = this.aggregateWindows(responses, discharge, votingOptions);
+      return {
+        dischargeId,
+        models: responses,
+        voting: this.applyVoting(responses, votingOptions),
+        windows,
+        alarms: alarmRules.evaluate(responses, discharge, windows)
+      };
+    } catch (error) {
+      logger.error(`Prediction failed for discharge ${dischargeId}: ${error.message}`);
+      return { dischargeId, error: error.message };
+    }
+  }
+
+  /**
+   * Consulta los modelos y termina en cuanto el resultado de la votación está
+   * decidido o vence el plazo global. Cada modelo puede tener además su propio
+   * plazo. Las peticiones pendientes se cancelan y esos modelos se marcan como
+   * `timeout`.
+   * @param {Object} discharge - Descarga a predecir
+   * @param {Array<string>} enabledModels - Modelos a consultar
+   * @param {Object} votingOptions - Opciones de votación
+   * @param {Object} timing - { deadline: plazo global en ms, modelDeadlines: { modelo: ms } }
+   * @returns {Promise<Object>} - { responses, decidedEarly }
+   */
+  collectEarly(discharge, enabledModels, votingOptions, timing) {
+    const deadline = timing.deadline || this.timeout;
+    const modelDeadlines = timing.modelDeadlines || {};
+    const responses = enabledModels.map(() => null);
+    const controllers = enabledModels.map(() => new AbortController());
+    const timers = [];
+
+    return new Promise(resolve => {
+      let done = false;
+
+      // `decided` solo es true cuando termina porque la votación ya está decidida, no por el plazo
+      const finish = (decided = false) => {
+        if (done) return;
+        done = true;
+        timers.forEach(clearTimeout);
+        const pending = responses.filter(r => !r).length;
+        controllers.forEach(controller => controller.abort());
+        resolve({
+          responses: responses.map((r, i) => r || {
+            modelName: enabledModels[i],
+            status: 'timeout',
+            error: `No response within ${deadline} ms`
+          }),
+          decidedEarly: decided && pending > 0
+        });
+      };
+
+      const settle = (index, response) => {
+        if (done || responses[index]) return;
+        responses[index] = response;
+        // El meta-modelo no anticipa decisiones: con stacking se espera a todos los modelos
+        const decided = votingOptions.aggregation === 'stacking'
+          ? responses.every(Boolean)
+          : votingService.isDecided(responses, enabledModels, this.calibratedVoting(votingOptions));
+        if (decided) {
+          finish(true);
+        }
+      };
+
+      timers.push(setTimeout(() => {
+        logger.warn(`Prediction deadline of ${deadline} ms reached for discharge ${discharge.id}`);
+        finish();
+      }, deadline));
+
+      enabledModels.forEach((modelName, index) => {
+        const modelDeadline = modelDeadlines[modelName];
+        if (modelDeadline) {
+          timers.push(setTimeout(() => {
+            controllers[index].abort();
+            settle(index, {
+              modelName,
+              status: 'timeout',
+              error: `No response within ${modelDeadline} ms`
+            });
+          }, modelDeadline));
+        }
+
+        this.callModel(modelName, discharge, { signal: controllers[index].signal })
+          .then(response => settle(index, response));
+      });
+    });
+  }
+
+  /**
+   * Resume los resultados de un lote de descargas
+   * @param {Array<Object>} discharges - Resultados de predictDischarge
+   * @returns {Object} - Conteo de anomalías, normales, indecisas y fallidas
+   */
+  summarizeDischarges(discharges) {
+    const summary = {
+      total: discharges.length,
+      anomalies: 0,
+      normal: 0,
+      undecided: 0,
+      insufficientQuorum: 0,
+      failed: 0,
+      failedDischarges: []
     };
+
+    discharges.forEach(d => {
+      if (d.error || !d.voting || !d.voting.totalVotes) {
+        summary.failed += 1;
+        summary.failedDischarges.push(d.dischargeId);
+      } else if (d.voting.outcome === 'insufficient_quorum') {
+        summary.insufficientQuorum += 1;
+      } else if (d.voting.decision === 1) {
+        summary.anomalies += 1;
+      } else if (d.voting.decision === 0) {
+        summary.normal += 1;
+      } else {
+        summary.undecided += 1;
+      }
+    });
+
+    return summary;
   }
 
   /**
@@ -401,10 +1170,10 @@ class OrchestratorService {
     logger.info(`Procesando entrenamiento con ${data.discharges.length} descargas`);
 
     const totalDischarges = data.discharges.length;
-    const summary = await this.startTrainingSession(totalDischarges);
-    await this.sendTrainingBatch(data.discharges);
-    await this.awaitQueuesEmpty();
-    this.finishTraining();
+    const summary = await this.startTrainingSession(totalDischarges, { models: data.models });
+    await this.sendTrainingBatch(summary.sessionId, data.discharges);
+    await this.awaitQueuesEmpty(summary.sessionId);
+    this.finishTraining(summary.sessionId);
 
     logger.info(`Training completed: ${summary.successful} successful, ${summary.failed} failed`);
 
@@ -412,88 +1181,78 @@ class OrchestratorService {
   }
 
   /**
-   * Aplica el mecanismo de votación basado en las respuestas de los modelos
-   * @param {Array} modelResponses - Respuestas de los modelos
-   * @returns {Object} - Resultado de la votación
+   * Puntuación del conjunto por ventana: alinea las ventanas de los modelos
+   * que respondieron sobre el eje de tiempos de la descarga
+   * @param {Array<Object>} responses - Respuestas de los modelos
+   * @param {Object} discharge - Descarga predicha
+   * @param {Object} options - Opciones de votación ({ windowThreshold })
+   * @returns {Object|null} - { threshold, models, windows, firstCrossing }, o null sin ventanas
    */
-  applyVoting(modelResponses) {
-    logger.info('Applying voting mechanism');
-    
-    // Filtrar solo los modelos que respondieron exitosamente
-    const successfulResponses = modelResponses.filter(
-      resp => resp.status === 'success' && resp.result && resp.result.prediction !== undefined
-    );
-    
-    if (successfulResponses.length === 0) {
-      logger.error('No successful model responses available for voting');
-      return {
-        decision: null,
-        confidence: 0,
-        message: 'No models returned valid predictions'
-      };
+  aggregateWindows(responses, discharge, options = {}) {
+    const threshold = typeof options.windowThreshold === 'number'
+      ? options.windowThreshold
+      : config.voting.windowThreshold;
+    const results = responses
+      .filter(r => r.status === 'success' && r.result && Array.isArray(r.result.windows))
+      .map(r => ({ modelName: r.modelName, windows: r.result.windows }));
+    return ensembleWindows(results, discharge, threshold);
+  }
+
+  /**
+   * Completa las opciones de votación con la calibración activa: sus pesos
+   * (los de la petición tienen prioridad) y su umbral de soft voting
+   * @param {Object} options - Opciones de votación de la petición
+   * @returns {Object} - Opciones con `weights` y `threshold` calibrados
+   */
+  calibratedVoting(options = {}) {
+    const calibration = config.activeCalibration;
+    if (!calibration) {
+      return options;
     }
-    
-    // Conteo de votos por clase
-    const votes = {
-      0: 0, // Clase 0
-      1: 0  // Clase 1
-    };
-    
-    // Registrar confianza promedio por clase
-    const confidences = {
-      0: [],
-      1: []
+    return {
+      ...options,
+      weights: { ...calibration.weights, ...(options.weights || {}) },
+      threshold: typeof options.threshold === 'number' || typeof calibration.threshold !== 'number'
+        ? options.threshold
+        : calibration.threshold
     };
-    
-    // Procesar votos
-    successfulResponses.forEach(response => {
-      const prediction = response.result.prediction;
-      const confidence = response.result.confidence || 1.0;
-      
-      votes[prediction] += 1;
-      confidences[prediction].push(confidence);
-    });
-    
-    // Determinar la clase ganadora
-    let winningClass;
-    let isTie = false;
-    
-    if (votes[0] > votes[1]) {
-      winningClass = 0;
-    } else if (votes[1] > votes[0]) {
-      winningClass = 1;
+  }
+
+  /**
+   * Aplica el mecanismo de votación basado en las respuestas de los modelos,
+   * con la calibración activa si la hay, o el meta-modelo de stacking con
+   * `aggregation: 'stacking'`
+   * @param {Array} modelResponses - Respuestas de los modelos
+   * @param {Object} options - Opciones de votación { strategy, weights, threshold, tieBreak, tiebreaker, quorum, aggregation }
+   * @returns {Object} - Resultado de la votación
+   */
+  applyVoting(modelResponses, options = {}) {
+    let result;
+    if (options.aggregation === 'stacking') {
+      logger.info('Applying stacking meta-model');
+      result = stackingService.evaluate(modelResponses, options);
     } else {
-      isTie = true;
-    }
-    
-    // Calcular confianza promedio para la clase ganadora
-    let avgConfidence = 0;
-    if (!isTie && confidences[winningClass].length > 0) {
-      avgConfidence = confidences[winningClass].reduce((sum, conf) => sum + conf, 0) / 
-                      confidences[winningClass].length;
+      const strategy = options.strategy || votingService.defaultStrategy;
+      logger.info(`Applying voting mechanism (${strategy})`);
+
+      const calibration = config.activeCalibration;
+      result = votingService.evaluate(modelResponses, { ...this.calibratedVoting(options), strategy });
+      if (calibration) {
+        result.calibration = calibration.version;
+      }
     }
     
-    // Construir resultado
-    const result = {
-      votes,
-      totalVotes: successfulResponses.length,
-      totalModels: modelResponses.length
-    };
-    
-    if (isTie) {
-      result.decision = null;
-      result.confidence = 0;
-      result.message = 'Tie in voting, unable to make prediction';
+    if (result.totalVotes === undefined) {
+      logger.error('No successful model responses available for voting');
+    } else if (result.outcome === 'insufficient_quorum') {
+      logger.warn(result.message);
     } else {
-      result.decision = winningClass;
-      result.confidence = avgConfidence;
-      result.message = `Class ${winningClass} won by ${votes[winningClass]} votes`;
+      logger.info(`Voting result: ${result.message}`);
     }
-    
-    logger.info(`Voting result: ${result.message}`);
     return result;
   }
 
+
   /**
    * Verifica la salud de todos los endpoints de modelos
    * @returns {Promise<Object>} - Estado de salud de cada modelo
@@ -516,27 +1275,36 @@ class OrchestratorService {
         const response = await axios({
           method: 'get',
           url: modelConfig.healthUrl,
-          timeout: this.timeout
+          ...modelRequestOptions(modelConfig, 'health', this.timeout)
         });
         
+        circuitBreaker.recordHealth(modelName, true);
+        this.checkConformance(modelName, 'health', 'healthCheckResponse', response.data);
         return {
           model: modelName,
           status: 'online',
           available: true,
-          details: response.data
+          details: response.data,
+          circuit: circuitBreaker.status(modelName),
+          conformance: this.conformance[modelName]
         };
       } catch (error) {
         logger.error(`Health check failed for ${modelName}: ${error.message}`);
+        circuitBreaker.recordHealth(modelName, false, error.message);
         return {
           model: modelName,
           status: 'offline',
           available: false,
-          error: error.message
+          error: error.message,
+          circuit: circuitBreaker.status(modelName),
+          conformance: this.conformance[modelName]
         };
       }
     });
     
     const results = await Promise.all(modelChecks);
+    metrics.modelUp.reset();
+    results.forEach(m => metrics.modelUp.set({ model: m.model }, m.available ? 1 : 0));
     
     return {
       timestamp: new Date(),
@@ -547,37 +1315,46 @@ class OrchestratorService {
 
   /**
    * Procesa la respuesta de entrenamiento enviada por un nodo
-   * y almacena un resumen en memoria para consultas posteriores.
+   * y la guarda en el historial junto a la ejecución a la que pertenece.
    * @param {Object} data - Objeto con la estructura TrainingResponse
-   * @returns {Object} - Resultado almacenado con timestamp
+   * @param {Object} context - { modelName } si se pudo identificar el nodo
+   * @returns {Object} - Resultado almacenado con timestamp y runId
    */
-  handleTrainingCompleted(data = {}) {
+  handleTrainingCompleted(data = {}, context = {}) {
     if (!data || typeof data !== 'object' || !data.status) {
       throw new Error('Invalid TrainingResponse');
     }
 
-    const entry = {
-      timestamp: new Date(),
-      ...data
-    };
-
-    this.trainingSummaries.push(entry);
-
-    // keep last 100 summaries to avoid uncontrolled growth
-    if (this.trainingSummaries.length > 100) {
-      this.trainingSummaries.shift();
-    }
+    const entry = trainingHistory.recordCompletion(data, context);
 
     logger.info(`Stored training summary with status ${data.status}`);
     return entry;
   }
 
+  /**
+   * Identifica el modelo que envía un resumen a partir de su dirección
+   * @param {string} address - IP o host del remitente
+   * @returns {string|null} - Nombre del modelo, o null si no coincide exactamente uno
+   */
+  findModelByAddress(address) {
+    if (!address) return null;
+    const host = address.replace(/^::ffff:/, '');
+    const matches = Object.keys(this.models).filter(modelName => {
+      try {
+        return new URL(this.models[modelName].trainingUrl).hostname === host;
+      } catch (error) {
+        return false;
+      }
+    });
+    return matches.length === 1 ? matches[0] : null;
+  }
+
   /**
    * Devuelve los resúmenes de entrenamiento almacenados
    * @returns {Array<Object>}
    */
   getTrainingSummaries() {
-    return this.trainingSummaries;
+    return trainingHistory.completions();
   }
 
   /**
@@ -0,0 +1,238 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { appendJsonLine, readJsonLines, scanJsonLines, readJsonLinesAt } = require('../utils/storage');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Historial persistente de todas las predicciones del orquestador, guardado en
+ * un JSONL al que solo se añaden líneas. Emite `recorded` con cada entrada. Las
+ * consultas usan un índice en memoria (campos de los filtros y posición en bytes
+ * de cada línea) creado en la primera consulta, así que solo se leen del disco
+ * las entradas de la página pedida.
+ */
+class PredictionHistoryService extends EventEmitter {
+  constructor() {
+    super();
+    this.file = process.env.PREDICTION_HISTORY_FILE || path.join(config.dataDir, 'predictions.jsonl');
+    // Serializa las escrituras para que predicciones simultáneas no mezclen líneas
+    this.writeQueue = Promise.resolve();
+    this.index = null;
+    this.indexing = null;
+    this.size = 0;
+  }
+
+  /**
+   * Construye y guarda la entrada del historial de la predicción de una descarga
+   * @param {Object} prediction - Resultado de predictDischarge ({ dischargeId, models, voting, alarms, error })
+   * @param {Object} context - { source, anomalyTime, label }
+   * @returns {Promise<Object>} - Entrada guardada
+   */
+  async record(prediction, context = {}) {
+    const entry = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      source: context.source || 'api',
+      dischargeId: prediction.dischargeId,
+      decision: prediction.voting ? prediction.voting.decision : null,
+      confidence: prediction.voting ? prediction.voting.confidence : 0,
+      models: (prediction.models || []).map(m => ({
+        modelName: m.modelName,
+        status: m.status,
+        prediction: m.result ? m.result.prediction : undefined,
+        confidence: m.result ? m.result.confidence : undefined,
+        error: m.error
+      })),
+      voting: prediction.voting || null
+    };
+    if (context.anomalyTime !== undefined) {
+      entry.anomalyTime = context.anomalyTime;
+    }
+    if (context.label === 0 || context.label === 1) {
+      entry.label = context.label;
+    }
+    if (prediction.alarms) {
+      entry.alarm = {
+        fired: prediction.alarms.fired,
+        onset: prediction.alarms.onset,
+        rule: prediction.alarms.rule,
+        model: prediction.alarms.model
+      };
+    }
+    if (prediction.error) {
+      entry.error = prediction.error;
+    }
+
+    const write = this.writeQueue.then(() => this.append(entry));
+    // Una escritura fallida puede dejar una línea a medias: el índice se reconstruye en la próxima consulta
+    this.writeQueue = write.catch(() => {
+      this.index = null;
+    });
+    await write;
+
+    this.emit('recorded', entry);
+    return entry;
+  }
+
+  /**
+   * Añade una entrada al archivo y, si ya existe, al índice
+   * @param {Object} entry
+   */
+  async append(entry) {
+    const length = await appendJsonLine(this.file, entry);
+    if (this.index) {
+      this.index.push(this.indexEntry(entry, this.size, length - 1));
+      this.size += length;
+    }
+  }
+
+  /**
+   * Registro del índice de una entrada: los campos de los filtros y su posición en el archivo
+   * @param {Object} entry
+   * @param {number} offset - Posición de la línea en bytes
+   * @param {number} length - Bytes de la línea, sin el salto de línea
+   * @returns {Object}
+   */
+  indexEntry(entry, offset, length) {
+    return {
+      offset,
+      length,
+      timestamp: entry.timestamp,
+      source: entry.source,
+      dischargeId: entry.dischargeId,
+      decision: entry.decision,
+      models: (entry.models || []).map(m => ({ modelName: m.modelName }))
+    };
+  }
+
+  /**
+   * Crea el índice recorriendo el archivo una vez. Se ejecuta en la cola de
+   * escritura, así que no se añaden líneas mientras se recorre.
+   * @returns {Promise<void>}
+   */
+  loadIndex() {
+    if (!this.indexing) {
+      this.indexing = this.writeQueue.then(async () => {
+        const index = [];
+        for await (const { entry, offset, length } of scanJsonLines(this.file)) {
+          index.push(this.indexEntry(entry, offset, length));
+        }
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+        this.index = index;
+      }).finally(() => {
+        this.indexing = null;
+      });
+      this.writeQueue = this.indexing.catch(() => {});
+    }
+    return this.indexing;
+  }
+
+  /**
+   * Registros del índice que acepta un predicado, del más reciente al más antiguo
+   * @param {Function} predicate - (record) => boolean
+   * @param {number} limit - Número máximo de registros
+   * @returns {Promise<Array<Object>>}
+   */
+  async select(predicate, limit = Infinity) {
+    while (!this.index) {
+      await this.loadIndex();
+    }
+    const selected = [];
+    for (let i = this.index.length - 1; i >= 0 && selected.length < limit; i--) {
+      if (predicate(this.index[i])) {
+        selected.push(this.index[i]);
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * Comprueba si una entrada cumple los filtros de la consulta
+   * @param {Object} entry
+   * @param {Object} filters - { dischargeId, from, to, decision, model, source }
+   * @returns {boolean}
+   */
+  matches(entry, filters) {
+    if (filters.dischargeId && entry.dischargeId !== filters.dischargeId) return false;
+    if (filters.source && entry.source !== filters.source) return false;
+    if (filters.decision !== undefined && entry.decision !== filters.decision) return false;
+    const time = Date.parse(entry.timestamp);
+    if (filters.from && time < filters.from.getTime()) return false;
+    if (filters.to && time > filters.to.getTime()) return false;
+    if (filters.model && !entry.models.some(m => m.modelName === filters.model)) return false;
+    return true;
+  }
+
+  /**
+   * Consulta el historial, de la entrada más reciente a la más antigua
+   * @param {Object} filters - { dischargeId, from, to, decision, model, source, page, pageSize }
+   * @returns {Promise<Object>} - { total, page, pageSize, items }
+   */
+  async query(filters = {}) {
+    const page = Math.max(1, parseInt(filters.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+    const matched = await this.select(entry => this.matches(entry, filters));
+    const start = (page - 1) * pageSize;
+    return {
+      total: matched.length,
+      page,
+      pageSize,
+      items: await readJsonLinesAt(this.file, matched.slice(start, start + pageSize))
+    };
+  }
+
+  /**
+   * Entradas con la verdad conocida, de la más antigua a la más reciente: un
+   * `label` explícito o el `anomalyTime` de una evaluación (null en las descargas
+   * normales). Los demás orígenes guardan `anomalyTime: null` en las descargas sin
+   * etiqueta, por lo que allí no indica la verdad.
+   * @param {Object} filters - Los mismos filtros que `query`
+   * @returns {Promise<Array<Object>>}
+   */
+  async labeled(filters = {}) {
+    const entries = [];
+    for await (const entry of readJsonLines(this.file)) {
+      const known = entry.label === 0 || entry.label === 1 ||
+        (entry.source === 'evaluation' && entry.anomalyTime !== undefined);
+      if (known && this.matches(entry, filters)) {
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Devuelve las entradas más recientes, de la más reciente a la más antigua
+   * @param {number} limit
+   * @param {Function} predicate - Filtro opcional sobre el registro del índice ({ source, dischargeId, ... })
+   * @returns {Promise<Array<Object>>}
+   */
+  async recent(limit = 100, predicate = () => true) {
+    return readJsonLinesAt(this.file, await this.select(predicate, limit));
+  }
+
+  /**
+   * Guarda todas las descargas de un resultado de orchestrate sin hacer fallar la predicción
+   * @param {Object} result - Resultado de orchestrate
+   * @param {Array<Object>} discharges - Descargas enviadas a los modelos
+   * @param {string} source - Origen de la predicción (api, socket, automated, ...)
+   */
+  async recordAll(result, discharges, source) {
+    for (let i = 0; i < result.discharges.length; i++) {
+      const discharge = discharges[i] || {};
+      try {
+        await this.record(result.discharges[i], { source, anomalyTime: discharge.anomalyTime, label: discharge.label });
+      } catch (error) {
+        logger.error(`Error storing prediction history: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new PredictionHistoryService();
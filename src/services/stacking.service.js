@@ -0,0 +1,224 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/storage');
+const predictionHistory = require('./prediction-history.service');
+const votingService = require('./voting.service');
+
+// Parámetros del descenso de gradiente y mínimo de muestras para entrenar
+const DEFAULT_OPTIONS = {
+  iterations: 2000,
+  learningRate: 0.5,
+  l2: 0.01,
+  minSamples: 10
+};
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+// Redondea a 6 decimales sin devolver -0
+function round(value) {
+  return Math.round(value * 1e6) / 1e6 || 0;
+}
+
+/**
+ * Verdad de una entrada del historial
+ * @param {Object} entry - Entrada del historial de predicciones
+ * @returns {number|null}
+ */
+function labelOf(entry) {
+  if (entry.label === 0 || entry.label === 1) return entry.label;
+  if (entry.anomalyTime === undefined) return null;
+  return typeof entry.anomalyTime === 'number' ? 1 : 0;
+}
+
+/**
+ * Salida de cada modelo que respondió, de una entrada del historial o de respuestas en vivo
+ * @param {Array<Object>} models - `entry.models` o respuestas de callModel
+ * @returns {Object} - { modelName: { prediction, confidence } }
+ */
+function outcomesOf(models = []) {
+  const outcomes = {};
+  models.forEach(m => {
+    const result = m.result || m;
+    if (m.status === 'success' && (result.prediction === 0 || result.prediction === 1)) {
+      outcomes[m.modelName] = {
+        prediction: result.prediction,
+        confidence: typeof result.confidence === 'number' ? result.confidence : 1
+      };
+    }
+  });
+  return outcomes;
+}
+
+/**
+ * Stacking: una regresión logística que aprende a combinar las salidas de los
+ * modelos. Cada modelo aporta dos variables, su voto (+1 anomalía, -1 normal, 0
+ * si no respondió) y su confianza (0 si no respondió). Se entrena con las
+ * entradas del historial de predicciones con etiqueta conocida y se guarda en
+ * `data/stacking.json`.
+ */
+class StackingService {
+  constructor() {
+    this.file = process.env.STACKING_MODEL_FILE || path.join(config.dataDir, 'stacking.json');
+    this.model = readJson(this.file, null);
+  }
+
+  /**
+   * Indica si hay un meta-modelo entrenado
+   * @returns {boolean}
+   */
+  isTrained() {
+    return Boolean(this.model);
+  }
+
+  /**
+   * Vector de variables de una descarga
+   * @param {Array<string>} modelNames - Modelos del meta-modelo, en orden
+   * @param {Object} outcomes - Resultado de outcomesOf
+   * @returns {Array<number>}
+   */
+  features(modelNames, outcomes) {
+    return modelNames.flatMap(name => {
+      const outcome = outcomes[name];
+      if (!outcome) return [0, 0];
+      return [outcome.prediction === 1 ? 1 : -1, outcome.confidence];
+    });
+  }
+
+  /**
+   * Entrena el meta-modelo con el historial de predicciones etiquetado y lo guarda
+   * @param {Object} options - { source, from, to, models, iterations, learningRate, l2, minSamples }
+   * @returns {Promise<Object>} - Meta-modelo guardado
+   */
+  async train(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS };
+    Object.keys(DEFAULT_OPTIONS).forEach(key => {
+      if (typeof options[key] === 'number') settings[key] = options[key];
+    });
+
+    const entries = (await predictionHistory.labeled({ source: options.source, from: options.from, to: options.to }))
+      .map(entry => ({ label: labelOf(entry), outcomes: outcomesOf(entry.models) }))
+      .filter(sample => sample.label !== null && Object.keys(sample.outcomes).length > 0);
+
+    const modelNames = Array.isArray(options.models) && options.models.length > 0
+      ? [...options.models]
+      : [...new Set(entries.flatMap(sample => Object.keys(sample.outcomes)))].sort();
+    const positives = entries.filter(sample => sample.label === 1).length;
+
+    if (entries.length < settings.minSamples) {
+      throw new Error(`At least ${settings.minSamples} labeled predictions are needed, ${entries.length} found`);
+    }
+    if (positives === 0 || positives === entries.length) {
+      throw new Error('The labeled predictions must include anomalous and normal discharges');
+    }
+
+    const samples = entries.map(sample => ({ x: this.features(modelNames, sample.outcomes), y: sample.label }));
+    const size = modelNames.length * 2;
+    let weights = new Array(size).fill(0);
+    let intercept = 0;
+
+    // Descenso de gradiente por lotes con regularización L2 (sin penalizar el término independiente)
+    for (let iteration = 0; iteration < settings.iterations; iteration++) {
+      const gradient = new Array(size).fill(0);
+      let gradientIntercept = 0;
+      samples.forEach(({ x, y }) => {
+        const error = sigmoid(intercept + x.reduce((sum, v, i) => sum + v * weights[i], 0)) - y;
+        x.forEach((v, i) => { gradient[i] += error * v; });
+        gradientIntercept += error;
+      });
+      weights = weights.map((w, i) => w - settings.learningRate * (gradient[i] / samples.length + settings.l2 * w));
+      intercept -= settings.learningRate * gradientIntercept / samples.length;
+    }
+
+    let correct = 0;
+    let loss = 0;
+    samples.forEach(({ x, y }) => {
+      const p = sigmoid(intercept + x.reduce((sum, v, i) => sum + v * weights[i], 0));
+      if ((p > 0.5 ? 1 : 0) === y) correct += 1;
+      const clipped = Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+      loss -= y === 1 ? Math.log(clipped) : Math.log(1 - clipped);
+    });
+
+    const coefficients = {};
+    modelNames.forEach((name, i) => {
+      coefficients[name] = { vote: round(weights[2 * i]), confidence: round(weights[2 * i + 1]) };
+    });
+    this.model = {
+      trainedAt: new Date().toISOString(),
+      models: modelNames,
+      intercept: round(intercept),
+      coefficients,
+      threshold: 0.5,
+      samples: samples.length,
+      positives,
+      trainingAccuracy: round(correct / samples.length),
+      trainingLogLoss: round(loss / samples.length),
+      options: { ...settings, source: options.source || null }
+    };
+    writeJsonAtomic(this.file, this.model);
+    logger.info(`Stacking meta-model trained on ${samples.length} labeled predictions (${modelNames.join(', ')})`);
+    return this.model;
+  }
+
+  /**
+   * Combina las respuestas de los modelos con el meta-modelo. El resultado tiene
+   * la misma forma que el de una votación, con `strategy: 'stacking'` y la
+   * `probability` de anomalía. Se sigue aplicando el quórum de la votación.
+   * @param {Array<Object>} modelResponses - Respuestas de todos los modelos, también las fallidas
+   * @param {Object} options - Opciones de votación ({ quorum })
+   * @returns {Object}
+   */
+  evaluate(modelResponses, options = {}) {
+    if (!this.model) {
+      throw new Error('The stacking meta-model has not been trained');
+    }
+    const outcomes = outcomesOf(modelResponses);
+    const successfulResponses = modelResponses.filter(r => outcomes[r.modelName]);
+    if (successfulResponses.length === 0) {
+      return {
+        strategy: 'stacking',
+        decision: null,
+        confidence: 0,
+        message: 'No models returned valid predictions'
+      };
+    }
+
+    const quorum = votingService.checkQuorum(modelResponses, successfulResponses, options);
+    const base = {
+      strategy: 'stacking',
+      votes: votingService.countVotes(successfulResponses),
+      totalVotes: successfulResponses.length,
+      totalModels: modelResponses.length,
+      quorum
+    };
+    if (!quorum.met) {
+      return { ...base, decision: null, confidence: 0, outcome: 'insufficient_quorum', message: quorum.message };
+    }
+
+    const x = this.features(this.model.models, outcomes);
+    const z = this.model.intercept + this.model.models.reduce((sum, name, i) =>
+      sum + x[2 * i] * this.model.coefficients[name].vote + x[2 * i + 1] * this.model.coefficients[name].confidence, 0);
+    const probability = sigmoid(z);
+    const { threshold } = this.model;
+
+    let decision = null;
+    if (probability > threshold) decision = 1;
+    else if (probability < threshold) decision = 0;
+
+    return {
+      ...base,
+      decision,
+      confidence: decision === null ? 0 : (decision === 1 ? probability : 1 - probability),
+      probability,
+      threshold,
+      tie: decision === null,
+      message: decision === null
+        ? `Stacking probability equals threshold ${threshold}, unable to make prediction`
+        : `Stacking anomaly probability ${probability.toFixed(3)} against threshold ${threshold}`
+    };
+  }
+}
+
+module.exports = new StackingService();
@@ -0,0 +1,197 @@
+const path = require('path');
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/storage');
+
+/**
+ * Registro persistente de las ejecuciones de entrenamiento. Cada ejecución une
+ * la sesión iniciada por el orquestador (descargas enviadas, modelos que la
+ * aceptaron, inicio y fin) con los `trainingCompleted` recibidos de los nodos.
+ */
+class TrainingHistoryService {
+  constructor() {
+    this.file = process.env.TRAINING_HISTORY_FILE || path.join(config.dataDir, 'training-runs.json');
+    this.runs = [];
+    this.unlinked = [];
+    this.load();
+  }
+
+  /**
+   * Carga las ejecuciones del disco. Las que dejó abiertas un proceso anterior se marcan como interrumpidas.
+   */
+  load() {
+    try {
+      const stored = readJson(this.file, { runs: [] });
+      this.runs = Array.isArray(stored.runs) ? stored.runs : [];
+      this.unlinked = Array.isArray(stored.unlinked) ? stored.unlinked : [];
+    } catch (error) {
+      logger.error(`Error loading training history: ${error.message}`);
+      this.runs = [];
+      this.unlinked = [];
+      return;
+    }
+
+    let interrupted = 0;
+    this.runs.forEach(run => {
+      if (run.status === 'running') {
+        run.status = 'interrupted';
+        interrupted += 1;
+      }
+    });
+    if (interrupted > 0) {
+      this.save();
+    }
+  }
+
+  save() {
+    try {
+      writeJsonAtomic(this.file, { runs: this.runs, unlinked: this.unlinked });
+    } catch (error) {
+      logger.error(`Error saving training history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra el inicio de una sesión de entrenamiento
+   * @param {Object} session - { totalDischarges, details } tal como los devuelve startTrainingSession
+   * @returns {Object} - Ejecución guardada
+   */
+  startRun({ totalDischarges, details = [] }) {
+    const models = {};
+    details.forEach(d => {
+      models[d.modelName] = {
+        status: d.status === 'success' ? 'accepted' : d.status,
+        error: d.error
+      };
+    });
+
+    const run = {
+      id: randomUUID(),
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      totalDischarges,
+      dischargeIds: [],
+      models,
+      completions: []
+    };
+    this.runs.push(run);
+    this.save();
+    logger.info(`Training run ${run.id} started`);
+    return run;
+  }
+
+  /**
+   * Añade los identificadores de las descargas enviadas en un lote
+   * @param {string} runId
+   * @param {Array<string>} dischargeIds
+   */
+  addDischarges(runId, dischargeIds) {
+    const run = this.get(runId);
+    if (!run || dischargeIds.length === 0) return;
+    run.dischargeIds.push(...dischargeIds);
+    this.save();
+  }
+
+  /**
+   * Marca una ejecución como terminada una vez entregadas todas las colas
+   * @param {string} runId
+   * @param {string} status - Estado final de la ejecución
+   */
+  finishRun(runId, status = 'finished') {
+    const run = this.get(runId);
+    if (!run || run.status !== 'running') return;
+    run.status = status;
+    run.finishedAt = new Date().toISOString();
+    this.save();
+    logger.info(`Training run ${runId} ${status}`);
+  }
+
+  /**
+   * Reabre una ejecución interrumpida por un reinicio cuya sesión se reanuda
+   * @param {string} runId
+   */
+  resumeRun(runId) {
+    const run = this.get(runId);
+    if (!run || run.status === 'running') return;
+    run.status = 'running';
+    run.finishedAt = null;
+    this.save();
+    logger.info(`Training run ${runId} resumed`);
+  }
+
+  /**
+   * Guarda un `trainingCompleted` en su ejecución: la indicada en el cuerpo
+   * (`runId`) o, si no, la ejecución en curso (o la más reciente) que aceptó el
+   * modelo remitente. Los que no corresponden a ninguna ejecución se guardan
+   * aparte, con `runId: null`.
+   * @param {Object} data - TrainingResponse enviado por el nodo
+   * @param {Object} context - { modelName } si se pudo identificar el remitente
+   * @returns {Object} - Resumen guardado con `runId`
+   */
+  recordCompletion(data, context = {}) {
+    const modelName = context.modelName || data.modelName || data.model || null;
+    const run = (data.runId && this.get(data.runId)) || this.runForModel(modelName);
+    const completion = {
+      ...data,
+      timestamp: new Date(),
+      runId: run ? run.id : null,
+      modelName
+    };
+
+    if (run) {
+      run.completions.push(completion);
+    } else {
+      this.unlinked.push(completion);
+      logger.warn(`Training summary from ${modelName || 'an unknown node'} does not match any training run`);
+    }
+    this.save();
+    return completion;
+  }
+
+  /**
+   * Ejecución en la que entrena un modelo: la más reciente en curso que aceptó
+   * o, si no hay ninguna en curso, la más reciente que aceptó
+   * @param {string|null} modelName
+   * @returns {Object|null}
+   */
+  runForModel(modelName) {
+    if (!modelName) return null;
+    const accepted = this.runs.filter(run => run.models[modelName] && run.models[modelName].status === 'accepted');
+    const running = accepted.filter(run => run.status === 'running');
+    return running[running.length - 1] || accepted[accepted.length - 1] || null;
+  }
+
+  /**
+   * Devuelve una ejecución por su identificador
+   * @param {string} runId
+   * @returns {Object|undefined}
+   */
+  get(runId) {
+    return this.runs.find(r => r.id === runId);
+  }
+
+  /**
+   * Lista las ejecuciones, de la más reciente a la más antigua, sin la lista completa de descargas
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.runs.slice().reverse().map(({ dischargeIds, ...run }) => ({
+      ...run,
+      dischargesSent: dischargeIds.length
+    }));
+  }
+
+  /**
+   * Todos los resúmenes de entrenamiento recibidos, del más antiguo al más reciente
+   * @returns {Array<Object>}
+   */
+  completions() {
+    return this.runs
+      .reduce((all, run) => all.concat(run.completions), this.unlinked.slice())
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+}
+
+module.exports = new TrainingHistoryService();
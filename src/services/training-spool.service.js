@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/storage');
+
+/**
+ * Spool en disco de las sesiones de entrenamiento activas. Cada sesión tiene su
+ * directorio con `session.json` (colas como claves de descargas, posición en la
+ * secuencia e identificadores procesados) y un archivo por descarga encolada. Las
+ * colas de los modelos solo guardan claves: las descargas se leen del spool al
+ * entregarlas, y un orquestador reiniciado sigue donde se quedó cada modelo.
+ */
+class TrainingSpoolService {
+  constructor() {
+    this.dir = process.env.TRAINING_SPOOL_DIR || path.join(config.dataDir, 'training-sessions');
+  }
+
+  sessionDir(sessionId) {
+    return path.join(this.dir, sessionId);
+  }
+
+  dischargeFile(sessionId, key) {
+    return path.join(this.sessionDir(sessionId), 'discharges', `${key}.json`);
+  }
+
+  /**
+   * Guarda el estado de una sesión. Las colas se guardan como las claves de sus descargas.
+   * @param {Object} session - Sesión de entrenamiento activa
+   */
+  saveSession(session) {
+    const models = {};
+    Object.entries(session.models).forEach(([modelName, model]) => {
+      models[modelName] = {
+        trainingUrl: model.trainingUrl,
+        nextSeq: model.nextSeq,
+        delivered: model.delivered,
+        failed: model.failed,
+        retries: model.retries,
+        queue: model.queue.map(item => item.key)
+      };
+    });
+
+    try {
+      writeJsonAtomic(path.join(this.sessionDir(session.id), 'session.json'), {
+        id: session.id,
+        runId: session.runId,
+        startedAt: session.startedAt,
+        totalDischarges: session.totalDischarges,
+        enqueued: session.enqueued,
+        finished: session.finished,
+        autoFinish: session.autoFinish,
+        processed: Array.from(session.processed),
+        models
+      });
+    } catch (error) {
+      logger.error(`Error spooling training session ${session.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guarda una descarga una sola vez para todos los modelos de la sesión
+   * @param {string} sessionId
+   * @param {string} key - Clave de la descarga dentro de la sesión
+   * @param {Object} discharge
+   * @returns {number} - Tamaño de la descarga serializada en bytes
+   */
+  writeDischarge(sessionId, key, discharge) {
+    return writeJsonAtomic(this.dischargeFile(sessionId, key), discharge, 0);
+  }
+
+  /**
+   * Tamaño de una descarga del spool
+   * @param {string} sessionId
+   * @param {string} key
+   * @returns {number|null} - Bytes, o null si falta el archivo
+   */
+  dischargeSize(sessionId, key) {
+    try {
+      return fs.statSync(this.dischargeFile(sessionId, key)).size;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Lee una descarga del spool
+   * @param {string} sessionId
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  readDischarge(sessionId, key) {
+    return readJson(this.dischargeFile(sessionId, key));
+  }
+
+  /**
+   * Borra una descarga una vez que la han consumido todos los modelos
+   * @param {string} sessionId
+   * @param {string} key
+   */
+  removeDischarge(sessionId, key) {
+    fs.rmSync(this.dischargeFile(sessionId, key), { force: true });
+  }
+
+  /**
+   * Borra del spool una sesión cerrada
+   * @param {string} sessionId
+   */
+  removeSession(sessionId) {
+    fs.rmSync(this.sessionDir(sessionId), { recursive: true, force: true });
+  }
+
+  /**
+   * Sesiones que dejó en el spool un proceso anterior
+   * @returns {Array<Object>} - Estados guardados de las sesiones
+   */
+  loadSessions() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const sessions = [];
+    fs.readdirSync(this.dir).forEach(sessionId => {
+      try {
+        const state = readJson(path.join(this.sessionDir(sessionId), 'session.json'));
+        if (state) {
+          sessions.push(state);
+        }
+      } catch (error) {
+        logger.error(`Error reading spooled training session ${sessionId}: ${error.message}`);
+      }
+    });
+    return sessions;
+  }
+}
+
+module.exports = new TrainingSpoolService();
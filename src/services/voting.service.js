@@ -0,0 +1,477 @@
+const config = require('../config');
+
+/**
+ * Media de un array de números (0 para un array vacío)
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+function average(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Confianza informada por un modelo, 1 si no la informa
+ * @param {Object} response - Respuesta correcta de un modelo
+ * @returns {number}
+ */
+function confidenceOf(response) {
+  const confidence = response.result.confidence;
+  return typeof confidence === 'number' ? confidence : 1.0;
+}
+
+/**
+ * Decide la clase ganadora a partir de la puntuación de cada clase.
+ * Devuelve null cuando ambas clases tienen la misma puntuación.
+ * @param {Object} scores - Puntuación de cada clase ({0, 1})
+ * @returns {number|null}
+ */
+function pickWinner(scores) {
+  if (scores[0] > scores[1]) return 0;
+  if (scores[1] > scores[0]) return 1;
+  return null;
+}
+
+// Estrategias cuya decisión solo depende de las clases predichas (y de los pesos
+// estáticos), por lo que el resultado se conoce antes de que respondan todos
+const DECIDABLE_STRATEGIES = ['majority', 'weighted', 'unanimous', 'any'];
+
+// Modelos pendientes a partir de los cuales no se evalúa la decisión anticipada (3^n casos)
+const MAX_PENDING_OUTCOMES = 6;
+
+/**
+ * Implementa las estrategias de votación disponibles. Cada estrategia recibe las
+ * respuestas correctas de los modelos y devuelve al menos `decision` y `confidence`.
+ * Una decisión `null` indica que la estrategia no pudo deshacer un empate.
+ */
+class VotingService {
+  constructor() {
+    this.defaultStrategy = config.voting.strategy;
+    this.tieBreak = config.voting.tieBreak;
+    this.tiebreakerModel = config.voting.tiebreakerModel;
+    this.tieBreakPolicies = ['none', 'anomaly', 'normal', 'tiebreaker', 'confidence'];
+    this.quorum = this.normalizeQuorum(config.voting.quorum, {});
+    this.strategies = {
+      majority: this.majority.bind(this),
+      confidence: this.confidenceWeighted.bind(this),
+      weighted: this.staticWeighted.bind(this),
+      unanimous: this.unanimous.bind(this),
+      any: this.any.bind(this),
+      soft: this.soft.bind(this)
+    };
+  }
+
+  /**
+   * Nombres de las estrategias registradas
+   * @returns {Array<string>}
+   */
+  list() {
+    return Object.keys(this.strategies);
+  }
+
+  /**
+   * Comprueba si una estrategia está registrada
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.strategies, name);
+  }
+
+  /**
+   * Registra una nueva estrategia de votación
+   * @param {string} name - Nombre de la estrategia usado en las peticiones
+   * @param {Function} fn - (responses, options) => { decision, confidence, ... }
+   */
+  register(name, fn) {
+    this.strategies[name] = fn;
+  }
+
+  /**
+   * Aplica la estrategia pedida sobre las respuestas correctas
+   * @param {Array<Object>} responses - Respuestas correctas de los modelos
+   * @param {Object} options - { strategy, weights, threshold }
+   * @returns {Object} - Resultado de la estrategia, con su nombre
+   */
+  vote(responses, options = {}) {
+    const strategy = options.strategy || this.defaultStrategy;
+    if (!this.has(strategy)) {
+      throw new Error(`Unknown voting strategy '${strategy}'`);
+    }
+    const result = this.strategies[strategy](responses, options);
+    return { strategy, ...result };
+  }
+
+  /**
+   * Resuelve un empate según la política de desempate.
+   * El resultado mantiene `decision: null` si la política no puede resolverlo.
+   * @param {Object} result - Resultado de una estrategia con `decision: null`
+   * @param {Array<Object>} responses - Respuestas correctas de los modelos
+   * @param {Object} options - { tieBreak, tiebreaker }
+   * @returns {Object} - Resultado con los campos `tie` y `tieBreak`
+   */
+  breakTie(result, responses, options = {}) {
+    const policy = options.tieBreak || this.tieBreak;
+    if (!this.tieBreakPolicies.includes(policy)) {
+      throw new Error(`Unknown tie-break policy '${policy}'`);
+    }
+
+    const resolved = { ...result, tie: true, tieBreak: policy };
+    let decision = null;
+
+    if (policy === 'anomaly') {
+      decision = 1;
+      resolved.message = 'Tie broken in favour of anomaly';
+    } else if (policy === 'normal') {
+      decision = 0;
+      resolved.message = 'Tie broken in favour of normal';
+    } else if (policy === 'tiebreaker') {
+      const tiebreaker = options.tiebreaker || this.tiebreakerModel;
+      const vote = responses.find(r => r.modelName === tiebreaker);
+      resolved.tiebreaker = tiebreaker || null;
+      if (vote) {
+        decision = vote.result.prediction;
+        resolved.message = `Tie broken by model ${tiebreaker}`;
+      } else {
+        resolved.message = `Tie could not be broken: tiebreaker model '${tiebreaker}' did not respond`;
+      }
+    } else if (policy === 'confidence') {
+      const byClass = { 0: this.classConfidence(responses, 0), 1: this.classConfidence(responses, 1) };
+      decision = pickWinner(byClass);
+      resolved.message = decision === null
+        ? 'Tie could not be broken: equal average confidence'
+        : `Tie broken by highest average confidence (class ${decision})`;
+    }
+
+    resolved.decision = decision;
+    resolved.confidence = decision === null ? 0 : this.classConfidence(responses, decision);
+    return resolved;
+  }
+
+  /**
+   * Vota sobre las respuestas de todos los modelos llamados: filtra las
+   * correctas, comprueba el quórum y aplica la estrategia y el desempate
+   * @param {Array<Object>} modelResponses - Respuestas de todos los modelos, también las fallidas
+   * @param {Object} options - { strategy, weights, threshold, tieBreak, tiebreaker, quorum }
+   * @returns {Object} - Resultado de la votación con `strategy`, `decision` y `confidence`
+   */
+  evaluate(modelResponses, options = {}) {
+    const strategy = options.strategy || this.defaultStrategy;
+    const successfulResponses = modelResponses.filter(
+      resp => resp.status === 'success' && resp.result && resp.result.prediction !== undefined
+    );
+
+    if (successfulResponses.length === 0) {
+      return {
+        strategy,
+        decision: null,
+        confidence: 0,
+        message: 'No models returned valid predictions'
+      };
+    }
+
+    const quorum = this.checkQuorum(modelResponses, successfulResponses, options);
+    if (!quorum.met) {
+      return {
+        strategy,
+        decision: null,
+        confidence: 0,
+        outcome: 'insufficient_quorum',
+        quorum,
+        message: quorum.message,
+        totalVotes: successfulResponses.length,
+        totalModels: modelResponses.length
+      };
+    }
+
+    let result = this.vote(successfulResponses, { ...options, strategy });
+    if (result.decision === null) {
+      result = this.breakTie(result, successfulResponses, options);
+    } else {
+      result.tie = false;
+    }
+    result.quorum = quorum;
+    result.totalVotes = successfulResponses.length;
+    result.totalModels = modelResponses.length;
+    return result;
+  }
+
+  /**
+   * Comprueba si el resultado ya está decidido: cualquier respuesta de los
+   * modelos pendientes (anomalía, normal o fallo) lleva a la misma decisión.
+   * Solo se evalúa en las estrategias que ignoran la confianza informada.
+   * @param {Array<Object|null>} responses - Respuestas de los modelos, null para los pendientes
+   * @param {Array<string>} modelNames - Modelo llamado en cada posición de `responses`
+   * @param {Object} options - Opciones de votación
+   * @returns {boolean}
+   */
+  isDecided(responses, modelNames, options = {}) {
+    const pending = [];
+    responses.forEach((r, i) => {
+      if (!r) pending.push(i);
+    });
+    if (pending.length === 0) return true;
+
+    const strategy = options.strategy || this.defaultStrategy;
+    const tieBreak = options.tieBreak || this.tieBreak;
+    if (!DECIDABLE_STRATEGIES.includes(strategy) || tieBreak === 'confidence' ||
+      pending.length > MAX_PENDING_OUTCOMES) {
+      return false;
+    }
+
+    let first = null;
+    const combinations = 3 ** pending.length;
+    for (let combination = 0; combination < combinations; combination++) {
+      const filled = responses.slice();
+      let code = combination;
+      pending.forEach(i => {
+        const outcome = code % 3;
+        code = Math.floor(code / 3);
+        filled[i] = outcome === 2
+          ? { modelName: modelNames[i], status: 'error' }
+          : { modelName: modelNames[i], status: 'success', result: { prediction: outcome, confidence: 1 } };
+      });
+
+      const result = this.evaluate(filled, options);
+      const key = `${result.decision}|${result.outcome || ''}`;
+      if (first === null) {
+        first = key;
+      } else if (key !== first) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Valida una regla de quórum y completa los campos que faltan con `base`
+   * @param {Object} quorum - { minResponders, minFraction, mandatory }
+   * @param {Object} base - Regla usada para los campos no indicados
+   * @returns {Object} - Regla de quórum completa
+   */
+  normalizeQuorum(quorum = {}, base = this.quorum) {
+    if (typeof quorum !== 'object' || quorum === null || Array.isArray(quorum)) {
+      throw new Error('The quorum must be an object');
+    }
+    const rule = {
+      minResponders: quorum.minResponders !== undefined ? quorum.minResponders : (base.minResponders || 1),
+      minFraction: quorum.minFraction !== undefined ? quorum.minFraction : (base.minFraction || 0),
+      mandatory: quorum.mandatory !== undefined ? quorum.mandatory : (base.mandatory || [])
+    };
+
+    if (!Number.isInteger(rule.minResponders) || rule.minResponders < 1) {
+      throw new Error('quorum.minResponders must be a positive integer');
+    }
+    if (typeof rule.minFraction !== 'number' || rule.minFraction < 0 || rule.minFraction > 1) {
+      throw new Error('quorum.minFraction must be a number between 0 and 1');
+    }
+    if (!Array.isArray(rule.mandatory) || rule.mandatory.some(m => typeof m !== 'string')) {
+      throw new Error('quorum.mandatory must be an array of model names');
+    }
+    return rule;
+  }
+
+  /**
+   * Comprueba si respondieron suficientes modelos para que la decisión sea válida
+   * @param {Array<Object>} modelResponses - Respuestas de todos los modelos, también las fallidas
+   * @param {Array<Object>} successfulResponses - Respuestas que participan en la votación
+   * @param {Object} options - { quorum } que sustituye a la regla por defecto
+   * @returns {Object} - { met, rule, responders, totalModels, fraction, missingMandatory, message }
+   */
+  checkQuorum(modelResponses, successfulResponses, options = {}) {
+    const rule = options.quorum ? this.normalizeQuorum(options.quorum) : this.quorum;
+    const responders = successfulResponses.length;
+    const totalModels = modelResponses.length;
+    const fraction = totalModels > 0 ? responders / totalModels : 0;
+    const responded = new Set(successfulResponses.map(r => r.modelName));
+    const missingMandatory = rule.mandatory.filter(m => !responded.has(m));
+
+    const problems = [];
+    if (responders < rule.minResponders) {
+      problems.push(`${responders} of ${rule.minResponders} required responders`);
+    }
+    if (fraction < rule.minFraction) {
+      problems.push(`${(fraction * 100).toFixed(0)}% of models responded, ${(rule.minFraction * 100).toFixed(0)}% required`);
+    }
+    if (missingMandatory.length > 0) {
+      problems.push(`mandatory models missing: ${missingMandatory.join(', ')}`);
+    }
+
+    return {
+      met: problems.length === 0,
+      rule,
+      responders,
+      totalModels,
+      fraction,
+      missingMandatory,
+      message: problems.length === 0 ? 'Quorum met' : `Insufficient quorum: ${problems.join('; ')}`
+    };
+  }
+
+  /**
+   * Cuenta los votos de cada clase
+   * @param {Array<Object>} responses
+   * @returns {Object}
+   */
+  countVotes(responses) {
+    const votes = { 0: 0, 1: 0 };
+    responses.forEach(r => { votes[r.result.prediction] += 1; });
+    return votes;
+  }
+
+  /**
+   * Confianza media de los modelos que votaron por una clase
+   * @param {Array<Object>} responses
+   * @param {number} cls
+   * @returns {number}
+   */
+  classConfidence(responses, cls) {
+    return average(responses.filter(r => r.result.prediction === cls).map(confidenceOf));
+  }
+
+  /**
+   * Mayoría simple: un modelo, un voto
+   */
+  majority(responses) {
+    const votes = this.countVotes(responses);
+    const decision = pickWinner(votes);
+    return {
+      votes,
+      decision,
+      confidence: decision === null ? 0 : this.classConfidence(responses, decision),
+      message: decision === null
+        ? 'Tie in voting, unable to make prediction'
+        : `Class ${decision} won by ${votes[decision]} votes`
+    };
+  }
+
+  /**
+   * Cada voto cuenta tanto como la confianza informada por el modelo
+   */
+  confidenceWeighted(responses) {
+    const votes = this.countVotes(responses);
+    const scores = { 0: 0, 1: 0 };
+    responses.forEach(r => { scores[r.result.prediction] += confidenceOf(r); });
+    const total = scores[0] + scores[1];
+    const decision = pickWinner(scores);
+    return {
+      votes,
+      scores,
+      decision,
+      confidence: decision === null || total === 0 ? 0 : scores[decision] / total,
+      message: decision === null
+        ? 'Tie in confidence-weighted voting, unable to make prediction'
+        : `Class ${decision} won with confidence score ${scores[decision].toFixed(3)}`
+    };
+  }
+
+  /**
+   * Cada voto cuenta tanto como el peso estático del modelo.
+   * Los pesos salen de la petición, después de la configuración del modelo, y si no 1.
+   */
+  staticWeighted(responses, options = {}) {
+    const requestWeights = options.weights || {};
+    const votes = this.countVotes(responses);
+    const scores = { 0: 0, 1: 0 };
+    const weights = {};
+    responses.forEach(r => {
+      const modelConfig = config.models[r.modelName] || {};
+      let weight = 1;
+      if (typeof requestWeights[r.modelName] === 'number') {
+        weight = requestWeights[r.modelName];
+      } else if (typeof modelConfig.weight === 'number') {
+        weight = modelConfig.weight;
+      }
+      weights[r.modelName] = weight;
+      scores[r.result.prediction] += weight;
+    });
+    const total = scores[0] + scores[1];
+    const decision = pickWinner(scores);
+    return {
+      votes,
+      scores,
+      weights,
+      decision,
+      confidence: decision === null || total === 0 ? 0 : scores[decision] / total,
+      message: decision === null
+        ? 'Tie in weighted voting, unable to make prediction'
+        : `Class ${decision} won with weight ${scores[decision]}`
+    };
+  }
+
+  /**
+   * Modo de alta precisión: anomalía solo si todos los modelos dicen anomalía
+   */
+  unanimous(responses) {
+    const votes = this.countVotes(responses);
+    const decision = votes[0] === 0 ? 1 : 0;
+    return {
+      votes,
+      decision,
+      confidence: this.classConfidence(responses, decision),
+      message: decision === 1
+        ? 'All models agreed on anomaly'
+        : `Anomaly not unanimous (${votes[1]} of ${responses.length} votes)`
+    };
+  }
+
+  /**
+   * Modo de alta sensibilidad: anomalía en cuanto un modelo dice anomalía
+   */
+  any(responses) {
+    const votes = this.countVotes(responses);
+    const decision = votes[1] > 0 ? 1 : 0;
+    return {
+      votes,
+      decision,
+      confidence: this.classConfidence(responses, decision),
+      message: decision === 1
+        ? `${votes[1]} of ${responses.length} models flagged an anomaly`
+        : 'No model flagged an anomaly'
+    };
+  }
+
+  /**
+   * Votación suave: promedia la probabilidad de anomalía de cada modelo
+   * (la confianza en los votos de anomalía, 1 - confianza en los normales)
+   * y la compara con el umbral de decisión. Con `weights` la media es
+   * ponderada (los modelos sin peso cuentan 1).
+   */
+  soft(responses, options = {}) {
+    const threshold = typeof options.threshold === 'number'
+      ? options.threshold
+      : config.voting.softThreshold;
+    const weights = options.weights || {};
+    const votes = this.countVotes(responses);
+    let weighted = 0;
+    let totalWeight = 0;
+    responses.forEach(r => {
+      const confidence = confidenceOf(r);
+      const weight = typeof weights[r.modelName] === 'number' ? weights[r.modelName] : 1;
+      weighted += weight * (r.result.prediction === 1 ? confidence : 1 - confidence);
+      totalWeight += weight;
+    });
+    const probability = totalWeight > 0 ? weighted / totalWeight : 0;
+
+    let decision = null;
+    if (probability > threshold) decision = 1;
+    else if (probability < threshold) decision = 0;
+
+    let confidence = 0;
+    if (decision === 1) confidence = probability;
+    else if (decision === 0) confidence = 1 - probability;
+
+    return {
+      votes,
+      probability,
+      threshold,
+      decision,
+      confidence,
+      message: decision === null
+        ? `Average anomaly probability equals threshold ${threshold}, unable to make prediction`
+        : `Average anomaly probability ${probability.toFixed(3)} against threshold ${threshold}`
+    };
+  }
+}
+
+module.exports = new VotingService();
@@ -0,0 +1,126 @@
+// Valores por defecto de los campos opcionales de una regla de alarma
+const RULE_DEFAULTS = {
+  consecutive: 1,
+  hysteresis: 0,
+  minDuration: 0,
+  enabled: true
+};
+
+/**
+ * Valida una regla de alarma y completa los valores por defecto
+ * @param {Object} rule - { name, model, threshold, consecutive, hysteresis, minDuration, enabled, description }
+ * @returns {Object} - Regla completa
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('La regla de alarma debe ser un objeto');
+  }
+  const normalized = { ...RULE_DEFAULTS };
+  Object.keys(RULE_DEFAULTS).forEach(field => {
+    if (rule[field] !== undefined) normalized[field] = rule[field];
+  });
+  normalized.name = rule.name;
+  normalized.model = rule.model;
+  normalized.threshold = rule.threshold;
+  if (rule.description !== undefined) normalized.description = rule.description;
+
+  if (typeof normalized.name !== 'string' || !normalized.name.trim()) {
+    throw new Error('La regla de alarma requiere un nombre');
+  }
+  if (typeof normalized.model !== 'string' || !normalized.model.trim()) {
+    throw new Error(`La regla '${normalized.name}' requiere un modelo`);
+  }
+  if (typeof normalized.threshold !== 'number' || isNaN(normalized.threshold)) {
+    throw new Error(`El umbral de la regla '${normalized.name}' debe ser numérico`);
+  }
+  if (!Number.isInteger(normalized.consecutive) || normalized.consecutive < 1) {
+    throw new Error(`"consecutive" de la regla '${normalized.name}' debe ser un entero positivo`);
+  }
+  ['hysteresis', 'minDuration'].forEach(field => {
+    if (typeof normalized[field] !== 'number' || !(normalized[field] >= 0)) {
+      throw new Error(`"${field}" de la regla '${normalized.name}' debe ser un número no negativo`);
+    }
+  });
+  if (typeof normalized.enabled !== 'boolean') {
+    throw new Error(`"enabled" de la regla '${normalized.name}' debe ser booleano`);
+  }
+  return normalized;
+}
+
+/**
+ * Estado de la regla tras cada ventana:
+ * - `above`: la puntuación alcanza el umbral (>=, como `windowFlagged` y `ensembleWindows`)
+ * - `consecutive`: las últimas `consecutive` ventanas lo alcanzan
+ * - `active`: la alarma está levantada. Se levanta con `consecutive` y se
+ *   mantiene mientras la puntuación no baje de `threshold - hysteresis`.
+ * @param {Array<number|null>} scores - Puntuación de cada ventana, en orden
+ * @param {Object} rule - Regla normalizada
+ * @returns {Array<Object>} - { above, consecutive, active } de cada ventana
+ */
+function windowStates(scores, rule) {
+  const consecutive = rule.consecutive || 1;
+  const hysteresis = rule.hysteresis || 0;
+  let run = 0;
+  let active = false;
+
+  return scores.map(score => {
+    const above = typeof score === 'number' && score >= rule.threshold;
+    run = above ? run + 1 : 0;
+    const reached = run >= consecutive;
+    if (!active && reached) {
+      active = true;
+    } else if (active && !(typeof score === 'number' && score >= rule.threshold - hysteresis)) {
+      active = false;
+    }
+    return { above, consecutive: reached, active };
+  });
+}
+
+/**
+ * Evalúa una regla sobre las ventanas de un modelo situadas en el eje de
+ * tiempos. Cada episodio empieza al final de la ventana que levanta la alarma
+ * y termina al final de la última ventana en que sigue levantada; solo se
+ * informan los episodios que duran al menos `minDuration`.
+ * @param {Object} rule - Regla normalizada
+ * @param {Array<Object>} windows - { start, end, score } en orden temporal
+ * @returns {Object} - { rule, model, fired, onset, episodes: [{ onset, end, duration, peak, open }] }
+ */
+function evaluateRule(rule, windows) {
+  const states = windowStates(windows.map(w => w.score), rule);
+  const episodes = [];
+  let current = null;
+
+  states.forEach((state, i) => {
+    if (state.active && !current) {
+      current = { onset: windows[i].end, end: windows[i].end, peak: windows[i].score, open: true };
+    } else if (state.active) {
+      current.end = windows[i].end;
+      current.peak = Math.max(current.peak, windows[i].score);
+    } else if (current) {
+      current.open = false;
+      episodes.push(current);
+      current = null;
+    }
+  });
+  if (current) {
+    episodes.push(current);
+  }
+
+  const reported = episodes
+    .map(episode => ({ ...episode, duration: episode.end - episode.onset }))
+    .filter(episode => episode.duration >= (rule.minDuration || 0));
+  return {
+    rule: rule.name,
+    model: rule.model,
+    fired: reported.length > 0,
+    onset: reported.length > 0 ? reported[0].onset : null,
+    episodes: reported
+  };
+}
+
+module.exports = {
+  RULE_DEFAULTS,
+  normalizeRule,
+  windowStates,
+  evaluateRule
+};
@@ -0,0 +1,25 @@
+/**
+ * Ejecuta una función asíncrona sobre cada elemento limitando el número
+ * de ejecuciones simultáneas. Los resultados conservan el orden de entrada.
+ * @param {Array} items - Elementos a procesar
+ * @param {number} limit - Máximo de ejecuciones en paralelo
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} - Resultados en el mismo orden que `items`
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workers = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,89 @@
+// Valor con el que se muestran los secretos en la API
+const SECRET_MASK = '********';
+
+// Tipos de autenticación admitidos por los nodos de modelos
+const AUTH_TYPES = ['bearer', 'basic', 'apiKey'];
+
+// Cabeceras cuyo valor se considera secreto
+const SECRET_HEADER = /authorization|token|secret|key|cookie|password/i;
+
+/**
+ * Cabeceras de autenticación de un modelo
+ * @param {Object} auth - { type: 'bearer', token } | { type: 'basic', username, password } |
+ *   { type: 'apiKey', key, header }
+ * @returns {Object} - Cabeceras HTTP
+ */
+function authHeaders(auth) {
+  if (!auth) return {};
+  if (auth.type === 'bearer') {
+    return { Authorization: `Bearer ${auth.token}` };
+  }
+  if (auth.type === 'basic') {
+    const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+    return { Authorization: `Basic ${credentials}` };
+  }
+  if (auth.type === 'apiKey') {
+    return { [auth.header || 'X-API-Key']: auth.key };
+  }
+  return {};
+}
+
+/**
+ * Opciones de axios para una llamada a un modelo: timeout propio del modelo
+ * para ese tipo de llamada, cabeceras personalizadas y autenticación
+ * @param {Object} modelConfig - Entrada del registro de modelos
+ * @param {string} kind - 'predict', 'training' o 'health'
+ * @param {number} defaultTimeout - Timeout global para ese tipo de llamada
+ * @returns {Object} - { timeout, headers }
+ */
+function modelRequestOptions(modelConfig = {}, kind, defaultTimeout) {
+  const timeouts = modelConfig.timeouts || {};
+  return {
+    timeout: timeouts[kind] || defaultTimeout,
+    headers: {
+      ...(modelConfig.headers || {}),
+      ...authHeaders(modelConfig.auth)
+    }
+  };
+}
+
+/**
+ * Copia de la configuración de conexión de un modelo con los secretos ocultos
+ * @param {Object} modelConfig - Entrada del registro de modelos
+ * @returns {Object} - { timeouts, headers, auth }
+ */
+function maskModelSecrets(modelConfig = {}) {
+  const headers = {};
+  Object.entries(modelConfig.headers || {}).forEach(([name, value]) => {
+    headers[name] = SECRET_HEADER.test(name) ? SECRET_MASK : value;
+  });
+
+  let auth = null;
+  if (modelConfig.auth) {
+    const { type } = modelConfig.auth;
+    auth = { type };
+    if (type === 'bearer') {
+      auth.token = SECRET_MASK;
+    } else if (type === 'basic') {
+      auth.username = modelConfig.auth.username;
+      auth.password = SECRET_MASK;
+    } else if (type === 'apiKey') {
+      auth.header = modelConfig.auth.header || 'X-API-Key';
+      auth.key = SECRET_MASK;
+    }
+  }
+
+  return {
+    timeouts: modelConfig.timeouts || {},
+    headers,
+    auth
+  };
+}
+
+module.exports = {
+  SECRET_MASK,
+  AUTH_TYPES,
+  authHeaders,
+  modelRequestOptions,
+  maskModelSecrets
+};
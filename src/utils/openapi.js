@@ -0,0 +1,426 @@
+const apiSchemas = require('../../schemas/api-schemas.json');
+const { version } = require('../../package.json');
+
+// Prefijo con el que index.js monta el router de la API
+const API_PREFIX = '/api';
+
+// Esquemas sencillos para los cuerpos que no define schemas/api-schemas.json
+const modelName = { type: 'string', description: 'Model key in the registry' };
+const connection = {
+  timeouts: {
+    type: 'object',
+    properties: { predict: { type: 'integer' }, training: { type: 'integer' }, health: { type: 'integer' } }
+  },
+  headers: { type: 'object', additionalProperties: { type: 'string' } },
+  auth: { type: 'object', required: ['type'], properties: { type: { enum: ['bearer', 'basic', 'apiKey'] } } }
+};
+
+function body(required, properties) {
+  return { type: 'object', required, properties };
+}
+
+function query(name, description, schema = { type: 'string' }) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+const pageParams = [
+  query('page', 'Page number (1-based)', { type: 'integer', minimum: 1 }),
+  query('pageSize', 'Entries per page (max 500)', { type: 'integer', minimum: 1, maximum: 500 }),
+  query('from', 'Oldest timestamp (ISO date)', { type: 'string', format: 'date-time' }),
+  query('to', 'Newest timestamp (ISO date)', { type: 'string', format: 'date-time' })
+];
+
+/**
+ * Documentación de cada operación, indexada por el nombre del manejador del
+ * controlador. La ruta, el método, el rol requerido, el esquema del cuerpo y
+ * las subidas de archivos se obtienen del propio router.
+ */
+const OPERATIONS = {
+  predict: {
+    tag: 'Prediction',
+    summary: 'Predict one or more discharges with every enabled model and vote',
+    description: 'Besides `discharges`, the body accepts `voting` (strategy, tie-break, quorum, window threshold), ' +
+      '`aggregation` (`voting` or `stacking`), `mode` (`all` or `early`), `deadline`, `modelDeadlines` ' +
+      'and `concurrency`. ' +
+      'Answers `409` on an unresolved tie or an insufficient quorum.'
+  },
+  getPredictions: {
+    tag: 'Prediction',
+    summary: 'Query the prediction history, newest first',
+    parameters: [
+      query('dischargeId', 'Discharge id'),
+      query('decision', 'Decision', { enum: ['0', '1', 'null'] }),
+      query('model', 'Model that took part'),
+      query('source', 'Prediction path (api, socket, automated...)'),
+      ...pageParams
+    ]
+  },
+  startAutomatedPredictsSession: {
+    tag: 'Automated predictions',
+    summary: 'Start a session of sequential automated predictions'
+  },
+  uploadAutomatedPredict: {
+    tag: 'Automated predictions',
+    summary: 'Upload the signal files of one discharge and predict it',
+    description: 'Multipart form with the sensor text files and a `metadata` JSON field.'
+  },
+  finalizeAutomatedPredicts: {
+    tag: 'Automated predictions',
+    summary: 'Close the session and download its results as a zip file',
+    produces: 'application/zip'
+  },
+  train: {
+    tag: 'Training',
+    summary: 'Send a batch of training discharges',
+    description: 'With `sessionId` the batch joins that session; without it a one-shot session is started ' +
+      'for the batch (optionally on `models`).'
+  },
+  trainRaw: {
+    tag: 'Training',
+    summary: 'Send raw sensor files for training',
+    description: 'Multipart form: files in fields `discharge0`, `discharge1`... and a `metadata` JSON field ' +
+      'with `discharges` (id, anomalyTime), `sessionId` and `models`.'
+  },
+  startTrainingSession: {
+    tag: 'Training',
+    summary: 'Start a training session',
+    requestBody: body(['totalDischarges'], {
+      totalDischarges: { type: 'integer', minimum: 1 },
+      models: { type: 'array', items: modelName },
+      autoFinish: { type: 'boolean', default: true }
+    })
+  },
+  listTrainingSessions: { tag: 'Training', summary: 'List the open training sessions' },
+  getTrainingSession: { tag: 'Training', summary: 'Status of an open training session' },
+  cancelTrainingSession: { tag: 'Training', summary: 'Cancel a training session' },
+  finishTrainingSession: { tag: 'Training', summary: 'Close a training session once its queues drain' },
+  getDeadLetters: { tag: 'Training', summary: 'List the undelivered training discharges per model' },
+  redriveDeadLetters: {
+    tag: 'Training',
+    summary: 'Send the dead-lettered discharges of a model again, into their session while it is open',
+    requestBody: body([], {
+      ids: { type: 'array', items: { type: 'string' } },
+      newRun: {
+        type: 'boolean',
+        default: false,
+        description: 'Start a new training run with only the discharges of closed sessions'
+      }
+    })
+  },
+  trainingCompleted: {
+    tag: 'Training',
+    summary: 'Training summary posted by a model node when a session ends'
+  },
+  getTrainingRuns: { tag: 'Training', summary: 'List the recorded training runs' },
+  getTrainingRun: { tag: 'Training', summary: 'A training run with its discharge ids and summaries' },
+  getAudit: {
+    tag: 'Audit',
+    summary: 'Query the audit log of configuration and training actions, newest first',
+    parameters: [
+      query('action', 'Action, e.g. model.url or training.start'),
+      query('actor', 'Actor name or IP'),
+      query('target', 'Model or session'),
+      ...pageParams
+    ]
+  },
+  evaluate: {
+    tag: 'Evaluation',
+    summary: 'Predict a labeled discharge set and score every model and the ensemble',
+    description: 'Each discharge carries its ground truth as `anomalyTime` (null for normal discharges) or ' +
+      '`label`. Returns the stored report: confusion matrix, precision, recall, F1 and warning times.'
+  },
+  evaluateRaw: {
+    tag: 'Evaluation',
+    summary: 'Evaluate raw sensor files',
+    description: 'Multipart form like `/train/raw`: files in fields `discharge0`, `discharge1`... and a ' +
+      '`metadata` JSON field with `discharges` (id, anomalyTime, label), `name`, `voting` and ' +
+      '`justificationThreshold`.'
+  },
+  getEvaluations: { tag: 'Evaluation', summary: 'List the stored evaluation reports without per-discharge details' },
+  getEvaluation: {
+    tag: 'Evaluation',
+    summary: 'A stored evaluation report as JSON or CSV',
+    parameters: [
+      query('format', 'Export format', { enum: ['json', 'csv'], default: 'json' }),
+      query('table', 'CSV table: one row per model or one row per discharge',
+        { enum: ['summary', 'discharges'], default: 'summary' })
+    ]
+  },
+  calibrate: {
+    tag: 'Evaluation',
+    summary: 'Compute per-model voting weights from an evaluation and store them as a new calibration',
+    description: 'Uses a stored report (`evaluationId`) or evaluates the labeled `discharges` first. Weights ' +
+      'come from the F1 score or the log-loss of each model; `threshold: true` also fits the soft-voting ' +
+      'threshold. The new calibration is activated unless `activate` is false.',
+    requestBody: body([], {
+      evaluationId: { type: 'string' },
+      discharges: { type: 'array', items: { $ref: '#/components/schemas/discharge' } },
+      metric: { enum: ['f1', 'logloss'], default: 'f1' },
+      threshold: { type: 'boolean', default: false },
+      activate: { type: 'boolean', default: true },
+      name: { type: 'string' }
+    })
+  },
+  getCalibrations: { tag: 'Evaluation', summary: 'List the stored calibrations, newest first, and the active version' },
+  activateCalibration: {
+    tag: 'Configuration',
+    summary: 'Activate a stored calibration, or go back to the static weights with `version: null`',
+    requestBody: body(['version'], { version: { type: ['integer', 'null'] } })
+  },
+  trainStacking: {
+    tag: 'Evaluation',
+    summary: 'Train the stacking meta-model from the labeled prediction history',
+    description: 'Logistic regression on the vote and confidence of each model, trained from the history ' +
+      'entries with an explicit `label` or from evaluations. Answers `400` without enough labeled predictions ' +
+      'of both classes.',
+    requestBody: body([], {
+      source: { type: 'string', description: 'Only entries of this prediction path' },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      models: { type: 'array', items: modelName },
+      iterations: { type: 'integer', default: 2000 },
+      learningRate: { type: 'number', default: 0.5 },
+      l2: { type: 'number', default: 0.01 },
+      minSamples: { type: 'integer', default: 10 }
+    })
+  },
+  getStacking: { tag: 'Evaluation', summary: 'Coefficients and training metrics of the stacking meta-model' },
+  getAlarmRules: { tag: 'Configuration', summary: 'List the stored alarm rules' },
+  saveAlarmRule: {
+    tag: 'Configuration',
+    summary: 'Create an alarm rule or replace the one with the same name',
+    description: 'The rule fires when `consecutive` windows in a row have a justification at or above ' +
+      '`threshold`, stays raised until a window drops below `threshold - hysteresis` and is only reported ' +
+      'when it lasts at least `minDuration`. `model` is a registered model or `ensemble` for the ensemble ' +
+      'window scores.',
+    requestBody: body(['name', 'model', 'threshold'], {
+      name: { type: 'string' },
+      model: { type: 'string' },
+      threshold: { type: 'number' },
+      consecutive: { type: 'integer', minimum: 1, default: 1 },
+      hysteresis: { type: 'number', minimum: 0, default: 0 },
+      minDuration: { type: 'number', minimum: 0, default: 0 },
+      enabled: { type: 'boolean', default: true },
+      description: { type: 'string' }
+    })
+  },
+  deleteAlarmRule: {
+    tag: 'Configuration',
+    summary: 'Delete an alarm rule',
+    requestBody: body(['name'], { name: { type: 'string' } })
+  },
+  health: {
+    tag: 'Health',
+    summary: 'Health, circuit breaker and protocol conformance of every model',
+    description: 'Answers `503` when no model is available.'
+  },
+  getConfig: { tag: 'Configuration', summary: 'Models, voting settings and masked connection settings' },
+  updateModelConfig: {
+    tag: 'Configuration',
+    summary: 'Enable or disable a model',
+    requestBody: body(['modelName', 'enabled'], { modelName, enabled: { type: 'boolean' } })
+  },
+  updateModelUrl: {
+    tag: 'Configuration',
+    summary: 'Change the predict, train or health URL of a model',
+    requestBody: body(['modelName', 'url'], {
+      modelName,
+      url: { type: 'string' },
+      type: { enum: ['predict', 'train', 'health'], default: 'predict' }
+    })
+  },
+  updateModelName: {
+    tag: 'Configuration',
+    summary: 'Change the display name of a model',
+    requestBody: body(['modelName', 'displayName'], { modelName, displayName: { type: 'string' } })
+  },
+  updateModelWeight: {
+    tag: 'Configuration',
+    summary: 'Change the static weight of a model for weighted voting',
+    requestBody: body(['modelName', 'weight'], { modelName, weight: { type: 'number', minimum: 0 } })
+  },
+  updateModelConnection: {
+    tag: 'Configuration',
+    summary: 'Change the timeouts, headers and authentication of a model',
+    requestBody: body(['modelName'], { modelName, ...connection })
+  },
+  updateVotingConfig: {
+    tag: 'Configuration',
+    summary: 'Change the default voting strategy, tie-break policy and quorum',
+    requestBody: body([], {
+      strategy: { type: 'string' },
+      tieBreak: { enum: ['none', 'anomaly', 'normal', 'tiebreaker', 'confidence'] },
+      tiebreakerModel: { type: ['string', 'null'] },
+      quorum: {
+        type: 'object',
+        properties: {
+          minResponders: { type: 'integer', minimum: 0 },
+          minFraction: { type: 'number', minimum: 0, maximum: 1 },
+          mandatory: { type: 'array', items: modelName }
+        }
+      }
+    })
+  },
+  addModel: {
+    tag: 'Configuration',
+    summary: 'Add a model',
+    requestBody: body(['name', 'url', 'trainingUrl', 'healthUrl'], {
+      name: { type: 'string' },
+      url: { type: 'string' },
+      trainingUrl: { type: 'string' },
+      healthUrl: { type: 'string' },
+      weight: { type: 'number', minimum: 0 },
+      ...connection
+    })
+  },
+  deleteModel: {
+    tag: 'Configuration',
+    summary: 'Remove a model',
+    requestBody: body(['modelName'], { modelName })
+  },
+  exportModels: {
+    tag: 'Configuration',
+    summary: 'Download the full model configuration, with secrets masked unless requested',
+    parameters: [query('secrets', 'true to include tokens, passwords and keys in plain text (admin backup)', { type: 'boolean', default: false })]
+  },
+  importModels: {
+    tag: 'Configuration',
+    summary: 'Load an exported model configuration',
+    parameters: [query('mode', 'merge or replace', { enum: ['merge', 'replace'], default: 'merge' })],
+    requestBody: { type: 'object', required: ['models'], properties: { models: { type: 'object' } } }
+  }
+};
+
+/**
+ * Convierte las referencias `#/definitions/...` del esquema JSON en referencias de OpenAPI
+ * @param {*} schema - Fragmento de esquema
+ * @returns {*} - Copia con las referencias reescritas
+ */
+function toComponentRefs(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toComponentRefs);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const copy = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    copy[key] = key === '$ref' && typeof value === 'string'
+      ? value.replace('#/definitions/', '#/components/schemas/')
+      : toComponentRefs(value);
+  });
+  return copy;
+}
+
+/**
+ * Documenta una ruta del router a partir de sus middlewares y de OPERATIONS
+ * @param {Object} route - Ruta de Express (path, methods, stack)
+ * @returns {Object} - Objeto Operation de OpenAPI
+ */
+function describeRoute(route) {
+  const handlers = route.stack.map(layer => layer.handle);
+  const handler = handlers[handlers.length - 1];
+  const operationId = handler.name;
+  const doc = OPERATIONS[operationId] || {};
+  const role = (handlers.find(h => h.role) || {}).role;
+  const schemaName = (handlers.find(h => h.schema) || {}).schema;
+  const upload = handlers.some(h => h.name === 'multerMiddleware');
+
+  const operation = {
+    operationId,
+    tags: [doc.tag || 'Other'],
+    summary: doc.summary || operationId
+  };
+  const description = [doc.description, role && `Requires the \`${role}\` role.`].filter(Boolean).join('\n\n');
+  if (description) {
+    operation.description = description;
+  }
+
+  const parameters = (route.path.match(/:\w+/g) || []).map(param => ({
+    name: param.slice(1),
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+  operation.parameters = [...parameters, ...(doc.parameters || [])];
+
+  if (upload) {
+    operation.requestBody = {
+      required: true,
+      content: { 'multipart/form-data': { schema: { type: 'object', additionalProperties: true } } }
+    };
+  } else if (schemaName || doc.requestBody) {
+    const schema = schemaName ? { $ref: `#/components/schemas/${schemaName}` } : doc.requestBody;
+    operation.requestBody = { required: true, content: { 'application/json': { schema } } };
+  }
+
+  const error = { content: { 'application/json': { schema: { $ref: '#/components/schemas/errorResponse' } } } };
+  operation.responses = {
+    200: { description: 'OK', content: { [doc.produces || 'application/json']: {} } }
+  };
+  if (operation.requestBody || operation.parameters.length > 0) {
+    operation.responses[400] = { description: 'Invalid request', ...error };
+  }
+  if (role) {
+    operation.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+    operation.responses[401] = { description: 'Missing or unknown API key', ...error };
+    operation.responses[403] = { description: `The API key does not have the \`${role}\` role`, ...error };
+  }
+  if (handlers.some(h => h.name === 'trainingBackpressure')) {
+    operation.responses[503] = { description: 'Training queues are full; retry after `Retry-After` seconds', ...error };
+  }
+  operation['x-required-role'] = role || null;
+  return operation;
+}
+
+/**
+ * Genera el documento OpenAPI de la API a partir de las rutas del router y de
+ * los esquemas de schemas/api-schemas.json
+ * @param {Router} router - Router de Express montado en /api
+ * @returns {Object} - Documento OpenAPI 3.1
+ */
+function buildOpenApi(router) {
+  const paths = {};
+  router.stack.filter(layer => layer.route).forEach(({ route }) => {
+    const handler = route.stack[route.stack.length - 1].handle;
+    if (!OPERATIONS[handler.name] && !route.stack.some(layer => layer.handle.role)) {
+      // Rutas públicas de la propia documentación
+      return;
+    }
+    const openApiPath = API_PREFIX + route.path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+    Object.keys(route.methods).forEach(method => {
+      paths[openApiPath][method] = describeRoute(route);
+    });
+  });
+
+  const schemas = {};
+  Object.entries({ ...apiSchemas.definitions, ...apiSchemas.schemas }).forEach(([name, schema]) => {
+    schemas[name] = toComponentRefs(schema);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Outlier orchestrator API',
+      version,
+      description: apiSchemas.description
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(Object.values(paths).flatMap(methods => Object.values(methods).map(op => op.tags[0])))]
+      .map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key from API_KEYS' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key from API_KEYS' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  OPERATIONS,
+  buildOpenApi
+};
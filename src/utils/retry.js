@@ -0,0 +1,51 @@
+/**
+ * Decide si un error de axios merece un nuevo intento según la política:
+ * errores de red sin respuesta o códigos HTTP incluidos en `retryableStatus`.
+ * @param {Error} error - Error lanzado por axios
+ * @param {Object} policy - { retryableStatus }
+ * @returns {boolean}
+ */
+function isRetryable(error, policy) {
+  if (!error.response) {
+    return true;
+  }
+  return policy.retryableStatus.includes(error.response.status);
+}
+
+/**
+ * Espera antes del siguiente intento: backoff exponencial con jitter completo
+ * (valor aleatorio entre 0 y min(maxDelay, baseDelay * 2^(intento-1))).
+ * @param {number} attempt - Intento que acaba de fallar (empieza en 1)
+ * @param {Object} policy - { baseDelay, maxDelay }
+ * @returns {number} - Milisegundos de espera
+ */
+function retryDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Espera `ms` milisegundos; termina antes si se aborta la señal
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = { isRetryable, retryDelay, sleep };
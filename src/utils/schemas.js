@@ -0,0 +1,41 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const apiSchemas = require('../../schemas/api-schemas.json');
+
+// Identificador con el que se registra schemas/api-schemas.json en Ajv
+const SCHEMA_ID = 'api-schemas';
+
+// Nombres de los esquemas definidos en `schemas`
+const SCHEMA_NAMES = Object.keys(apiSchemas.schemas);
+
+// `example` y `description` documentan el esquema: no son palabras clave de validación
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+ajv.addSchema(apiSchemas, SCHEMA_ID);
+
+/**
+ * Valida un objeto contra uno de los esquemas de schemas/api-schemas.json
+ * @param {string} schemaName - predictionRequest, predictionResponse, trainingRequest,
+ *   trainingResponse, evaluationRequest, healthCheckResponse o errorResponse
+ * @param {*} data - Objeto a validar
+ * @returns {Object} - { valid, errors: [{ path, message }] }, con la ruta JSON Pointer del campo
+ */
+function validateSchema(schemaName, data) {
+  if (!SCHEMA_NAMES.includes(schemaName)) {
+    throw new Error(`Unknown schema '${schemaName}'`);
+  }
+  const validate = ajv.getSchema(`${SCHEMA_ID}#/schemas/${schemaName}`);
+  const valid = validate(data);
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.message
+    }))
+  };
+}
+
+module.exports = {
+  SCHEMA_NAMES,
+  validateSchema
+};
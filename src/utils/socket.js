@@ -1,5 +1,10 @@
 const logger = require('./logger');
 const orchestratorService = require('../services/orchestrator.service');
+const config = require('../config');
+const predictionHistory = require('../services/prediction-history.service');
+const authService = require('../services/auth.service');
+const auditLog = require('../services/audit.service');
+const metrics = require('../services/metrics.service');
 
 /**
  * Configura la comunicación en tiempo real con socket.io
@@ -23,7 +28,7 @@ module.exports = function(io) {
 
   syncModelStatusKeys();
 
-  // Registro de predicciones realizadas
+  // Registro de predicciones realizadas (las últimas 100 del historial persistente)
   const predictionLog = [];
 
   // Mantener un máximo de 100 registros en el historial
@@ -34,6 +39,46 @@ module.exports = function(io) {
     }
   }
 
+  // Formato de registro que espera el dashboard
+  function toPredictionRecord(entry) {
+    return {
+      id: entry.id,
+      timestamp: entry.timestamp,
+      source: entry.source,
+      dischargeId: entry.dischargeId,
+      result: entry.decision,
+      confidence: entry.confidence,
+      votes: entry.voting ? entry.voting.votes : undefined,
+      details: entry
+    };
+  }
+
+  // Las predicciones de las evaluaciones son reproducciones con etiqueta y no
+  // forman parte del feed en vivo
+  const isLive = entry => entry.source !== 'evaluation';
+
+  predictionHistory.recent(100, isLive)
+    .then(entries => {
+      entries.reverse().forEach(entry => addPrediction(toPredictionRecord(entry)));
+    })
+    .catch(error => logger.error(`Error al cargar el historial de predicciones: ${error.message}`));
+
+  // Todas las predicciones (REST, socket, sesiones automáticas) llegan por el historial
+  predictionHistory.on('recorded', entry => {
+    if (!isLive(entry)) return;
+    const record = toPredictionRecord(entry);
+    addPrediction(record);
+    io.emit('new-prediction', record);
+  });
+
+  // Progreso de la sesión de entrenamiento en tiempo real
+  orchestratorService.on('training-progress', status => {
+    if (status) io.emit('training-progress', status);
+  });
+  orchestratorService.on('training-session-ended', info => {
+    io.emit('training-session-ended', info);
+  });
+
   // Monitorear el estado de los modelos periodicamente
   const healthCheckInterval = setInterval(async () => {
     try {
@@ -44,6 +89,7 @@ module.exports = function(io) {
       health.models.forEach(model => {
         modelStatus[model.model] = {
           status: model.status,
+          circuit: model.circuit ? model.circuit.state : undefined,
           lastCheck: new Date()
         };
       });
@@ -54,13 +100,38 @@ module.exports = function(io) {
     }
   }, (process.env.HEALTHCHECK_TIMEOUT || 5000));
 
+  // Autenticar el handshake con la clave de API (auth.token o cabeceras)
+  io.use((socket, next) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const user = authService.authenticate(auth.token || authService.tokenFromHeaders(headers));
+    if (!user) {
+      logger.warn(`Conexión Socket.IO rechazada: ${socket.id}`);
+      return next(new Error('Unauthorized'));
+    }
+    socket.data.user = user;
+    return next();
+  });
+
+  // Comprueba el rol del cliente antes de atender un evento
+  function authorize(socket, role) {
+    if (authService.hasRole(socket.data.user, role)) {
+      return true;
+    }
+    socket.emit('error', { message: `Role '${role}' required` });
+    return false;
+  }
+
   // Gestionar conexiones de clientes
   io.on('connection', (socket) => {
     logger.info(`Cliente conectado: ${socket.id}`);
+    metrics.socketClients.set({}, io.of('/').sockets.size);
     
     // Enviar estado inicial
     socket.emit('health-update', modelStatus);
     socket.emit('prediction-history', predictionLog);
+    orchestratorService.listTrainingSessions().forEach(status => {
+      socket.emit('training-progress', status);
+    });
     
     // Manejar solicitud de estado actual
     socket.on('request-health', async () => {
@@ -72,6 +143,7 @@ module.exports = function(io) {
         health.models.forEach(model => {
           modelStatus[model.model] = {
             status: model.status,
+            circuit: model.circuit ? model.circuit.state : undefined,
             lastCheck: new Date()
           };
         });
@@ -85,19 +157,10 @@ module.exports = function(io) {
     
     // Manejar solicitud de predicción manual desde el dashboard
     socket.on('run-prediction', async (data) => {
+      if (!authorize(socket, 'operator')) return;
       try {
-        const result = await orchestratorService.orchestrate(data);
-        
-        const predictionRecord = {
-          timestamp: new Date(),
-          result: result.voting.decision,
-          confidence: result.voting.confidence,
-          votes: result.voting.votes,
-          details: result
-        };
-        
-        addPrediction(predictionRecord);
-        io.emit('new-prediction', predictionRecord);
+        // El historial notifica cada descarga predicha con 'new-prediction'
+        const result = await orchestratorService.orchestrate(data, { source: 'socket' });
         socket.emit('prediction-result', result);
       } catch (error) {
         logger.error(`Error en predicción manual: ${error.message}`);
@@ -107,10 +170,19 @@ module.exports = function(io) {
     
     // Manejar solicitudes de habilitación/deshabilitación de modelos
     socket.on('toggle-model', async ({ modelName, enabled }) => {
+      if (!authorize(socket, 'admin')) return;
       try {
         // Este evento actualizará la configuración sin necesidad de reiniciar el servidor
         if (orchestratorService.models[modelName]) {
-          orchestratorService.models[modelName].enabled = enabled;
+          const before = orchestratorService.models[modelName].enabled;
+          config.setModelEnabled(modelName, enabled);
+          await auditLog.record({
+            action: 'model.enabled',
+            actor: auditLog.socketActor(socket),
+            target: modelName,
+            before: { enabled: before },
+            after: { enabled }
+          });
           io.emit('config-update', {
             models: Object.keys(orchestratorService.models).map(model => ({
               name: model,
@@ -136,6 +208,7 @@ module.exports = function(io) {
     // Manejar desconexiones
     socket.on('disconnect', (reason) => {
       logger.info(`Cliente desconectado: ${socket.id}, razón: ${reason}`);
+      metrics.socketClients.set({}, io.of('/').sockets.size);
     });
   });
 
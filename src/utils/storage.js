@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Lee un archivo JSON devolviendo `fallback` si no existe
+ * @param {string} file - Ruta del archivo
+ * @param {*} fallback - Valor devuelto cuando el archivo no existe
+ * @returns {*} - Contenido parseado
+ */
+function readJson(file, fallback = null) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+  const content = fs.readFileSync(file, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Escribe un archivo JSON de forma atómica: primero en un archivo temporal
+ * del mismo directorio y después lo renombra sobre el destino.
+ * @param {string} file - Ruta del archivo
+ * @param {*} data - Datos serializables
+ * @param {number} space - Indentación del JSON (0 para escribirlo compacto)
+ * @returns {number} - Bytes escritos
+ */
+function writeJsonAtomic(file, data, space = 2) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const content = JSON.stringify(data, null, space || undefined);
+  try {
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
+  return Buffer.byteLength(content);
+}
+
+/**
+ * Añade un objeto como una línea JSON al final del archivo
+ * @param {string} file - Ruta del archivo JSONL
+ * @param {Object} entry - Objeto serializable
+ * @returns {Promise<number>} - Bytes escritos, salto de línea incluido
+ */
+async function appendJsonLine(file, entry) {
+  const line = `${JSON.stringify(entry)}\n`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, line);
+  return Buffer.byteLength(line);
+}
+
+/**
+ * Recorre un archivo JSONL línea a línea sin cargarlo completo en memoria.
+ * Las líneas vacías o incompletas (p. ej. tras una caída durante la escritura) se ignoran.
+ * @param {string} file - Ruta del archivo JSONL
+ * @returns {AsyncGenerator<Object>}
+ */
+async function *readJsonLines(file) {
+  if (!fs.existsSync(file)) {
+    return;
+  }
+  const rl = readline.createInterface({
+    input: fs.createReadStream(file, 'utf8'),
+    crlfDelay: Infinity
+  });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+  }
+}
+
+/**
+ * Recorre un archivo JSONL como `readJsonLines`, indicando además la posición
+ * en bytes de cada línea para poder releerla después con `readJsonLinesAt`
+ * @param {string} file - Ruta del archivo JSONL
+ * @returns {AsyncGenerator<Object>} - { entry, offset, length }
+ */
+async function *scanJsonLines(file) {
+  if (!fs.existsSync(file)) {
+    return;
+  }
+  const rl = readline.createInterface({
+    input: fs.createReadStream(file, 'utf8'),
+    crlfDelay: Infinity
+  });
+  let offset = 0;
+  for await (const line of rl) {
+    const length = Buffer.byteLength(line);
+    const start = offset;
+    offset += length + 1;
+    if (!line.trim()) continue;
+    try {
+      yield { entry: JSON.parse(line), offset: start, length };
+    } catch (error) {
+      continue;
+    }
+  }
+}
+
+/**
+ * Lee las líneas JSON situadas en las posiciones dadas, sin recorrer el archivo
+ * @param {string} file - Ruta del archivo JSONL
+ * @param {Array<Object>} positions - { offset, length } de cada línea
+ * @returns {Promise<Array<Object>>} - Objetos en el mismo orden que `positions`
+ */
+async function readJsonLinesAt(file, positions) {
+  if (positions.length === 0) {
+    return [];
+  }
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const entries = [];
+    for (const { offset, length } of positions) {
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, offset);
+      entries.push(JSON.parse(buffer.toString('utf8')));
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  readJson,
+  writeJsonAtomic,
+  appendJsonLine,
+  readJsonLines,
+  scanJsonLines,
+  readJsonLinesAt
+};
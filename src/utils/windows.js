@@ -0,0 +1,163 @@
+// Umbral de justificación por defecto para marcar una ventana como anómala
+const DEFAULT_JUSTIFICATION_THRESHOLD = 0.5;
+
+/**
+ * Eje de tiempos de una descarga: los tiempos comunes o los de la primera señal
+ * @param {Object} discharge - Descarga en formato del protocolo
+ * @returns {Array<number>}
+ */
+function dischargeTimes(discharge = {}) {
+  if (Array.isArray(discharge.times) && discharge.times.length > 0) {
+    return discharge.times;
+  }
+  const signal = (discharge.signals || []).find(s => Array.isArray(s.times) && s.times.length > 0);
+  return signal ? signal.times : [];
+}
+
+/**
+ * Sitúa las ventanas de un modelo en el eje de tiempos de la descarga. Se usan
+ * `start`/`end` (o `time`) de la ventana si el modelo los envía; si no, las
+ * ventanas se reparten por igual entre el primer y el último tiempo.
+ * @param {Array<Object>} windows - `result.windows` de la respuesta de un modelo
+ * @param {Object} discharge - Descarga predicha
+ * @returns {Array<Object>} - { start, end } de cada ventana
+ */
+function windowTimes(windows = [], discharge = {}) {
+  const times = dischargeTimes(discharge);
+  const first = times.length > 0 ? times[0] : 0;
+  const last = times.length > 0 ? times[times.length - 1] : windows.length;
+  const span = (last - first) / (windows.length || 1);
+
+  return windows.map((window, i) => {
+    if (typeof window.start === 'number' && typeof window.end === 'number') {
+      return { start: window.start, end: window.end };
+    }
+    if (typeof window.time === 'number') {
+      return { start: window.time, end: window.time };
+    }
+    return { start: first + i * span, end: first + (i + 1) * span };
+  });
+}
+
+/**
+ * Indica si una ventana es anómala: por su `prediction` si la tiene, o si su
+ * justificación alcanza el umbral
+ * @param {Object} window - Ventana de la respuesta de un modelo
+ * @param {number} threshold - Umbral de justificación
+ * @returns {boolean}
+ */
+function windowFlagged(window, threshold = DEFAULT_JUSTIFICATION_THRESHOLD) {
+  if (window.prediction !== undefined && window.prediction !== null) {
+    return window.prediction === 1 || String(window.prediction).toLowerCase() === 'anomaly';
+  }
+  const justification = parseFloat(window.justification);
+  return !isNaN(justification) && justification >= threshold;
+}
+
+/**
+ * Momento en que un modelo marcó la descarga como anómala: el final de su
+ * primera ventana anómala
+ * @param {Object} result - Resultado de un modelo (con `windows`)
+ * @param {Object} discharge - Descarga predicha
+ * @param {number} threshold - Umbral de justificación
+ * @returns {number|null} - Tiempo en el eje de la descarga, o null si no hay ventanas anómalas
+ */
+function firstFlagTime(result, discharge, threshold = DEFAULT_JUSTIFICATION_THRESHOLD) {
+  const windows = result && Array.isArray(result.windows) ? result.windows : [];
+  const times = windowTimes(windows, discharge);
+  const index = windows.findIndex(window => windowFlagged(window, threshold));
+  return index === -1 ? null : times[index].end;
+}
+
+/**
+ * Puntuación de anomalía de una ventana: su justificación o, si no la tiene,
+ * 1 o 0 según su `prediction`
+ * @param {Object} window - Ventana de la respuesta de un modelo
+ * @returns {number|null} - null si la ventana no indica ninguna de las dos
+ */
+function windowScore(window) {
+  const justification = parseFloat(window.justification);
+  if (!isNaN(justification)) {
+    return justification;
+  }
+  const prediction = String(window.prediction).toLowerCase();
+  if (window.prediction === 1 || prediction === 'anomaly') return 1;
+  if (window.prediction === 0 || prediction === 'normal') return 0;
+  return null;
+}
+
+/**
+ * Intervalos de tiempo cubiertos por las ventanas de un modelo. Una ventana
+ * puntual (solo `time`) cubre desde el final de la ventana anterior.
+ * @param {Array<Object>} windows - `result.windows` de un modelo
+ * @param {Object} discharge - Descarga predicha
+ * @returns {Array<Object>} - { start, end, score } de las ventanas con puntuación
+ */
+function windowIntervals(windows, discharge) {
+  const times = windowTimes(windows, discharge);
+  const axis = dischargeTimes(discharge);
+  let previous = axis.length > 0 ? axis[0] : (times.length > 0 ? times[0].start : 0);
+
+  const intervals = times.map(({ start, end }, i) => {
+    const interval = { start: start < end ? start : Math.min(previous, end), end, score: windowScore(windows[i]) };
+    previous = end;
+    return interval;
+  });
+  return intervals.filter(interval => interval.score !== null);
+}
+
+/**
+ * Alinea las ventanas de varios modelos sobre el eje de tiempos de la
+ * descarga. El eje se divide en los tramos delimitados por los bordes de
+ * todas las ventanas; la puntuación del conjunto en cada tramo es la media de
+ * las puntuaciones de los modelos cuyas ventanas lo cubren.
+ * @param {Array<Object>} results - { modelName, windows } de cada modelo
+ * @param {Object} discharge - Descarga predicha
+ * @param {number} threshold - Umbral de la puntuación del conjunto
+ * @returns {Object|null} - { threshold, models, windows: [{ start, end, score, models }],
+ *   firstCrossing }, o null si ningún modelo devolvió ventanas
+ */
+function ensembleWindows(results, discharge, threshold = DEFAULT_JUSTIFICATION_THRESHOLD) {
+  const models = results
+    .map(({ modelName, windows }) => ({ modelName, intervals: windowIntervals(windows || [], discharge) }))
+    .filter(model => model.intervals.length > 0);
+  if (models.length === 0) {
+    return null;
+  }
+
+  const bounds = [...new Set(models.flatMap(model => model.intervals.flatMap(i => [i.start, i.end])))]
+    .sort((a, b) => a - b);
+  const windows = [];
+  for (let k = 0; k + 1 < bounds.length; k++) {
+    const start = bounds[k];
+    const end = bounds[k + 1];
+    const middle = (start + end) / 2;
+    const scores = [];
+    models.forEach(model => {
+      const interval = model.intervals.find(i => i.start <= middle && middle <= i.end);
+      if (interval) scores.push(interval.score);
+    });
+    if (scores.length > 0) {
+      windows.push({ start, end, score: scores.reduce((sum, v) => sum + v, 0) / scores.length, models: scores.length });
+    }
+  }
+
+  const crossing = windows.find(window => window.score >= threshold);
+  return {
+    threshold,
+    models: models.map(model => model.modelName),
+    windows,
+    firstCrossing: crossing ? crossing.end : null
+  };
+}
+
+module.exports = {
+  DEFAULT_JUSTIFICATION_THRESHOLD,
+  dischargeTimes,
+  windowTimes,
+  windowFlagged,
+  firstFlagTime,
+  windowScore,
+  windowIntervals,
+  ensembleWindows
+};
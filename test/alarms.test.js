@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-alarms-'));
+process.env.DATA_DIR = dataDir;
+
+const config = require('../src/config');
+const orchestratorService = require('../src/services/orchestrator.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const alarmRules = require('../src/services/alarm-rules.service');
+const controller = require('../src/controllers/orchestrator.controller');
+const { normalizeRule, windowStates, evaluateRule } = require('../src/utils/alarms');
+const { windowFlagged } = require('../src/utils/windows');
+const axios = require('axios');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+
+jest.mock('axios');
+
+// Lee las entradas de un ZIP a partir de su directorio central
+function unzip(buffer) {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let at = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const method = buffer.readUInt16LE(at + 10);
+    const size = buffer.readUInt32LE(at + 20);
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const skip = nameLength + buffer.readUInt16LE(at + 30) + buffer.readUInt16LE(at + 32);
+    const local = buffer.readUInt32LE(at + 42);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    files[buffer.toString('utf8', at + 46, at + 46 + nameLength)] =
+      (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    at += 46 + skip;
+  }
+  return files;
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+}
+
+function request(body) {
+  return { body, ip: '10.0.0.9', user: { name: 'ops', role: 'admin' } };
+}
+
+// Ventanas de 1 s sobre el eje 0..6
+function series(scores) {
+  return scores.map((score, i) => ({ start: i, end: i + 1, score }));
+}
+
+const discharge = { id: 'al1', times: [0, 1, 2, 3, 4, 5, 6], signals: [{ filename: 'DES_al1_01.txt', values: [] }] };
+const justifications = [0.2, 0.7, 0.8, 0.55, 0.9, 0.3];
+
+describe('alarm rule engine', () => {
+  test('validates rules and fills the defaults', () => {
+    expect(normalizeRule({ name: 'r', model: 'a', threshold: 0.5 })).toEqual({
+      name: 'r', model: 'a', threshold: 0.5, consecutive: 1, hysteresis: 0, minDuration: 0, enabled: true
+    });
+    expect(() => normalizeRule({ model: 'a', threshold: 0.5 })).toThrow(/nombre/);
+    expect(() => normalizeRule({ name: 'r', model: 'a', threshold: '0.5' })).toThrow(/umbral/);
+    expect(() => normalizeRule({ name: 'r', model: 'a', threshold: 0.5, consecutive: 0 })).toThrow(/consecutive/);
+    expect(() => normalizeRule({ name: 'r', model: 'a', threshold: 0.5, hysteresis: -1 })).toThrow(/hysteresis/);
+  });
+
+  test('raises after consecutive windows and clears with hysteresis', () => {
+    const rule = normalizeRule({ name: 'r', model: 'a', threshold: 0.6, consecutive: 2 });
+    expect(windowStates(justifications, rule).map(s => s.active)).toEqual([false, false, true, false, false, false]);
+    expect(evaluateRule(rule, series(justifications))).toEqual({
+      rule: 'r', model: 'a', fired: true, onset: 3,
+      episodes: [{ onset: 3, end: 3, duration: 0, peak: 0.8, open: false }]
+    });
+
+    const sticky = normalizeRule({ ...rule, hysteresis: 0.1 });
+    expect(evaluateRule(sticky, series(justifications)).episodes).toEqual([
+      { onset: 3, end: 5, duration: 2, peak: 0.9, open: false }
+    ]);
+
+    const long = normalizeRule({ ...sticky, minDuration: 3 });
+    expect(evaluateRule(long, series(justifications))).toMatchObject({ fired: false, onset: null, episodes: [] });
+
+    const open = evaluateRule(normalizeRule({ name: 'o', model: 'a', threshold: 0.5 }), series([0.1, 0.9]));
+    expect(open.episodes).toEqual([{ onset: 2, end: 2, duration: 0, peak: 0.9, open: true }]);
+  });
+});
+
+describe('alarm rules on predictions', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeAll(() => {
+    circuitBreaker.circuits = {};
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://a/predict', trainingUrl: 'http://a/train', healthUrl: 'http://a/health' },
+      b: { enabled: true, url: 'http://b/predict', trainingUrl: 'http://b/train', healthUrl: 'http://b/health' }
+    };
+    // Las reglas solo se aceptan para modelos registrados
+    Object.assign(config.models, orchestratorService.models);
+    axios.mockImplementation(({ url }) => Promise.resolve({
+      data: url === 'http://a/predict'
+        ? { prediction: 1, confidence: 0.9, windows: justifications.map(justification => ({ justification })) }
+        : { prediction: 1, confidence: 0.6 }
+    }));
+  });
+
+  afterAll(() => {
+    orchestratorService.models = originalModels;
+    delete config.models.a;
+    delete config.models.b;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('stores, replaces and deletes rules', async () => {
+    const unknown = mockResponse();
+    await controller.saveAlarmRule(request({ name: 'x', model: 'z', threshold: 0.5 }), unknown);
+    expect(unknown.status).toHaveBeenCalledWith(404);
+
+    const invalid = mockResponse();
+    await controller.saveAlarmRule(request({ name: 'x', model: 'a' }), invalid);
+    expect(invalid.status).toHaveBeenCalledWith(400);
+
+    for (const rule of [
+      { name: 'a-sustained', model: 'a', threshold: 0.6, consecutive: 3 },
+      { name: 'a-sustained', model: 'a', threshold: 0.6, consecutive: 2, hysteresis: 0.1 },
+      { name: 'ensemble', model: 'ensemble', threshold: 0.85 },
+      { name: 'b-any', model: 'b', threshold: 0.5 },
+      { name: 'temp', model: 'a', threshold: 0.1 }
+    ]) {
+      const res = mockResponse();
+      await controller.saveAlarmRule(request(rule), res);
+      expect(res.status).toHaveBeenCalledWith(200);
+    }
+
+    const removed = mockResponse();
+    await controller.deleteAlarmRule(request({ name: 'temp' }), removed);
+    expect(removed.status).toHaveBeenCalledWith(200);
+    const missing = mockResponse();
+    await controller.deleteAlarmRule(request({ name: 'temp' }), missing);
+    expect(missing.status).toHaveBeenCalledWith(404);
+
+    const list = mockResponse();
+    controller.getAlarmRules({}, list);
+    expect(list.body.rules.map(r => [r.name, r.consecutive])).toEqual([['a-sustained', 2], ['ensemble', 1], ['b-any', 1]]);
+    expect(JSON.parse(fs.readFileSync(alarmRules.file, 'utf8'))).toEqual(list.body.rules);
+  });
+
+  test('reports the earliest alarm of every prediction', async () => {
+    const result = await orchestratorService.orchestrate({ discharges: [discharge] }, { record: false });
+
+    expect(result.alarms).toMatchObject({ fired: true, onset: 3, rule: 'a-sustained', model: 'a' });
+    expect(result.alarms.rules.map(r => [r.rule, r.fired, r.onset])).toEqual([['a-sustained', true, 3], ['ensemble', true, 5]]);
+    expect(result.discharges[0].alarms).toBe(result.alarms);
+
+    const res = mockResponse();
+    await controller.predict({ body: { discharges: [discharge] } }, res);
+    expect(res.body.alarms.rule).toBe('a-sustained');
+  });
+
+  test('evaluates automated sessions with the stored rule when no threshold is posted', async () => {
+    const started = mockResponse();
+    controller.startAutomatedPredictsSession({}, started);
+    const { sessionId } = started.body;
+
+    const file = path.join(dataDir, 'DES_al1_01.txt');
+    fs.writeFileSync(file, discharge.times.map(t => `${t} ${t * 2}`).join('\n'));
+    const res = mockResponse();
+    // Sin umbral para `a` se usa su regla guardada (0.6, 2 ventanas, histéresis 0.1)
+    await controller.uploadAutomatedPredict({
+      params: { sessionId },
+      files: [{ path: file, originalname: 'DES_al1_01.txt' }],
+      body: { dischargeId: 'al1', thresholds: JSON.stringify({ a: { justification: '', count: '' } }) }
+    }, res);
+    expect(res.body).toEqual({ ok: true });
+
+    const zip = new PassThrough();
+    zip.set = jest.fn();
+    const chunks = [];
+    zip.on('data', chunk => chunks.push(chunk));
+    const done = new Promise(resolve => zip.on('end', resolve));
+    await controller.finalizeAutomatedPredicts({ params: { sessionId } }, zip);
+    await done;
+
+    const files = unzip(Buffer.concat(chunks));
+    expect(JSON.parse(files['raw/al1.json']).alarms.rule).toBe('a-sustained');
+    const [header, ...rows] = files['stats/a.csv'].split('\n');
+    expect(header).toBe('al1_justification,al1_justification_threshold,al1_count_threshold,al1_alarm');
+    // La histéresis mantiene la alarma en 0.55, igual que en /predict
+    expect(rows).toEqual([
+      '0.2,0,0,0',
+      '0.7,1,0,0',
+      '0.8,1,1,1',
+      '0.55,0,0,1',
+      '0.9,1,0,1',
+      '0.3,0,0,0'
+    ]);
+  });
+
+  test('raises an alarm for a score exactly at the threshold', () => {
+    const rule = normalizeRule({ name: 'edge', model: 'a', threshold: 0.7 });
+    expect(evaluateRule(rule, series([0.69, 0.7])).onset).toBe(2);
+    expect(windowStates([0.7], rule)[0]).toEqual({ above: true, consecutive: true, active: true });
+    expect(windowFlagged({ justification: 0.7 }, 0.7)).toBe(true);
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-audit-'));
+process.env.DATA_DIR = dataDir;
+
+const controller = require('../src/controllers/orchestrator.controller');
+const auditLog = require('../src/services/audit.service');
+
+jest.mock('axios');
+
+function request(body = {}, query = {}) {
+  return { body, query, ip: '10.0.0.7', user: { name: 'ops', role: 'admin' } };
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+}
+
+describe('audit log', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('records configuration changes with actor and before/after values', async () => {
+    await controller.addModel(request({
+      name: 'Forest',
+      url: 'http://localhost:8005/predict',
+      trainingUrl: 'http://localhost:8005/train',
+      healthUrl: 'http://localhost:8005/health',
+      auth: { type: 'bearer', token: 's3cret' }
+    }), mockResponse());
+    await controller.updateModelUrl(request({ modelName: 'forest', url: 'http://forest/health', type: 'health' }), mockResponse());
+    await controller.updateModelConfig(request({ modelName: 'forest', enabled: false }), mockResponse());
+    await controller.deleteModel(request({ modelName: 'forest' }), mockResponse());
+
+    const res = mockResponse();
+    await controller.getAudit(request({}, { target: 'forest' }), res);
+
+    expect(res.body.total).toBe(4);
+    const [deleted, enabled, url, added] = res.body.items;
+    expect(added).toMatchObject({
+      action: 'model.add',
+      actor: { name: 'ops', role: 'admin', ip: '10.0.0.7' },
+      before: null,
+      after: { url: 'http://localhost:8005/predict', auth: { type: 'bearer', token: '********' } }
+    });
+    expect(url).toMatchObject({
+      action: 'model.url',
+      before: { healthUrl: 'http://localhost:8005/health' },
+      after: { healthUrl: 'http://forest/health' }
+    });
+    expect(enabled).toMatchObject({ action: 'model.enabled', before: { enabled: true }, after: { enabled: false } });
+    expect(deleted).toMatchObject({ action: 'model.delete', after: null });
+    expect(deleted.before.enabled).toBe(false);
+    expect(fs.readFileSync(auditLog.file, 'utf8')).not.toContain('s3cret');
+  });
+
+  test('filters by action and rejects invalid dates', async () => {
+    const res = mockResponse();
+    await controller.getAudit(request({}, { action: 'model.url' }), res);
+    expect(res.body.items.map(e => e.action)).toEqual(['model.url']);
+
+    const invalid = mockResponse();
+    await controller.getAudit(request({}, { from: 'yesterday' }), invalid);
+    expect(invalid.status).toHaveBeenCalledWith(400);
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-auth-'));
+process.env.DATA_DIR = dataDir;
+
+function loadAuth(apiKeys) {
+  let modules;
+  process.env.API_KEYS = apiKeys;
+  jest.isolateModules(() => {
+    modules = {
+      authService: require('../src/services/auth.service'),
+      middleware: require('../src/middleware/auth.middleware')
+    };
+  });
+  delete process.env.API_KEYS;
+  return modules;
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+function run(middleware, req) {
+  const res = mockResponse();
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+}
+
+describe('API-key authentication', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('leaves the API open when no keys are configured', () => {
+    const { authService, middleware } = loadAuth('');
+    expect(authService.enabled).toBe(false);
+
+    const req = { headers: {} };
+    const { next } = run(middleware.authenticate, req);
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ name: 'anonymous', role: 'admin' });
+  });
+
+  test('identifies callers by bearer token or X-API-Key', () => {
+    const { authService, middleware } = loadAuth('grafana:viewer:k1, lab:operator:k:2,bad:root:k3');
+    expect(authService.keys.map(k => k.name)).toEqual(['grafana', 'lab']);
+
+    const bearer = { headers: { authorization: 'Bearer k:2' } };
+    run(middleware.authenticate, bearer);
+    expect(bearer.user).toEqual({ name: 'lab', role: 'operator' });
+
+    const apiKey = { headers: { 'x-api-key': 'k1' } };
+    run(middleware.authenticate, apiKey);
+    expect(apiKey.user).toEqual({ name: 'grafana', role: 'viewer' });
+
+    const { res, next } = run(middleware.authenticate, { headers: { 'x-api-key': 'k3' }, method: 'GET' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('enforces the minimum role', () => {
+    const { middleware } = loadAuth('lab:operator:k2');
+    const requireOperator = middleware.requireRole('operator');
+    const requireAdmin = middleware.requireRole('admin');
+    const req = { user: { name: 'lab', role: 'operator' } };
+
+    expect(run(requireOperator, req).next).toHaveBeenCalled();
+    const { res, next } = run(requireAdmin, req);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('lets node keys post training callbacks and nothing else', () => {
+    const { authService, middleware } = loadAuth('lstm:node:k4');
+    const req = { headers: { 'x-api-key': 'k4' } };
+    run(middleware.authenticate, req);
+    expect(req.user).toEqual({ name: 'lstm', role: 'node' });
+
+    expect(run(middleware.requireRole('node'), req).next).toHaveBeenCalled();
+    expect(run(middleware.requireRole('viewer'), req).res.status).toHaveBeenCalledWith(403);
+    expect(authService.hasRole({ role: 'operator' }, 'node')).toBe(true);
+    expect(authService.hasRole({ role: 'viewer' }, 'node')).toBe(false);
+  });
+});
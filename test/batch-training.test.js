@@ -1,8 +1,27 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-training-'));
+process.env.DATA_DIR = dataDir;
+
 const orchestratorService = require('../src/services/orchestrator.service');
+const trainingHistory = require('../src/services/training-history.service');
+const controller = require('../src/controllers/orchestrator.controller');
 const axios = require('axios');
 
 jest.mock('axios');
 
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+}
+
 describe('batch training session', () => {
   beforeEach(() => {
     axios.mockClear();
@@ -16,18 +35,22 @@ describe('batch training session', () => {
 
   afterEach(async () => {
     orchestratorService.models = {};
-    orchestratorService.finishTraining();
+    Object.keys(orchestratorService.trainingSessions).forEach(id => orchestratorService.finishTraining(id));
     await new Promise(r => setTimeout(r, 0));
   });
 
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
   test('processes multiple batches without restarting', async () => {
     axios.mockResolvedValue({ data: { expectedDischarges: 2 } });
 
-    await orchestratorService.startTrainingSession(2);
-    await orchestratorService.sendTrainingBatch([
+    const { sessionId } = await orchestratorService.startTrainingSession(2);
+    await orchestratorService.sendTrainingBatch(sessionId, [
       { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 }
     ]);
-    await orchestratorService.sendTrainingBatch([
+    await orchestratorService.sendTrainingBatch(sessionId, [
       { id: 'd2', signals: [{ values: [2] }], times: [0], length: 1 }
     ]);
     await new Promise(r => setTimeout(r, 0));
@@ -41,21 +64,257 @@ describe('batch training session', () => {
   test('ignores duplicate discharges when retrying', async () => {
     axios.mockResolvedValue({ data: { expectedDischarges: 2 } });
 
-    await orchestratorService.startTrainingSession(2);
-    await orchestratorService.sendTrainingBatch([
+    const { sessionId } = await orchestratorService.startTrainingSession(2);
+    await orchestratorService.sendTrainingBatch(sessionId, [
       { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 }
     ]);
-    await orchestratorService.sendTrainingBatch([
+    await orchestratorService.sendTrainingBatch(sessionId, [
       { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 }
     ]);
-    await orchestratorService.sendTrainingBatch([
+    await orchestratorService.sendTrainingBatch(sessionId, [
       { id: 'd2', signals: [{ values: [2] }], times: [0], length: 1 }
     ]);
     await new Promise(r => setTimeout(r, 0));
 
-    expect(orchestratorService.trainingSession.enqueued).toBe(2);
+    expect(orchestratorService.getTrainingSession(sessionId).enqueued).toBe(2);
     expect(axios).toHaveBeenCalledTimes(4);
     expect(axios.mock.calls[2][0].url).toBe('http://localhost:9999/train/1');
     expect(axios.mock.calls[3][0].url).toBe('http://localhost:9999/train/2');
   });
+
+  test('records the run and links training summaries to it', async () => {
+    axios.mockResolvedValue({ data: { expectedDischarges: 2 } });
+
+    const summary = await orchestratorService.startTrainingSession(2);
+    await orchestratorService.sendTrainingBatch(summary.sessionId, [
+      { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 },
+      { id: 'd2', signals: [{ values: [2] }], times: [0], length: 1 }
+    ]);
+    orchestratorService.finishTraining(summary.sessionId);
+    await new Promise(r => setTimeout(r, 0));
+    orchestratorService.handleTrainingCompleted({ status: 'success', metrics: { accuracy: 0.9 } }, { modelName: 'test' });
+
+    const run = trainingHistory.get(summary.runId);
+    expect(run.status).toBe('finished');
+    expect(run.dischargeIds).toEqual(['d1', 'd2']);
+    expect(run.models).toEqual({ test: { status: 'accepted' } });
+    expect(run.completions).toHaveLength(1);
+    expect(run.completions[0].modelName).toBe('test');
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'training-runs.json'), 'utf8'));
+    expect(stored.runs.find(r => r.id === summary.runId).completions[0].metrics.accuracy).toBe(0.9);
+  });
+
+  test('reports progress and cancels the session', async () => {
+    axios.mockImplementation(({ url, signal }) => {
+      if (url && url.endsWith('/train/2')) {
+        return new Promise((_resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('canceled')));
+        });
+      }
+      return Promise.resolve({ data: { expectedDischarges: 3 } });
+    });
+
+    const summary = await orchestratorService.startTrainingSession(3);
+    await orchestratorService.sendTrainingBatch(summary.sessionId, [
+      { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 },
+      { id: 'd2', signals: [{ values: [2] }], times: [0], length: 1 },
+      { id: 'd3', signals: [{ values: [3] }], times: [0], length: 1 }
+    ]);
+    await new Promise(r => setTimeout(r, 0));
+
+    const status = orchestratorService.getTrainingSessionStatus(summary.sessionId);
+    expect(status.enqueued).toBe(3);
+    expect(status.models.test).toMatchObject({ delivered: 1, nextSeq: 2, queueLength: 2, sending: true });
+
+    const ended = jest.fn();
+    orchestratorService.once('training-session-ended', ended);
+    orchestratorService.cancelTrainingSession(summary.sessionId);
+    await new Promise(r => setTimeout(r, 0));
+
+    expect(orchestratorService.getTrainingSession(summary.sessionId)).toBeNull();
+    expect(ended).toHaveBeenCalledWith({ sessionId: summary.sessionId, runId: summary.runId, status: 'cancelled' });
+    expect(trainingHistory.get(summary.runId).status).toBe('cancelled');
+    expect(axios.mock.calls.map(c => c[0].url)).not.toContain('http://localhost:9999/train/3');
+  });
+
+  test('runs concurrent sessions on different model subsets', async () => {
+    orchestratorService.models.other = {
+      enabled: true,
+      trainingUrl: 'http://localhost:9998/train'
+    };
+    axios.mockResolvedValue({ data: { expectedDischarges: 1 } });
+
+    const first = await orchestratorService.startTrainingSession(1, { models: ['test'] });
+    await expect(orchestratorService.startTrainingSession(1, { models: ['test'] }))
+      .rejects.toThrow('already training in another session');
+    const second = await orchestratorService.startTrainingSession(1);
+
+    expect(Object.keys(orchestratorService.getTrainingSession(first.sessionId).models)).toEqual(['test']);
+    expect(Object.keys(orchestratorService.getTrainingSession(second.sessionId).models)).toEqual(['other']);
+
+    await orchestratorService.sendTrainingBatch(first.sessionId, [
+      { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 }
+    ]);
+    await orchestratorService.sendTrainingBatch(second.sessionId, [
+      { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 }
+    ]);
+    await new Promise(r => setTimeout(r, 0));
+
+    const urls = axios.mock.calls.map(c => c[0].url);
+    expect(urls).toContain('http://localhost:9999/train/1');
+    expect(urls).toContain('http://localhost:9998/train/1');
+
+    // Callbacks go to the run each model accepted, never just the newest one
+    const fromTest = orchestratorService.handleTrainingCompleted(
+      { status: 'success', runId: 'unknown', modelName: 'spoofed' },
+      { modelName: 'test' }
+    );
+    expect(fromTest).toMatchObject({ runId: first.runId, modelName: 'test' });
+    expect(orchestratorService.handleTrainingCompleted({ status: 'success' }, { modelName: 'other' }).runId)
+      .toBe(second.runId);
+
+    const orphan = orchestratorService.handleTrainingCompleted({ status: 'success' }, { modelName: 'ghost' });
+    expect(orphan.runId).toBeNull();
+    expect(orchestratorService.getTrainingSummaries()).toContain(orphan);
+    expect(trainingHistory.get(first.runId).completions).toEqual([fromTest]);
+  });
+
+  test('closes auto-finishing sessions once every discharge is delivered', async () => {
+    axios.mockResolvedValue({ data: { expectedDischarges: 1 } });
+
+    const { sessionId } = await orchestratorService.startTrainingSession(1, { autoFinish: true });
+    await orchestratorService.sendTrainingBatch(sessionId, [
+      { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 }
+    ]);
+    await new Promise(r => setTimeout(r, 0));
+
+    expect(orchestratorService.getTrainingSession(sessionId)).toBeNull();
+    expect(trainingHistory.get(sessionId).status).toBe('finished');
+  });
+
+  test('resumes a spooled session after a restart', async () => {
+    axios.mockImplementation(({ url }) => {
+      // The second discharge never gets an answer before the "crash"
+      if (url && url.endsWith('/train/2')) return new Promise(() => {});
+      return Promise.resolve({ data: {} });
+    });
+
+    const { sessionId } = await orchestratorService.startTrainingSession(3);
+    await orchestratorService.sendTrainingBatch(sessionId, [
+      { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 },
+      { id: 'd2', signals: [{ values: [2] }], times: [0], length: 1 },
+      { id: 'd3', signals: [{ values: [3] }], times: [0], length: 1 }
+    ]);
+    await new Promise(r => setTimeout(r, 0));
+
+    let restarted;
+    let restartedAxios;
+    let restartedHistory;
+    jest.isolateModules(() => {
+      restartedAxios = require('axios');
+      restartedHistory = require('../src/services/training-history.service');
+      restarted = require('../src/services/orchestrator.service');
+    });
+    restartedAxios.mockResolvedValue({ data: {} });
+    const callsBefore = restartedAxios.mock.calls.length;
+    expect(restartedHistory.get(sessionId).status).toBe('interrupted');
+
+    expect(restarted.resumeTrainingSessions()).toEqual([sessionId]);
+    expect(restartedHistory.get(sessionId).status).toBe('running');
+    restarted.finishTraining(sessionId);
+    await restarted.awaitQueuesEmpty(sessionId, 1000);
+
+    expect(restartedAxios.mock.calls.slice(callsBefore).map(c => [c[0].url, c[0].data.id])).toEqual([
+      ['http://localhost:9999/train/2', 'd2'],
+      ['http://localhost:9999/train/3', 'd3']
+    ]);
+    expect(restarted.getTrainingSession(sessionId)).toBeNull();
+    expect(restartedHistory.get(sessionId).status).toBe('finished');
+    expect(fs.existsSync(path.join(dataDir, 'training-sessions', sessionId))).toBe(false);
+
+    // The original instance is left hanging on /train/2: drop it without touching the spool
+    delete orchestratorService.trainingSessions[sessionId];
+    orchestratorService.trainingMemoryInUse = 0;
+  });
+
+  test('applies backpressure when the queues are full', async () => {
+    const pending = [];
+    axios.mockImplementation(({ url }) => {
+      if (url && /\/train\/\d+$/.test(url)) {
+        return new Promise(resolve => pending.push(resolve));
+      }
+      return Promise.resolve({ data: {} });
+    });
+    const originalLimit = orchestratorService.maxQueueLength;
+    orchestratorService.maxQueueLength = 1;
+
+    try {
+      const { sessionId } = await orchestratorService.startTrainingSession(2);
+      let sent = false;
+      const batch = orchestratorService.sendTrainingBatch(sessionId, [
+        { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 },
+        { id: 'd2', signals: [{ values: [2] }], times: [0], length: 1 }
+      ]).then(() => { sent = true; });
+      await new Promise(r => setTimeout(r, 20));
+
+      expect(orchestratorService.trainingSaturation()).toBe('Training queues are full');
+      expect(orchestratorService.getTrainingSession(sessionId).enqueued).toBe(1);
+      expect(sent).toBe(false);
+
+      pending.shift()({ data: {} });
+      await batch;
+      expect(orchestratorService.getTrainingSession(sessionId).enqueued).toBe(2);
+      pending.shift()({ data: {} });
+      await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+      expect(orchestratorService.trainingSaturation()).toBeNull();
+    } finally {
+      orchestratorService.maxQueueLength = originalLimit;
+    }
+  });
+
+  test('keeps a single spooled discharge in memory under the memory limit', async () => {
+    orchestratorService.models.other = { enabled: true, trainingUrl: 'http://localhost:9998/train' };
+    let inFlight = 0;
+    let maxInFlight = 0;
+    axios.mockImplementation(({ url }) => {
+      if (!url || !/\/train\/\d+$/.test(url)) return Promise.resolve({ data: {} });
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return new Promise(resolve => setTimeout(() => {
+        inFlight -= 1;
+        resolve({ data: {} });
+      }, 5));
+    });
+    const originalLimit = orchestratorService.memoryLimit;
+    orchestratorService.memoryLimit = 1;
+
+    try {
+      const { sessionId } = await orchestratorService.startTrainingSession(2);
+      await orchestratorService.sendTrainingBatch(sessionId, [
+        { id: 'd1', signals: [{ values: [1] }], times: [0], length: 1 },
+        { id: 'd2', signals: [{ values: [2] }], times: [0], length: 1 }
+      ]);
+      await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+
+      expect(maxInFlight).toBe(1);
+      expect(orchestratorService.trainingMemoryInUse).toBe(0);
+      expect(fs.readdirSync(path.join(dataDir, 'training-sessions', sessionId, 'discharges'))).toEqual([]);
+    } finally {
+      orchestratorService.memoryLimit = originalLimit;
+    }
+  });
+
+  test('cancels the implicit session of a batch that cannot be sent', async () => {
+    axios.mockResolvedValue({ data: { expectedDischarges: 1 } });
+
+    const res = mockResponse();
+    await controller.train({ body: { discharges: [{ id: 'empty' }] }, ip: '10.0.0.9' }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.body.message).toMatch(/has no files or signals/);
+    expect(orchestratorService.listTrainingSessions()).toEqual([]);
+    expect(orchestratorService.busyModels()).toEqual(new Set());
+    expect(fs.readdirSync(path.join(dataDir, 'training-sessions'))).toEqual([]);
+  });
 });
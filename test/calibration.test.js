@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-calibration-'));
+process.env.DATA_DIR = dataDir;
+
+const config = require('../src/config');
+const orchestratorService = require('../src/services/orchestrator.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const calibrationService = require('../src/services/calibration.service');
+const evaluationService = require('../src/services/evaluation.service');
+const controller = require('../src/controllers/orchestrator.controller');
+const axios = require('axios');
+
+jest.mock('axios');
+
+// `a` acierta siempre; `b` marca todas las descargas como anómalas
+const discharges = [
+  { id: 'd1', anomalyTime: 5 },
+  { id: 'd2', anomalyTime: 6 },
+  { id: 'd3', anomalyTime: null },
+  { id: 'd4', anomalyTime: null }
+].map(d => ({ ...d, times: [0, 1, 2], signals: [{ filename: `DES_${d.id}.txt`, values: [1, 2, 3] }] }));
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+}
+
+function request(body) {
+  return { body, ip: '10.0.0.9', user: { name: 'ops', role: 'admin' } };
+}
+
+function vote(prediction, confidence) {
+  return { status: 'success', result: { prediction, confidence } };
+}
+
+describe('voting calibration', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeAll(() => {
+    circuitBreaker.circuits = {};
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://a/predict', trainingUrl: 'http://a/train', healthUrl: 'http://a/health' },
+      b: { enabled: true, url: 'http://b/predict', trainingUrl: 'http://b/train', healthUrl: 'http://b/health' }
+    };
+    axios.mockImplementation(({ url, data }) => {
+      if (url === 'http://b/predict') {
+        return Promise.resolve({ data: { prediction: 1, confidence: 0.6 } });
+      }
+      const anomaly = data.id === 'd1' || data.id === 'd2';
+      return Promise.resolve({ data: { prediction: anomaly ? 1 : 0, confidence: 0.9 } });
+    });
+  });
+
+  afterAll(() => {
+    orchestratorService.models = originalModels;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('derives weights and the soft-voting threshold from an evaluation', async () => {
+    const res = mockResponse();
+    await controller.calibrate(request({ discharges, threshold: true }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { calibration } = res.body;
+    expect(calibration).toMatchObject({
+      version: 1,
+      metric: 'f1',
+      createdBy: 'ops',
+      scores: { a: 1, b: 0.6667 },
+      weights: { a: 1.2, b: 0.8 },
+      threshold: 0.5,
+      thresholdF1: 1
+    });
+    expect(config.activeCalibration.version).toBe(1);
+
+    const report = evaluationService.get(calibration.evaluationId);
+    const { weights } = calibrationService.weights(report, 'logloss');
+    expect(weights.a).toBeGreaterThan(weights.b);
+  });
+
+  test('applies the active calibration to the vote and persists it in the registry', async () => {
+    const responses = [{ modelName: 'a', ...vote(0, 0.9) }, { modelName: 'b', ...vote(1, 0.6) }];
+
+    let result = orchestratorService.applyVoting(responses, { strategy: 'weighted' });
+    expect(result).toMatchObject({ decision: 0, calibration: 1, weights: { a: 1.2, b: 0.8 } });
+    result = orchestratorService.applyVoting(responses, { strategy: 'weighted', weights: { b: 5 } });
+    expect(result.decision).toBe(1);
+
+    config.loadRegistry();
+    expect(config.activeCalibration.weights).toEqual({ a: 1.2, b: 0.8 });
+
+    const res = mockResponse();
+    await controller.activateCalibration(request({ version: null }), res);
+    expect(res.body.active).toBeNull();
+    result = orchestratorService.applyVoting(responses, { strategy: 'weighted' });
+    expect(result.decision).toBeNull();
+    expect(result.calibration).toBeUndefined();
+
+    const missing = mockResponse();
+    await controller.activateCalibration(request({ version: 7 }), missing);
+    expect(missing.status).toHaveBeenCalledWith(404);
+  });
+
+  test('rejects unknown metrics and evaluations', async () => {
+    const metric = mockResponse();
+    await controller.calibrate(request({ discharges, metric: 'auc' }), metric);
+    expect(metric.status).toHaveBeenCalledWith(400);
+
+    const evaluation = mockResponse();
+    await controller.calibrate(request({ evaluationId: 'missing' }), evaluation);
+    expect(evaluation.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-circuit-'));
+process.env.DATA_DIR = dataDir;
+
+const orchestratorService = require('../src/services/orchestrator.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const axios = require('axios');
+
+jest.mock('axios');
+
+describe('circuit breaker', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeEach(() => {
+    axios.mockReset();
+    circuitBreaker.circuits = {};
+    circuitBreaker.failureThreshold = 2;
+    circuitBreaker.resetTimeout = 1000;
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://localhost:9991/predict', healthUrl: 'http://localhost:9991/health' }
+    };
+  });
+
+  afterEach(() => {
+    orchestratorService.models = originalModels;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('opens after consecutive failures and skips the model instantly', async () => {
+    axios.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await orchestratorService.callModel('a', { id: 'd1' });
+    await orchestratorService.callModel('a', { id: 'd2' });
+    const skipped = await orchestratorService.callModel('a', { id: 'd3' });
+
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(skipped.status).toBe('circuit_open');
+    expect(circuitBreaker.status('a').state).toBe('open');
+
+    const result = await orchestratorService.orchestrate({ discharges: [{ id: 'd4' }] }, { record: false });
+    expect(result.models[0].status).toBe('circuit_open');
+    expect(result.voting.decision).toBeNull();
+  });
+
+  test('counts invalid prediction responses as failures', async () => {
+    axios.mockResolvedValue({ data: { prediction: 7 } });
+
+    expect((await orchestratorService.callModel('a', { id: 'd1' })).status).toBe('invalid_response');
+    await orchestratorService.callModel('a', { id: 'd2' });
+    expect(circuitBreaker.status('a').state).toBe('open');
+    expect((await orchestratorService.callModel('a', { id: 'd3' })).status).toBe('circuit_open');
+  });
+
+  test('lets a single trial through once the reset timeout elapses', async () => {
+    axios.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    await orchestratorService.callModel('a', { id: 'd1' });
+    await orchestratorService.callModel('a', { id: 'd2' });
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 1500);
+    axios.mockResolvedValue({ data: { prediction: 0, confidence: 0.9 } });
+
+    expect(circuitBreaker.canRequest('a')).toBe(true);
+    expect(circuitBreaker.status('a').state).toBe('half_open');
+    expect(circuitBreaker.canRequest('a')).toBe(false);
+
+    circuitBreaker.circuits.a.trialInFlight = false;
+    const response = await orchestratorService.callModel('a', { id: 'd3' });
+    expect(response.status).toBe('success');
+    expect(circuitBreaker.status('a')).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('follows the health check', async () => {
+    axios.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    const offline = await orchestratorService.healthCheck();
+    expect(offline.models[0].circuit.state).toBe('open');
+
+    axios.mockResolvedValue({ data: { status: 'ok' } });
+    const online = await orchestratorService.healthCheck();
+    expect(online.models[0].circuit.state).toBe('half_open');
+
+    axios.mockResolvedValue({ data: { prediction: 1, confidence: 0.8 } });
+    const response = await orchestratorService.callModel('a', { id: 'd1' });
+    expect(response.status).toBe('success');
+    expect(circuitBreaker.status('a').state).toBe('closed');
+  });
+});
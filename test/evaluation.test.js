@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-evaluation-'));
+process.env.DATA_DIR = dataDir;
+
+const orchestratorService = require('../src/services/orchestrator.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const evaluationService = require('../src/services/evaluation.service');
+const predictionHistory = require('../src/services/prediction-history.service');
+const controller = require('../src/controllers/orchestrator.controller');
+const axios = require('axios');
+
+jest.mock('axios');
+
+const times = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+
+function discharge(id, anomalyTime) {
+  return { id, times, anomalyTime, signals: [{ filename: `DES_${id}_01.txt`, values: times.map(t => t * 10) }] };
+}
+
+// Cuatro ventanas de 2 s: la ventana i termina en 2 * (i + 1)
+function windows(flagged) {
+  return [0, 1, 2, 3].map(i => ({ justification: i === flagged ? 0.9 : 0.1 }));
+}
+
+// Respuesta de cada modelo por descarga: índice de la primera ventana anómala o null
+const answers = {
+  a: { d1: 0, d2: 1, d3: null, d4: null },
+  b: { d1: 1, d2: null, d3: 2, d4: null }
+};
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  res.send = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  res.attachment = jest.fn();
+  res.type = jest.fn();
+  return res;
+}
+
+describe('evaluation mode', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeEach(() => {
+    axios.mockReset();
+    circuitBreaker.circuits = {};
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://a/predict', trainingUrl: 'http://a/train', healthUrl: 'http://a/health' },
+      b: { enabled: true, url: 'http://b/predict', trainingUrl: 'http://b/train', healthUrl: 'http://b/health' }
+    };
+    axios.mockImplementation(({ url, data }) => {
+      const model = url === 'http://a/predict' ? 'a' : 'b';
+      const flagged = answers[model][data.id];
+      expect(data.anomalyTime).toBeUndefined();
+      return Promise.resolve({
+        data: { prediction: flagged === null ? 0 : 1, confidence: 0.8, windows: windows(flagged) }
+      });
+    });
+  });
+
+  afterAll(() => {
+    orchestratorService.models = originalModels;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('scores every model and the ensemble against the labels', async () => {
+    const report = await evaluationService.evaluate([
+      discharge('d1', 5),
+      discharge('d2', 5),
+      discharge('d3', null),
+      { ...discharge('d4'), label: 0 }
+    ], { name: 'campaign', voting: { strategy: 'majority', tieBreak: 'anomaly' } });
+
+    expect(report.labels).toEqual({ anomalies: 2, normals: 2 });
+    expect(report.models.a).toMatchObject({
+      confusion: { tp: 2, fp: 0, tn: 2, fn: 0 },
+      precision: 1,
+      recall: 1,
+      f1: 1,
+      accuracy: 1,
+      warningTime: { count: 2, mean: 2, median: 2, min: 1, max: 3, late: 0 }
+    });
+    expect(report.models.b).toMatchObject({
+      confusion: { tp: 1, fp: 1, tn: 1, fn: 1 },
+      precision: 0.5,
+      recall: 0.5,
+      warningTime: { count: 1, mean: 1 }
+    });
+    expect(report.ensemble.confusion).toEqual({ tp: 2, fp: 1, tn: 1, fn: 0 });
+
+    const d1 = report.discharges.find(d => d.dischargeId === 'd1');
+    expect(d1.models.a).toMatchObject({ prediction: 1, flagTime: 2, warningTime: 3 });
+    expect(d1.ensemble).toMatchObject({ prediction: 1, flagTime: 4, warningTime: 1 });
+
+    const { items } = await predictionHistory.query({ source: 'evaluation' });
+    expect(items).toHaveLength(4);
+    expect(items.find(e => e.dischargeId === 'd2').anomalyTime).toBe(5);
+  });
+
+  test('lists, returns and exports stored reports', async () => {
+    const res = mockResponse();
+    await controller.evaluate({ body: { discharges: [discharge('d1', 5), discharge('d3', null)] } }, res);
+    const { id } = res.body.report;
+
+    const list = mockResponse();
+    await controller.getEvaluations({}, list);
+    expect(list.body.evaluations.map(e => e.id)).toContain(id);
+    expect(list.body.evaluations[0].discharges).toBeUndefined();
+
+    const csv = mockResponse();
+    await controller.getEvaluation({ params: { id }, query: { format: 'csv' } }, csv);
+    const [header, a, b, ensemble] = csv.body.split('\n');
+    expect(header).toMatch(/^scope,tp,fp,tn,fn,noPrediction,precision,recall,f1,accuracy,/);
+    expect(a).toMatch(/^a,1,0,1,0,0,1,1,1,1,1,3,/);
+    expect(b.startsWith('b,1,1,0,0,0,0.5,1,')).toBe(true);
+    expect(ensemble.startsWith('ensemble,')).toBe(true);
+
+    const rows = mockResponse();
+    await controller.getEvaluation({ params: { id }, query: { format: 'csv', table: 'discharges' } }, rows);
+    expect(rows.body.split('\n')).toHaveLength(3);
+
+    const missing = mockResponse();
+    await controller.getEvaluation({ params: { id: 'nope' }, query: {} }, missing);
+    expect(missing.status).toHaveBeenCalledWith(404);
+  });
+
+  test('rejects unlabeled discharges', async () => {
+    const res = mockResponse();
+    await controller.evaluate({ body: { discharges: [{ id: 'x', times, signals: [] }] } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.body.discharges).toEqual(['x']);
+    expect(axios).not.toHaveBeenCalled();
+  });
+});
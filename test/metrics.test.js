@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-metrics-'));
+process.env.DATA_DIR = dataDir;
+
+const orchestratorService = require('../src/services/orchestrator.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const metrics = require('../src/services/metrics.service');
+const axios = require('axios');
+
+jest.mock('axios');
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+describe('Prometheus metrics', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeEach(() => {
+    axios.mockReset();
+    metrics.reset();
+    circuitBreaker.circuits = {};
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://a/predict', trainingUrl: 'http://a/train', healthUrl: 'http://a/health' },
+      b: { enabled: true, url: 'http://b/predict', trainingUrl: 'http://b/train', healthUrl: 'http://b/health' }
+    };
+  });
+
+  afterAll(() => {
+    orchestratorService.models = originalModels;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('counts model calls, errors, latency and voting outcomes', async () => {
+    axios.mockImplementation(({ url }) => url === 'http://a/predict'
+      ? Promise.resolve({ data: { prediction: 1, confidence: 0.9 } })
+      : Promise.reject(httpError(503)));
+
+    await orchestratorService.orchestrate({ discharges: [{ id: 'd1' }] });
+    const text = await metrics.render();
+
+    expect(text).toContain('orchestrator_model_requests_total{model="a",status="success"} 1');
+    expect(text).toContain('orchestrator_model_requests_total{model="b",status="error"} 1');
+    expect(text).toContain('orchestrator_model_errors_total{model="b",type="http_5xx"} 1');
+    expect(text).toContain('orchestrator_model_request_duration_seconds_bucket{le="+Inf",model="a"} 1');
+    expect(text).toContain('orchestrator_model_request_duration_seconds_count{model="b"} 1');
+    expect(text).toContain('orchestrator_voting_outcomes_total{outcome="anomaly"} 1');
+    expect(text).toContain('# TYPE orchestrator_model_request_duration_seconds histogram');
+  });
+
+  test('counts broken ties apart and leaves evaluations out of the voting counters', async () => {
+    axios.mockImplementation(({ url }) => Promise.resolve({
+      data: { prediction: url === 'http://a/predict' ? 1 : 0, confidence: 0.9 }
+    }));
+
+    await orchestratorService.orchestrate({ discharges: [{ id: 't1' }], voting: { tieBreak: 'anomaly' } });
+    await orchestratorService.orchestrate({ discharges: [{ id: 't2' }], voting: { tieBreak: 'none' } });
+    await orchestratorService.orchestrate({ discharges: [{ id: 't3' }] }, { source: 'evaluation' });
+    await orchestratorService.orchestrate({ discharges: [{ id: 't4' }] }, { record: false });
+    const text = await metrics.render();
+
+    expect(text).toContain('orchestrator_voting_outcomes_total{outcome="anomaly"} 1');
+    expect(text).toContain('orchestrator_voting_outcomes_total{outcome="tie"} 1');
+    expect(text).toContain('orchestrator_voting_ties_total{resolution="tie_broken"} 1');
+    expect(text).toContain('orchestrator_voting_ties_total{resolution="unresolved"} 1');
+  });
+
+  test('escapes label values and declares the exposition format', async () => {
+    metrics.modelRequests.inc({ model: 'say "hi"\\\n', status: 'success' });
+
+    expect(await metrics.render()).toContain('orchestrator_model_requests_total{model="say \\"hi\\"\\\\\\n",status="success"} 1');
+    expect(metrics.contentType).toMatch(/^text\/plain; version=0\.0\.4/);
+  });
+
+  test('reports health, queue depth and delivered training discharges', async () => {
+    axios.mockImplementation(({ url }) => url === 'http://b/health'
+      ? Promise.reject(new Error('connect ECONNREFUSED'))
+      : Promise.resolve({ data: {} }));
+
+    await orchestratorService.healthCheck();
+    let text = await metrics.render();
+    expect(text).toContain('orchestrator_model_up{model="a"} 1');
+    expect(text).toContain('orchestrator_model_up{model="b"} 0');
+
+    const { sessionId } = await orchestratorService.startTrainingSession(2, { models: ['a'], autoFinish: true });
+    orchestratorService.getTrainingSession(sessionId).models.a.queue.push({ key: 'x', size: 0 });
+    expect(await metrics.render()).toContain('orchestrator_training_queue_depth{model="a"} 1');
+    orchestratorService.getTrainingSession(sessionId).models.a.queue.pop();
+
+    await orchestratorService.sendTrainingBatch(sessionId, [
+      { id: 't1', signals: [], times: [] },
+      { id: 't2', signals: [], times: [] }
+    ]);
+    await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+
+    text = await metrics.render();
+    expect(text).toContain('orchestrator_training_discharges_delivered_total{model="a"} 2');
+    expect(text).not.toContain('orchestrator_training_queue_depth{model="a"}');
+  });
+});
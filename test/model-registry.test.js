@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-registry-'));
+process.env.DATA_DIR = dataDir;
+
+function loadConfig() {
+  let config;
+  jest.isolateModules(() => {
+    config = require('../src/config');
+  });
+  return config;
+}
+
+describe('persistent model registry', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('survives a restart', () => {
+    const config = loadConfig();
+    config.addModel('Isolation Forest', {
+      url: 'http://localhost:8005/predict',
+      trainingUrl: 'http://localhost:8005/train',
+      healthUrl: 'http://localhost:8005/health'
+    });
+    config.updateModelUrl('svm', 'http://svm:8001/predict');
+    config.setModelEnabled('lstm', false);
+    config.removeModel('xgboost');
+
+    const restarted = loadConfig();
+    expect(Object.keys(restarted.models).sort()).toEqual(['isolation_forest', 'lstm', 'svm']);
+    expect(restarted.models.svm.url).toBe('http://svm:8001/predict');
+    expect(restarted.models.lstm.enabled).toBe(false);
+    expect(fs.readdirSync(dataDir)).toEqual(['models.json']);
+  });
+
+  test('imports and exports the full configuration', () => {
+    const config = loadConfig();
+    const models = config.models;
+
+    config.importModels({
+      models: {
+        ocsvm: {
+          url: 'http://localhost:8004/predict',
+          trainingUrl: 'http://localhost:8004/train',
+          healthUrl: 'http://localhost:8004/health'
+        }
+      }
+    }, 'replace');
+
+    expect(config.models).toBe(models);
+    expect(config.exportModels().models).toEqual({
+      ocsvm: {
+        url: 'http://localhost:8004/predict',
+        trainingUrl: 'http://localhost:8004/train',
+        healthUrl: 'http://localhost:8004/health',
+        enabled: true,
+        displayName: 'ocsvm'
+      }
+    });
+    expect(Object.keys(loadConfig().models)).toEqual(['ocsvm']);
+  });
+
+  test('keeps the default voting settings across a restart', () => {
+    const config = loadConfig();
+    const quorum = { minResponders: 2, minFraction: 0.5, mandatory: ['svm'] };
+    config.setVoting({ strategy: 'soft', tieBreak: 'tiebreaker', tiebreakerModel: 'svm' });
+    config.setVoting({ quorum });
+    expect(config.voting).toMatchObject({ strategy: 'soft', quorum });
+
+    const restarted = loadConfig();
+    expect(restarted.voting).toMatchObject({ strategy: 'soft', tieBreak: 'tiebreaker', tiebreakerModel: 'svm', quorum });
+    expect(restarted.voting.softThreshold).toBe(0.5);
+  });
+
+  test('rejects incomplete models', () => {
+    const config = loadConfig();
+    expect(() => config.importModels({ models: { bad: { url: 'x' } } })).toThrow("requiere 'trainingUrl'");
+  });
+
+  test('stores per-model timeouts, headers and auth without exposing secrets', () => {
+    const { maskModelSecrets, modelRequestOptions } = require('../src/utils/model-request');
+    const config = loadConfig();
+    config.importModels({
+      models: {
+        partner: {
+          url: 'http://partner/predict',
+          trainingUrl: 'http://partner/train',
+          healthUrl: 'http://partner/health'
+        }
+      }
+    }, 'replace');
+
+    config.updateModelConnection('partner', {
+      timeouts: { predict: 30000 },
+      headers: { 'X-Tenant': 'jet', 'X-Api-Token': 'abc' },
+      auth: { type: 'bearer', token: 's3cret' }
+    });
+    expect(() => config.updateModelConnection('partner', { auth: { type: 'digest' } })).toThrow('autenticación');
+
+    const masked = maskModelSecrets(config.models.partner);
+    expect(masked.auth).toEqual({ type: 'bearer', token: '********' });
+    expect(masked.headers).toEqual({ 'X-Tenant': 'jet', 'X-Api-Token': '********' });
+
+    // Sending the masked values back keeps the stored secrets
+    config.updateModelConnection('partner', { auth: masked.auth, headers: masked.headers });
+    const restarted = loadConfig();
+    expect(modelRequestOptions(restarted.models.partner, 'predict', 1000)).toEqual({
+      timeout: 30000,
+      headers: { 'X-Tenant': 'jet', 'X-Api-Token': 'abc', Authorization: 'Bearer s3cret' }
+    });
+    expect(modelRequestOptions(restarted.models.partner, 'health', 1000).timeout).toBe(1000);
+
+    config.updateModelConnection('partner', { auth: { type: 'basic', username: 'u', password: 'p' }, timeouts: null });
+    const basic = modelRequestOptions(config.models.partner, 'training', 5000);
+    expect(basic.headers.Authorization).toBe(`Basic ${Buffer.from('u:p').toString('base64')}`);
+    expect(basic.timeout).toBe(5000);
+  });
+
+  test('masks secrets in the export unless requested and keeps them on re-import', () => {
+    const config = loadConfig();
+    config.importModels({
+      models: {
+        partner: {
+          url: 'http://partner/predict',
+          trainingUrl: 'http://partner/train',
+          healthUrl: 'http://partner/health',
+          headers: { 'X-Tenant': 'jet', 'X-Api-Token': 'abc' },
+          auth: { type: 'bearer', token: 's3cret' }
+        }
+      }
+    }, 'replace');
+
+    const exported = config.exportModels();
+    expect(exported.models.partner.auth).toEqual({ type: 'bearer', token: '********' });
+    expect(exported.models.partner.headers).toEqual({ 'X-Tenant': 'jet', 'X-Api-Token': '********' });
+    expect(config.exportModels({ secrets: true }).models.partner.auth.token).toBe('s3cret');
+
+    // A masked backup restores over the stored secrets but cannot create new ones
+    config.importModels(exported, 'replace');
+    expect(config.models.partner.auth.token).toBe('s3cret');
+    expect(config.models.partner.headers['X-Api-Token']).toBe('abc');
+    expect(() => config.importModels({ models: { other: { ...exported.models.partner } } }))
+      .toThrow('secretos ocultos');
+  });
+});
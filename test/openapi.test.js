@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ejs = require('ejs');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-openapi-'));
+process.env.DATA_DIR = dataDir;
+
+const router = require('../src/routes');
+const { OPERATIONS, buildOpenApi } = require('../src/utils/openapi');
+
+jest.mock('axios');
+
+function refs(value, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => refs(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      if (key === '$ref') found.push(item);
+      else refs(item, found);
+    });
+  }
+  return found;
+}
+
+describe('OpenAPI document', () => {
+  const spec = buildOpenApi(router);
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('documents every protected route', () => {
+    const operations = Object.values(spec.paths).flatMap(methods => Object.values(methods));
+    const routes = router.stack.filter(layer => layer.route && layer.route.path !== '/openapi.json' && layer.route.path !== '/docs');
+
+    expect(operations).toHaveLength(routes.length);
+    operations.forEach(operation => {
+      expect(OPERATIONS[operation.operationId]).toBeDefined();
+    });
+    expect(spec.paths['/api/openapi.json']).toBeUndefined();
+  });
+
+  test('derives bodies, roles and parameters from the routes', () => {
+    const predict = spec.paths['/api/predict'].post;
+    expect(predict.requestBody.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/predictionRequest' });
+    expect(predict['x-required-role']).toBe('operator');
+
+    const raw = spec.paths['/api/train/raw'].post;
+    expect(Object.keys(raw.requestBody.content)).toEqual(['multipart/form-data']);
+    expect(raw.responses[503]).toBeDefined();
+
+    const redrive = spec.paths['/api/train/dead-letter/{modelName}/redrive'].post;
+    expect(redrive.parameters[0]).toMatchObject({ name: 'modelName', in: 'path', required: true });
+    expect(spec.paths['/api/config/model/add'].post['x-required-role']).toBe('admin');
+  });
+
+  test('resolves every schema reference', () => {
+    refs(spec).forEach(ref => {
+      expect(ref).toMatch(/^#\/components\/schemas\//);
+      expect(spec.components.schemas[ref.split('/').pop()]).toBeDefined();
+    });
+  });
+
+  test('renders the self-hosted docs page', async () => {
+    const html = await ejs.renderFile(path.join(__dirname, '../src/views/api_docs.ejs'), {});
+    expect(html).toContain('/api/openapi.json');
+    expect(html).not.toMatch(/https?:\/\//);
+  });
+});
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-predict-'));
+process.env.DATA_DIR = dataDir;
+
+const orchestratorService = require('../src/services/orchestrator.service');
+const predictionHistory = require('../src/services/prediction-history.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const controller = require('../src/controllers/orchestrator.controller');
+const axios = require('axios');
+
+jest.mock('axios');
+
+describe('orchestrate', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeEach(() => {
+    axios.mockReset();
+    circuitBreaker.circuits = {};
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://localhost:9991/predict' },
+      b: { enabled: true, url: 'http://localhost:9992/predict' },
+      c: { enabled: true, url: 'http://localhost:9993/predict' }
+    };
+  });
+
+  afterEach(() => {
+    orchestratorService.models = originalModels;
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('predicts every discharge of a batch', async () => {
+    axios.mockImplementation(({ data }) => {
+      if (data.id === 'bad') return Promise.reject(new Error('connect ECONNREFUSED'));
+      return Promise.resolve({ data: { prediction: data.id === 'd2' ? 'Anomaly' : 'Normal', confidence: 0.8 } });
+    });
+
+    const result = await orchestratorService.orchestrate({
+      discharges: [{ id: 'd1' }, { id: 'd2' }, { id: 'bad' }],
+      concurrency: 2
+    });
+
+    expect(axios).toHaveBeenCalledTimes(9);
+    expect(result.discharges.map(d => d.dischargeId)).toEqual(['d1', 'd2', 'bad']);
+    expect(result.discharges[1].voting.decision).toBe(1);
+    expect(result.summary).toEqual({
+      total: 3,
+      anomalies: 1,
+      normal: 1,
+      undecided: 0,
+      insufficientQuorum: 0,
+      failed: 1,
+      failedDischarges: ['bad']
+    });
+    expect(result.voting).toBeUndefined();
+  });
+
+  test('keeps models and voting at the top level for a single discharge', async () => {
+    axios.mockResolvedValue({ data: { prediction: 1, confidence: 0.9 } });
+
+    const result = await orchestratorService.orchestrate({ discharges: [{ id: 'd1' }] });
+
+    expect(result.models).toHaveLength(3);
+    expect(result.voting.decision).toBe(1);
+    expect(result.summary.anomalies).toBe(1);
+  });
+
+  test('stores every prediction in the history', async () => {
+    axios.mockImplementation(({ url }) =>
+      Promise.resolve({ data: { prediction: url.includes('9991') ? 1 : 0, confidence: 0.7 } })
+    );
+
+    await orchestratorService.orchestrate(
+      { discharges: [{ id: 'h1', anomalyTime: 41.2 }, { id: 'h2' }] },
+      { source: 'socket' }
+    );
+    await orchestratorService.orchestrate({ discharges: [{ id: 'h3' }] }, { record: false });
+
+    const all = await predictionHistory.query({ source: 'socket' });
+    expect(all.total).toBe(2);
+    expect(all.items[0].dischargeId).toBe('h2');
+    expect(all.items[1].anomalyTime).toBe(41.2);
+    expect(all.items[1].models.map(m => m.prediction)).toEqual([1, 0, 0]);
+
+    const filtered = await predictionHistory.query({ dischargeId: 'h1', decision: 0, model: 'a' });
+    expect(filtered.items.map(e => e.dischargeId)).toEqual(['h1']);
+
+    const paged = await predictionHistory.query({ page: 2, pageSize: 1, source: 'socket' });
+    expect(paged.items.map(e => e.dischargeId)).toEqual(['h1']);
+
+    // Entries recorded after the index is built are queried without re-reading the file
+    await orchestratorService.orchestrate({ discharges: [{ id: 'h4' }] }, { source: 'evaluation' });
+    expect((await predictionHistory.query({ source: 'evaluation' })).items.map(e => e.dischargeId)).toEqual(['h4']);
+    const live = await predictionHistory.recent(2, entry => entry.source !== 'evaluation');
+    expect(live.map(e => e.dischargeId)).toEqual(['h2', 'h1']);
+  });
+
+  test('returns an insufficient quorum outcome', async () => {
+    axios.mockImplementation(({ url }) => {
+      if (url.includes('9993')) return Promise.reject(new Error('connect ECONNREFUSED'));
+      return Promise.resolve({ data: { prediction: 1, confidence: 0.9 } });
+    });
+
+    const byCount = await orchestratorService.orchestrate(
+      { discharges: [{ id: 'q1' }], voting: { quorum: { minResponders: 3 } } },
+      { record: false }
+    );
+    expect(byCount.voting).toMatchObject({ decision: null, outcome: 'insufficient_quorum', totalVotes: 2 });
+    expect(byCount.summary.insufficientQuorum).toBe(1);
+
+    const byMandatory = await orchestratorService.orchestrate(
+      { discharges: [{ id: 'q2' }], voting: { quorum: { minFraction: 0.5, mandatory: ['c'] } } },
+      { record: false }
+    );
+    expect(byMandatory.voting.quorum.missingMandatory).toEqual(['c']);
+    expect(byMandatory.voting.message).toContain('mandatory models missing: c');
+
+    const met = await orchestratorService.orchestrate(
+      { discharges: [{ id: 'q3' }], voting: { quorum: { minFraction: 0.6 } } },
+      { record: false }
+    );
+    expect(met.voting.decision).toBe(1);
+    expect(met.voting.quorum.met).toBe(true);
+  });
+
+  test('reports the error of a single discharge that could not be predicted', async () => {
+    axios.mockResolvedValue({ data: { prediction: 1, confidence: 0.8 } });
+    const spy = jest.spyOn(orchestratorService, 'applyVoting').mockImplementation(() => {
+      throw new Error('Tiebreaker model z is not configured');
+    });
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(body => {
+      res.body = body;
+      return res;
+    });
+
+    try {
+      await controller.predict({ body: { discharges: [{ id: 'x1' }] } }, res);
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.body.message).toBe('Tiebreaker model z is not configured');
+    expect(res.body.result.discharges[0]).toEqual({ dischargeId: 'x1', error: 'Tiebreaker model z is not configured' });
+  });
+
+  describe('early return', () => {
+    const hang = signal => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('canceled')));
+    });
+
+    test('returns once the majority is decided and cancels the slow model', async () => {
+      const signals = {};
+      axios.mockImplementation(({ url, signal }) => {
+        signals[url] = signal;
+        if (url.includes('9993')) return hang(signal);
+        return Promise.resolve({ data: { prediction: 1, confidence: 0.8 } });
+      });
+
+      const result = await orchestratorService.orchestrate(
+        { discharges: [{ id: 'e1' }], mode: 'early', deadline: 5000 },
+        { record: false }
+      );
+
+      expect(result.voting.decision).toBe(1);
+      expect(result.discharges[0].decidedEarly).toBe(true);
+      expect(result.models.map(m => m.status)).toEqual(['success', 'success', 'timeout']);
+      expect(signals['http://localhost:9993/predict'].aborted).toBe(true);
+    });
+
+    test('waits for the deadline when the outcome is still open', async () => {
+      axios.mockImplementation(({ url, signal }) => {
+        if (url.includes('9993')) return hang(signal);
+        return Promise.resolve({ data: { prediction: url.includes('9991') ? 1 : 0, confidence: 0.8 } });
+      });
+
+      const result = await orchestratorService.orchestrate(
+        { discharges: [{ id: 'e2' }], mode: 'early', deadline: 30 },
+        { record: false }
+      );
+
+      expect(result.models[2]).toMatchObject({ modelName: 'c', status: 'timeout' });
+      expect(result.voting.decision).toBeNull();
+      expect(result.voting.totalVotes).toBe(2);
+      // El plazo venció con un modelo pendiente: no es una decisión anticipada
+      expect(result.discharges[0].decidedEarly).toBe(false);
+    });
+
+    test('applies per-model deadlines', async () => {
+      axios.mockImplementation(({ url, signal }) => {
+        if (url.includes('9991')) return hang(signal);
+        return Promise.resolve({ data: { prediction: 0, confidence: 0.8 } });
+      });
+
+      const result = await orchestratorService.orchestrate(
+        {
+          discharges: [{ id: 'e3' }],
+          mode: 'early',
+          deadline: 5000,
+          voting: { strategy: 'soft' },
+          modelDeadlines: { a: 20 }
+        },
+        { record: false }
+      );
+
+      expect(result.models[0]).toMatchObject({ status: 'timeout', error: 'No response within 20 ms' });
+      expect(result.voting.decision).toBe(0);
+    });
+  });
+
+  test('sends each model its own timeout, headers and auth', async () => {
+    orchestratorService.models.b.timeouts = { predict: 45000 };
+    orchestratorService.models.b.auth = { type: 'apiKey', header: 'X-Key', key: 'k1' };
+    axios.mockResolvedValue({ data: { prediction: 0, confidence: 0.9 } });
+
+    await orchestratorService.orchestrate({ discharges: [{ id: 'auth' }] }, { record: false });
+
+    const call = axios.mock.calls.find(c => c[0].url.includes('9992'))[0];
+    expect(call.timeout).toBe(45000);
+    expect(call.headers).toEqual({ 'X-Key': 'k1' });
+    expect(axios.mock.calls.find(c => c[0].url.includes('9991'))[0].timeout).toBe(orchestratorService.timeout);
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-schema-'));
+process.env.DATA_DIR = dataDir;
+
+const { validateRequest } = require('../src/middleware/validation.middleware');
+const orchestratorService = require('../src/services/orchestrator.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const axios = require('axios');
+
+jest.mock('axios');
+
+function run(schemaName, body) {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(payload => {
+    res.body = payload;
+    return res;
+  });
+  const next = jest.fn();
+  validateRequest(schemaName)({ body }, res, next);
+  return { res, next };
+}
+
+describe('request validation against schemas/api-schemas.json', () => {
+  test('accepts the filename emitted by SensorData and the legacy fileName', () => {
+    const discharges = [
+      { id: '1', times: [0, 1], signals: [{ filename: 'a.txt', values: [1, 2] }] },
+      { id: '2', signals: [{ fileName: 'b.txt', times: [0], values: [3] }] }
+    ];
+    expect(run('predictionRequest', { discharges }).next).toHaveBeenCalled();
+  });
+
+  test('reports the path of every invalid field', () => {
+    const { res, next } = run('trainingRequest', {
+      discharges: [{ id: 7, signals: [{ filename: 'a.txt', values: [1, 'x'] }] }]
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      { path: '/discharges/0/id', message: 'must be string' },
+      { path: '/discharges/0/signals/0/values/1', message: 'must be number' },
+      { path: '/discharges/0/signals/0', message: "must have required property 'times'" }
+    ]));
+  });
+
+  test('checks that values and times have the same length', () => {
+    const { res } = run('predictionRequest', {
+      discharges: [{ id: '1', times: [0, 1, 2], signals: [{ filename: 'a.txt', values: [1, 2] }] }]
+    });
+    expect(res.body.details).toEqual([{
+      path: '/discharges/0/signals/0/values',
+      message: 'must have the same length as the times (2 values, 3 times)'
+    }]);
+  });
+});
+
+describe('model response validation', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeEach(() => {
+    axios.mockReset();
+    circuitBreaker.circuits = {};
+    orchestratorService.conformance = {};
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://localhost:9991/predict', healthUrl: 'http://localhost:9991/health' }
+    };
+  });
+
+  afterAll(() => {
+    orchestratorService.models = originalModels;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('flags non-conforming prediction responses', async () => {
+    axios.mockResolvedValue({ data: { prediction: 'Anomaly', confidence: 1.5 } });
+    const usable = await orchestratorService.callModel('a', { id: 'd1' });
+    expect(usable).toMatchObject({ status: 'success', result: { prediction: 1 } });
+    expect(orchestratorService.conformance.a.predict.conforming).toBe(false);
+
+    axios.mockResolvedValue({ data: { label: 1 } });
+    const unusable = await orchestratorService.callModel('a', { id: 'd2' });
+    expect(unusable.status).toBe('invalid_response');
+    expect(unusable.schemaErrors).toEqual([{ path: '/', message: "must have required property 'prediction'" }]);
+
+    axios.mockResolvedValue({ data: { prediction: 0, confidence: 0.7 } });
+    await orchestratorService.callModel('a', { id: 'd3' });
+    expect(orchestratorService.conformance.a.predict).toMatchObject({ conforming: true, errors: [] });
+  });
+
+  test('reports the conformance of health responses', async () => {
+    axios.mockResolvedValue({ data: { status: 'ok' } });
+    const health = await orchestratorService.healthCheck();
+    expect(health.models[0].status).toBe('online');
+    expect(health.models[0].conformance.health).toMatchObject({
+      conforming: false,
+      errors: [{ path: '/status', message: 'must be equal to one of the allowed values' }]
+    });
+  });
+});
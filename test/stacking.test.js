@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-stacking-'));
+process.env.DATA_DIR = dataDir;
+
+const orchestratorService = require('../src/services/orchestrator.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const predictionHistory = require('../src/services/prediction-history.service');
+const stackingService = require('../src/services/stacking.service');
+const controller = require('../src/controllers/orchestrator.controller');
+const axios = require('axios');
+
+jest.mock('axios');
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+}
+
+function request(body) {
+  return { body, ip: '10.0.0.9', user: { name: 'ops', role: 'admin' } };
+}
+
+function response(modelName, prediction, confidence) {
+  return { modelName, status: 'success', result: { prediction, confidence } };
+}
+
+// `a` acierta siempre; `b` contesta lo contrario de la etiqueta
+async function recordLabeled(count) {
+  for (let i = 0; i < count; i++) {
+    const label = i % 2;
+    await predictionHistory.record({
+      dischargeId: `d${i}`,
+      models: [response('a', label, 0.9), response('b', 1 - label, 0.7)],
+      voting: null
+    }, { source: 'evaluation', anomalyTime: label === 1 ? 40 + i : null });
+  }
+}
+
+describe('stacking meta-model', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeAll(() => {
+    circuitBreaker.circuits = {};
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://a/predict', trainingUrl: 'http://a/train', healthUrl: 'http://a/health' },
+      b: { enabled: true, url: 'http://b/predict', trainingUrl: 'http://b/train', healthUrl: 'http://b/health' }
+    };
+  });
+
+  afterAll(() => {
+    orchestratorService.models = originalModels;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('refuses to predict or train without enough labeled history', async () => {
+    const predict = mockResponse();
+    await controller.predict({ body: { discharges: [{ id: 'x' }], aggregation: 'stacking' } }, predict);
+    expect(predict.status).toHaveBeenCalledWith(409);
+
+    await recordLabeled(4);
+    const train = mockResponse();
+    await controller.trainStacking(request({}), train);
+    expect(train.status).toHaveBeenCalledWith(400);
+    expect(train.body.message).toMatch(/At least 10 labeled predictions/);
+  });
+
+  test('learns from the labeled history and exposes its coefficients', async () => {
+    await recordLabeled(12);
+    await predictionHistory.record({ dischargeId: 'unlabeled', models: [response('a', 1, 0.9)] });
+    // Una predicción normal con `anomalyTime: null` no es una descarga normal etiquetada
+    await predictionHistory.recordAll(
+      { discharges: [{ dischargeId: 'plain', models: [response('a', 1, 0.9), response('b', 1, 0.7)] }] },
+      [{ id: 'plain', anomalyTime: null }],
+      'api'
+    );
+    expect((await predictionHistory.labeled()).map(e => e.dischargeId)).not.toContain('plain');
+
+    const res = mockResponse();
+    await controller.trainStacking(request({ source: 'evaluation' }), res);
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    const { model } = res.body;
+    expect(model).toMatchObject({ models: ['a', 'b'], samples: 16, positives: 8, trainingAccuracy: 1 });
+    expect(model.coefficients.a.vote).toBeGreaterThan(0);
+    expect(model.coefficients.b.vote).toBeLessThan(0);
+    expect(JSON.parse(fs.readFileSync(stackingService.file, 'utf8')).coefficients).toEqual(model.coefficients);
+
+    const inspect = mockResponse();
+    controller.getStacking({}, inspect);
+    expect(inspect.body.intercept).toBe(model.intercept);
+  });
+
+  test('is selectable as the aggregation method of orchestrate', async () => {
+    axios.mockImplementation(({ url }) => Promise.resolve({
+      data: url === 'http://a/predict' ? { prediction: 1, confidence: 0.9 } : { prediction: 0, confidence: 0.7 }
+    }));
+
+    const stacked = await orchestratorService.orchestrate({ discharges: [{ id: 'n1' }], aggregation: 'stacking' }, { record: false });
+    expect(stacked.voting).toMatchObject({ strategy: 'stacking', decision: 1, totalVotes: 2 });
+    expect(stacked.voting.probability).toBeGreaterThan(0.5);
+
+    const voted = await orchestratorService.orchestrate({ discharges: [{ id: 'n1' }] }, { record: false });
+    expect(voted.voting.strategy).not.toBe('stacking');
+
+    const early = await orchestratorService.orchestrate({
+      discharges: [{ id: 'n1' }], aggregation: 'stacking', mode: 'early', deadline: 5000
+    }, { record: false });
+    expect(early.voting.decision).toBe(1);
+    expect(early.discharges[0].decidedEarly).toBe(false);
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-retry-'));
+process.env.DATA_DIR = dataDir;
+
+const orchestratorService = require('../src/services/orchestrator.service');
+const deadLetterService = require('../src/services/dead-letter.service');
+const trainingSpool = require('../src/services/training-spool.service');
+const axios = require('axios');
+
+jest.mock('axios');
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+function discharge(id) {
+  return { id, signals: [{ values: [1] }], times: [0], length: 1 };
+}
+
+describe('training delivery retries', () => {
+  const originalPolicy = orchestratorService.retryPolicy;
+
+  beforeEach(() => {
+    axios.mockReset();
+    orchestratorService.models = {
+      test: { enabled: true, trainingUrl: 'http://localhost:9999/train' }
+    };
+    orchestratorService.retryPolicy = {
+      maxAttempts: 3,
+      baseDelay: 1,
+      maxDelay: 2,
+      retryableStatus: [429, 503]
+    };
+  });
+
+  afterEach(() => {
+    orchestratorService.models = {};
+    orchestratorService.retryPolicy = originalPolicy;
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('retries retryable status codes until the discharge is delivered', async () => {
+    let calls = 0;
+    axios.mockImplementation(({ url }) => {
+      if (url && url.endsWith('/train/1') && calls++ < 2) {
+        return Promise.reject(httpError(503));
+      }
+      return Promise.resolve({ data: {} });
+    });
+
+    const { sessionId } = await orchestratorService.startTrainingSession(1, { autoFinish: true });
+    await orchestratorService.sendTrainingBatch(sessionId, [discharge('r1')]);
+    await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+
+    const urls = axios.mock.calls.map(c => c[0].url).filter(url => url && url.endsWith('/train/1'));
+    expect(urls).toHaveLength(3);
+    expect(deadLetterService.list('test')).toHaveLength(0);
+  });
+
+  test('dead-letters discharges rejected or out of attempts', async () => {
+    axios.mockImplementation(({ data }) => {
+      if (data && data.id === 'bad') return Promise.reject(httpError(400));
+      if (data && data.id === 'down') return Promise.reject(new Error('connect ECONNREFUSED'));
+      return Promise.resolve({ data: {} });
+    });
+
+    const { sessionId } = await orchestratorService.startTrainingSession(2, { autoFinish: true });
+    await orchestratorService.sendTrainingBatch(sessionId, [discharge('bad'), discharge('down')]);
+    await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+
+    const entries = orchestratorService.getDeadLetters().test;
+    expect(entries.map(e => [e.dischargeId, e.attempts, e.status])).toEqual([
+      ['bad', 1, 400],
+      ['down', 3, null]
+    ]);
+    expect(entries[0].sessionId).toBe(sessionId);
+    // Las entregas fallidas no consumen número de secuencia
+    expect(entries.map(e => e.seq)).toEqual([1, 1]);
+  });
+
+  test('keeps the sequence gap-free after a failed delivery', async () => {
+    axios.mockImplementation(({ data }) => {
+      if (data && data.id === 'lost') return Promise.reject(httpError(400));
+      return Promise.resolve({ data: {} });
+    });
+
+    const { sessionId } = await orchestratorService.startTrainingSession(2, { autoFinish: true });
+    await orchestratorService.sendTrainingBatch(sessionId, [discharge('lost'), discharge('ok')]);
+    await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+
+    const delivered = axios.mock.calls.filter(c => c[0].data && c[0].data.id === 'ok');
+    expect(delivered.map(c => c[0].url)).toEqual(['http://localhost:9999/train/1']);
+    deadLetterService.remove(deadLetterService.list('test').filter(e => e.dischargeId === 'lost').map(e => e.id));
+  });
+
+  test('re-drives into the original session while it is open', async () => {
+    let down = true;
+    axios.mockImplementation(({ data }) => {
+      if (data && data.id === 'late' && down) return Promise.reject(httpError(400));
+      return Promise.resolve({ data: {} });
+    });
+
+    const { sessionId } = await orchestratorService.startTrainingSession(2);
+    await orchestratorService.sendTrainingBatch(sessionId, [discharge('late'), discharge('first')]);
+    await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+    const entry = deadLetterService.list('test').find(e => e.dischargeId === 'late');
+
+    down = false;
+    axios.mockClear();
+    const summary = await orchestratorService.redriveDeadLetters('test', [entry.id]);
+    await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+
+    expect(summary).toEqual({ modelName: 'test', redriven: 1, sessions: [{ sessionId, redriven: 1 }], newRun: null });
+    // No new session: the discharge takes the sequence number it left free
+    expect(axios.mock.calls.map(c => [c[0].url, c[0].data.id])).toEqual([['http://localhost:9999/train/2', 'late']]);
+    expect(orchestratorService.getTrainingSessionStatus(sessionId).models.test).toMatchObject({ delivered: 2, failed: 0 });
+    expect(deadLetterService.list('test').find(e => e.id === entry.id)).toBeUndefined();
+    orchestratorService.finishTraining(sessionId);
+  });
+
+  test('keeps the dead letters when a re-drive cannot be enqueued', async () => {
+    axios.mockResolvedValue({ data: {} });
+    const spy = jest.spyOn(orchestratorService, 'sendTrainingBatch')
+      .mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(orchestratorService.redriveDeadLetters('test')).rejects.toThrow('closed training sessions');
+    await expect(orchestratorService.redriveDeadLetters('test', undefined, { newRun: true })).rejects.toThrow('disk full');
+    spy.mockRestore();
+
+    expect(deadLetterService.list('test')).toHaveLength(2);
+    expect(orchestratorService.listTrainingSessions()).toEqual([]);
+    expect(orchestratorService.busyModels().size).toBe(0);
+  });
+
+  test('re-drives the dead letters of closed sessions in an explicit new run', async () => {
+    axios.mockResolvedValue({ data: {} });
+
+    const summary = await orchestratorService.redriveDeadLetters('test', undefined, { newRun: true });
+    await orchestratorService.awaitQueuesEmpty(summary.newRun.sessionId, 1000);
+
+    expect(summary.redriven).toBe(2);
+    expect(summary.sessions).toEqual([]);
+    expect(summary.newRun.redriven).toBe(2);
+    expect(axios.mock.calls.map(c => c[0].url).filter(Boolean)).toEqual([
+      'http://localhost:9999/train',
+      'http://localhost:9999/train/1',
+      'http://localhost:9999/train/2'
+    ]);
+    expect(axios.mock.calls[2][0].data.id).toBe('bad');
+    expect(deadLetterService.list('test')).toHaveLength(0);
+    await expect(orchestratorService.redriveDeadLetters('test')).rejects.toThrow('No dead-lettered discharges');
+  });
+
+  test('dead-letters a discharge that cannot be read from the spool', async () => {
+    axios.mockResolvedValue({ data: {} });
+    const spy = jest.spyOn(trainingSpool, 'readDischarge').mockImplementationOnce(() => {
+      throw new Error('unexpected end of JSON');
+    });
+
+    const { sessionId } = await orchestratorService.startTrainingSession(1, { autoFinish: true });
+    await orchestratorService.sendTrainingBatch(sessionId, [discharge('torn')]);
+    await orchestratorService.awaitQueuesEmpty(sessionId, 1000);
+    spy.mockRestore();
+
+    expect(deadLetterService.list('test')).toEqual([expect.objectContaining({
+      dischargeId: 'torn',
+      key: '1',
+      payload: false,
+      sessionId,
+      error: expect.stringContaining('unexpected end of JSON')
+    })]);
+    await expect(orchestratorService.redriveDeadLetters('test', undefined, { newRun: true }))
+      .rejects.toThrow('No dead-lettered discharges');
+  });
+});
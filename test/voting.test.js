@@ -0,0 +1,117 @@
+const orchestratorService = require('../src/services/orchestrator.service');
+
+jest.mock('axios');
+
+const response = (modelName, prediction, confidence) => ({
+  modelName,
+  status: 'success',
+  result: { prediction, confidence }
+});
+
+describe('applyVoting strategies', () => {
+  const responses = [
+    response('svm', 1, 0.9),
+    response('lstm', 0, 0.6),
+    response('xgboost', 0, 0.55)
+  ];
+
+  test('majority is the default and reports the strategy', () => {
+    const result = orchestratorService.applyVoting(responses);
+    expect(result.strategy).toBe('majority');
+    expect(result.decision).toBe(0);
+    expect(result.votes).toEqual({ 0: 2, 1: 1 });
+    expect(result.totalVotes).toBe(3);
+  });
+
+  test('confidence weighting can overturn the majority', () => {
+    const result = orchestratorService.applyVoting(
+      [response('svm', 1, 0.95), response('lstm', 0, 0.4), response('xgboost', 0, 0.4)],
+      { strategy: 'confidence' }
+    );
+    expect(result.decision).toBe(1);
+    expect(result.scores[1]).toBeCloseTo(0.95);
+  });
+
+  test('static weights come from the request', () => {
+    const result = orchestratorService.applyVoting(responses, {
+      strategy: 'weighted',
+      weights: { svm: 3 }
+    });
+    expect(result.decision).toBe(1);
+    expect(result.weights).toEqual({ svm: 3, lstm: 1, xgboost: 1 });
+  });
+
+  test('unanimous and any modes', () => {
+    expect(orchestratorService.applyVoting(responses, { strategy: 'unanimous' }).decision).toBe(0);
+    expect(orchestratorService.applyVoting(responses, { strategy: 'any' }).decision).toBe(1);
+  });
+
+  test('soft voting averages the anomaly probability', () => {
+    const result = orchestratorService.applyVoting(responses, { strategy: 'soft' });
+    // (0.9 + 0.4 + 0.45) / 3
+    expect(result.probability).toBeCloseTo(0.5833, 3);
+    expect(result.decision).toBe(1);
+    expect(orchestratorService.applyVoting(responses, { strategy: 'soft', threshold: 0.6 }).decision).toBe(0);
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => orchestratorService.applyVoting(responses, { strategy: 'nope' })).toThrow('Unknown voting strategy');
+  });
+});
+
+describe('tie-break policies', () => {
+  const tied = [
+    response('svm', 1, 0.7),
+    response('lstm', 0, 0.9)
+  ];
+
+  test('keeps a null decision without a policy', () => {
+    const result = orchestratorService.applyVoting(tied);
+    expect(result.tie).toBe(true);
+    expect(result.tieBreak).toBe('none');
+    expect(result.decision).toBeNull();
+  });
+
+  test('prefers anomaly or normal', () => {
+    expect(orchestratorService.applyVoting(tied, { tieBreak: 'anomaly' }).decision).toBe(1);
+    expect(orchestratorService.applyVoting(tied, { tieBreak: 'normal' }).decision).toBe(0);
+  });
+
+  test('defers to the tiebreaker model', () => {
+    const result = orchestratorService.applyVoting(tied, { tieBreak: 'tiebreaker', tiebreaker: 'svm' });
+    expect(result.decision).toBe(1);
+    expect(result.tiebreaker).toBe('svm');
+  });
+
+  test('uses the highest average confidence', () => {
+    const result = orchestratorService.applyVoting(tied, { tieBreak: 'confidence' });
+    expect(result.decision).toBe(0);
+    expect(result.confidence).toBeCloseTo(0.9);
+  });
+
+  test('reports no tie for clear decisions', () => {
+    const result = orchestratorService.applyVoting([response('svm', 1, 0.7)], { tieBreak: 'normal' });
+    expect(result.tie).toBe(false);
+    expect(result.decision).toBe(1);
+  });
+});
+
+describe('quorum', () => {
+  const votingService = require('../src/services/voting.service');
+
+  test('rejects invalid rules', () => {
+    expect(() => votingService.normalizeQuorum({ minResponders: 0 })).toThrow('minResponders');
+    expect(() => votingService.normalizeQuorum({ minFraction: 1.5 })).toThrow('minFraction');
+    expect(() => votingService.normalizeQuorum({ mandatory: 'svm' })).toThrow('mandatory');
+  });
+
+  test('counts failed models towards the fraction', () => {
+    const failed = { modelName: 'lstm', status: 'error', error: 'timeout' };
+    const result = orchestratorService.applyVoting(
+      [response('svm', 1, 0.9), failed],
+      { quorum: { minFraction: 0.75 } }
+    );
+    expect(result.outcome).toBe('insufficient_quorum');
+    expect(result.quorum.fraction).toBe(0.5);
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-windows-'));
+process.env.DATA_DIR = dataDir;
+
+const orchestratorService = require('../src/services/orchestrator.service');
+const circuitBreaker = require('../src/services/circuit-breaker.service');
+const { ensembleWindows } = require('../src/utils/windows');
+const axios = require('axios');
+
+jest.mock('axios');
+
+const discharge = { id: 'w1', times: [0, 1, 2, 3, 4, 5, 6, 7, 8], signals: [{ filename: 'DES_w1_01.txt', values: [] }] };
+
+// `a` reparte sus ventanas por el eje; `b` envía los tiempos de cada ventana
+const windows = {
+  a: [0.1, 0.2, 0.8, 0.9].map(justification => ({ justification })),
+  b: [{ start: 0, end: 4, justification: 0.3 }, { start: 4, end: 8, justification: 0.5 }]
+};
+
+describe('window-level aggregation', () => {
+  const originalModels = orchestratorService.models;
+
+  beforeAll(() => {
+    circuitBreaker.circuits = {};
+    orchestratorService.models = {
+      a: { enabled: true, url: 'http://a/predict', trainingUrl: 'http://a/train', healthUrl: 'http://a/health' },
+      b: { enabled: true, url: 'http://b/predict', trainingUrl: 'http://b/train', healthUrl: 'http://b/health' },
+      c: { enabled: true, url: 'http://c/predict', trainingUrl: 'http://c/train', healthUrl: 'http://c/health' }
+    };
+    axios.mockImplementation(({ url }) => {
+      const model = url.split('/')[2];
+      if (model === 'c') {
+        return Promise.reject(new Error('connect ECONNREFUSED'));
+      }
+      return Promise.resolve({ data: { prediction: 1, confidence: 0.8, windows: windows[model] } });
+    });
+  });
+
+  afterAll(() => {
+    orchestratorService.models = originalModels;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('aligns the windows of the responding models and finds the first crossing', async () => {
+    const result = await orchestratorService.orchestrate({ discharges: [discharge] }, { record: false });
+
+    expect(result.voting.decision).toBe(1);
+    expect(result.windows.models).toEqual(['a', 'b']);
+    expect(result.windows.windows.map(w => [w.start, w.end, w.models])).toEqual([[0, 2, 2], [2, 4, 2], [4, 6, 2], [6, 8, 2]]);
+    expect(result.windows.windows.map(w => w.score)).toEqual([0.2, 0.25, 0.65, 0.7].map(v => expect.closeTo(v, 10)));
+    expect(result.windows).toMatchObject({ threshold: 0.5, firstCrossing: 6 });
+    expect(result.discharges[0].windows).toBe(result.windows);
+
+    const strict = await orchestratorService.orchestrate({
+      discharges: [discharge],
+      voting: { windowThreshold: 0.9 }
+    }, { record: false });
+    expect(strict.windows).toMatchObject({ threshold: 0.9, firstCrossing: null });
+  });
+
+  test('scores point windows from their predictions', () => {
+    const aligned = ensembleWindows([
+      { modelName: 'c', windows: [{ time: 4, prediction: 0 }, { time: 8, prediction: 'anomaly' }] },
+      { modelName: 'd', windows: [] }
+    ], discharge, 0.5);
+
+    expect(aligned.models).toEqual(['c']);
+    expect(aligned.windows).toEqual([
+      { start: 0, end: 4, score: 0, models: 1 },
+      { start: 4, end: 8, score: 1, models: 1 }
+    ]);
+    expect(aligned.firstCrossing).toBe(8);
+    expect(ensembleWindows([{ modelName: 'd', windows: [{}] }], discharge)).toBeNull();
+  });
+});